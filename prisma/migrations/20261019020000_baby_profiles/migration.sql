@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "public"."BabyGender" AS ENUM ('MALE', 'FEMALE');
+
+-- AlterTable
+ALTER TABLE "public"."Reservation" ADD COLUMN     "babyId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Baby" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "birthDate" TIMESTAMP(3) NOT NULL,
+    "gender" "public"."BabyGender",
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Baby_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."Baby" ADD CONSTRAINT "Baby_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Reservation" ADD CONSTRAINT "Reservation_babyId_fkey" FOREIGN KEY ("babyId") REFERENCES "public"."Baby"("id") ON DELETE SET NULL ON UPDATE CASCADE;
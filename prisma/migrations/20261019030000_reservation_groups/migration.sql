@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "public"."Reservation" ADD COLUMN     "groupId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ReservationGroup" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "timeSlotId" TEXT NOT NULL,
+    "totalPrice" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReservationGroup_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."Reservation" ADD CONSTRAINT "Reservation_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "public"."ReservationGroup"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ReservationGroup" ADD CONSTRAINT "ReservationGroup_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
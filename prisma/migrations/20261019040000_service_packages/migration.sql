@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "public"."CustomerPackageStatus" AS ENUM ('PENDING', 'ACTIVE', 'EXPIRED', 'CANCELLED');
+
+-- AlterEnum
+ALTER TYPE "public"."PaymentMethod" ADD VALUE 'PACKAGE_CREDIT';
+
+-- AlterTable
+ALTER TABLE "public"."Reservation" ADD COLUMN     "customerPackageId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ServicePackage" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "serviceId" TEXT NOT NULL,
+    "credits" INTEGER NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "validityDays" INTEGER NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ServicePackage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."CustomerPackage" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "packageId" TEXT NOT NULL,
+    "totalCredits" INTEGER NOT NULL,
+    "remainingCredits" INTEGER NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "status" "public"."CustomerPackageStatus" NOT NULL DEFAULT 'PENDING',
+    "activatedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "paymentMethod" "public"."PaymentMethod" NOT NULL,
+    "paymentStatus" "public"."PaymentStatus" NOT NULL DEFAULT 'PENDING',
+    "transactionId" TEXT,
+    "paymentDate" TIMESTAMP(3),
+    "paymentExpiryDate" TIMESTAMP(3) NOT NULL,
+    "tripayPaymentUrl" TEXT,
+    "tripayInstructions" JSONB,
+    "tripayResponse" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CustomerPackage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerPackage_transactionId_key" ON "public"."CustomerPackage"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Reservation" ADD CONSTRAINT "Reservation_customerPackageId_fkey" FOREIGN KEY ("customerPackageId") REFERENCES "public"."CustomerPackage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ServicePackage" ADD CONSTRAINT "ServicePackage_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "public"."Service"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CustomerPackage" ADD CONSTRAINT "CustomerPackage_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CustomerPackage" ADD CONSTRAINT "CustomerPackage_packageId_fkey" FOREIGN KEY ("packageId") REFERENCES "public"."ServicePackage"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "public"."WaitlistStatus" AS ENUM ('WAITING', 'OFFERED', 'ACCEPTED', 'EXPIRED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "public"."WaitlistEntry" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "serviceId" TEXT NOT NULL,
+    "timeSlotId" TEXT NOT NULL,
+    "babyId" TEXT,
+    "notes" TEXT,
+    "status" "public"."WaitlistStatus" NOT NULL DEFAULT 'WAITING',
+    "offeredSessionId" TEXT,
+    "offeredAt" TIMESTAMP(3),
+    "offerExpiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WaitlistEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_timeSlotId_status_idx" ON "public"."WaitlistEntry"("timeSlotId", "status");
+
+-- AddForeignKey
+ALTER TABLE "public"."WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "public"."Service"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_timeSlotId_fkey" FOREIGN KEY ("timeSlotId") REFERENCES "public"."TimeSlot"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_offeredSessionId_fkey" FOREIGN KEY ("offeredSessionId") REFERENCES "public"."Session"("id") ON DELETE SET NULL ON UPDATE CASCADE;
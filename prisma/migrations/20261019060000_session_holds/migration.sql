@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Session" ADD COLUMN     "heldByCustomerId" TEXT,
+ADD COLUMN     "holdExpiresAt" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "public"."Session" ADD CONSTRAINT "Session_heldByCustomerId_fkey" FOREIGN KEY ("heldByCustomerId") REFERENCES "public"."Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "public"."PaymentStatus" ADD VALUE 'PARTIALLY_REFUNDED';
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "refundAmount" DOUBLE PRECISION,
+ADD COLUMN     "refundedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "public"."Reservation" ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3);
@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "public"."ReservationActor" AS ENUM ('OWNER', 'CUSTOMER', 'SYSTEM', 'TRIPAY');
+
+-- CreateEnum
+CREATE TYPE "public"."ReservationEventType" AS ENUM ('CREATED', 'STATUS_CHANGED', 'RESCHEDULED', 'PAYMENT_UPDATED');
+
+-- CreateTable
+CREATE TABLE "public"."ReservationEvent" (
+    "id" TEXT NOT NULL,
+    "reservationId" TEXT NOT NULL,
+    "type" "public"."ReservationEventType" NOT NULL,
+    "actorType" "public"."ReservationActor" NOT NULL,
+    "actorId" TEXT,
+    "oldValue" JSONB,
+    "newValue" JSONB,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReservationEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReservationEvent_reservationId_createdAt_idx" ON "public"."ReservationEvent"("reservationId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."ReservationEvent" ADD CONSTRAINT "ReservationEvent_reservationId_fkey" FOREIGN KEY ("reservationId") REFERENCES "public"."Reservation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
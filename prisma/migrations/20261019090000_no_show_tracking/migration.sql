@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "public"."ReservationStatus" ADD VALUE 'NO_SHOW';
+
+-- AlterTable
+ALTER TABLE "public"."Customer" ADD COLUMN     "noShowCount" INTEGER NOT NULL DEFAULT 0;
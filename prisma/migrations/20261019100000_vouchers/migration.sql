@@ -0,0 +1,72 @@
+-- CreateEnum
+CREATE TYPE "public"."VoucherDiscountType" AS ENUM ('PERCENTAGE', 'FIXED');
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "discountAmount" DOUBLE PRECISION,
+ADD COLUMN     "discountDetails" JSONB,
+ADD COLUMN     "originalAmount" DOUBLE PRECISION,
+ADD COLUMN     "voucherId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Voucher" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "discountType" "public"."VoucherDiscountType" NOT NULL,
+    "discountValue" DOUBLE PRECISION NOT NULL,
+    "maxDiscount" DOUBLE PRECISION,
+    "minSpend" DOUBLE PRECISION,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "usageLimit" INTEGER,
+    "perCustomerLimit" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Voucher_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."_ServiceToVoucher" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_ServiceToVoucher_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateTable
+CREATE TABLE "public"."_ServiceCategoryToVoucher" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_ServiceCategoryToVoucher_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_voucherId_idx" ON "public"."Payment"("voucherId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Voucher_code_key" ON "public"."Voucher"("code");
+
+-- CreateIndex
+CREATE INDEX "_ServiceToVoucher_B_index" ON "public"."_ServiceToVoucher"("B");
+
+-- CreateIndex
+CREATE INDEX "_ServiceCategoryToVoucher_B_index" ON "public"."_ServiceCategoryToVoucher"("B");
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_voucherId_fkey" FOREIGN KEY ("voucherId") REFERENCES "public"."Voucher"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_ServiceToVoucher" ADD CONSTRAINT "_ServiceToVoucher_A_fkey" FOREIGN KEY ("A") REFERENCES "public"."Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_ServiceToVoucher" ADD CONSTRAINT "_ServiceToVoucher_B_fkey" FOREIGN KEY ("B") REFERENCES "public"."Voucher"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_ServiceCategoryToVoucher" ADD CONSTRAINT "_ServiceCategoryToVoucher_A_fkey" FOREIGN KEY ("A") REFERENCES "public"."ServiceCategory"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_ServiceCategoryToVoucher" ADD CONSTRAINT "_ServiceCategoryToVoucher_B_fkey" FOREIGN KEY ("B") REFERENCES "public"."Voucher"("id") ON DELETE CASCADE ON UPDATE CASCADE;
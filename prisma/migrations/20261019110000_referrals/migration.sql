@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "public"."ReferralStatus" AS ENUM ('PENDING', 'REWARDED');
+
+-- AlterTable
+ALTER TABLE "public"."Customer" ADD COLUMN     "referralCode" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Voucher" ADD COLUMN     "customerId" TEXT,
+ADD COLUMN     "referralId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Referral" (
+    "id" TEXT NOT NULL,
+    "referrerId" TEXT NOT NULL,
+    "refereeId" TEXT NOT NULL,
+    "status" "public"."ReferralStatus" NOT NULL DEFAULT 'PENDING',
+    "qualifyingReservationId" TEXT,
+    "rewardAmount" DOUBLE PRECISION,
+    "rewardedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Referral_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Customer_referralCode_key" ON "public"."Customer"("referralCode");
+
+-- CreateIndex
+CREATE INDEX "Voucher_customerId_idx" ON "public"."Voucher"("customerId");
+
+-- CreateIndex
+CREATE INDEX "Voucher_referralId_idx" ON "public"."Voucher"("referralId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Referral_refereeId_key" ON "public"."Referral"("refereeId");
+
+-- CreateIndex
+CREATE INDEX "Referral_referrerId_idx" ON "public"."Referral"("referrerId");
+
+-- CreateIndex
+CREATE INDEX "Referral_status_idx" ON "public"."Referral"("status");
+
+-- AddForeignKey
+ALTER TABLE "public"."Voucher" ADD CONSTRAINT "Voucher_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Voucher" ADD CONSTRAINT "Voucher_referralId_fkey" FOREIGN KEY ("referralId") REFERENCES "public"."Referral"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Referral" ADD CONSTRAINT "Referral_referrerId_fkey" FOREIGN KEY ("referrerId") REFERENCES "public"."Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Referral" ADD CONSTRAINT "Referral_refereeId_fkey" FOREIGN KEY ("refereeId") REFERENCES "public"."Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "public"."AddOn" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "price" DOUBLE PRECISION NOT NULL,
+    "extraMinutes" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AddOn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ReservationAddOn" (
+    "id" TEXT NOT NULL,
+    "reservationId" TEXT NOT NULL,
+    "addOnId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "extraMinutes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReservationAddOn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."_AddOnToService" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_AddOnToService_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "ReservationAddOn_addOnId_idx" ON "public"."ReservationAddOn"("addOnId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReservationAddOn_reservationId_addOnId_key" ON "public"."ReservationAddOn"("reservationId", "addOnId");
+
+-- CreateIndex
+CREATE INDEX "_AddOnToService_B_index" ON "public"."_AddOnToService"("B");
+
+-- AddForeignKey
+ALTER TABLE "public"."ReservationAddOn" ADD CONSTRAINT "ReservationAddOn_reservationId_fkey" FOREIGN KEY ("reservationId") REFERENCES "public"."Reservation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ReservationAddOn" ADD CONSTRAINT "ReservationAddOn_addOnId_fkey" FOREIGN KEY ("addOnId") REFERENCES "public"."AddOn"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_AddOnToService" ADD CONSTRAINT "_AddOnToService_A_fkey" FOREIGN KEY ("A") REFERENCES "public"."AddOn"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_AddOnToService" ADD CONSTRAINT "_AddOnToService_B_fkey" FOREIGN KEY ("B") REFERENCES "public"."Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Session" ADD COLUMN     "extendedReservationId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Session_extendedReservationId_idx" ON "public"."Session"("extendedReservationId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Session" ADD CONSTRAINT "Session_extendedReservationId_fkey" FOREIGN KEY ("extendedReservationId") REFERENCES "public"."Reservation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "public"."BusinessHours" (
+    "id" TEXT NOT NULL,
+    "dayOfWeek" INTEGER NOT NULL,
+    "isClosed" BOOLEAN NOT NULL DEFAULT false,
+    "openTime" TEXT NOT NULL DEFAULT '07:00',
+    "closeTime" TEXT NOT NULL DEFAULT '15:00',
+    "slotDurationMinutes" INTEGER NOT NULL DEFAULT 60,
+    "breaks" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BusinessHours_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BusinessHours_dayOfWeek_key" ON "public"."BusinessHours"("dayOfWeek");
@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "public"."HolidaySource" AS ENUM ('MANUAL', 'ICS_IMPORT');
+
+-- CreateTable
+CREATE TABLE "public"."Holiday" (
+    "id" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "name" TEXT NOT NULL,
+    "source" "public"."HolidaySource" NOT NULL DEFAULT 'MANUAL',
+    "externalUid" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Holiday_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Holiday_date_key" ON "public"."Holiday"("date");
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "public"."StaffLeave" (
+    "id" TEXT NOT NULL,
+    "staffId" TEXT NOT NULL,
+    "startTime" TIMESTAMP(3) NOT NULL,
+    "endTime" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffLeave_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."StaffWorkingHours" (
+    "id" TEXT NOT NULL,
+    "staffId" TEXT NOT NULL,
+    "dayOfWeek" INTEGER NOT NULL,
+    "isOff" BOOLEAN NOT NULL DEFAULT false,
+    "startTime" TEXT NOT NULL DEFAULT '07:00',
+    "endTime" TEXT NOT NULL DEFAULT '15:00',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffWorkingHours_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StaffLeave_staffId_startTime_idx" ON "public"."StaffLeave"("staffId", "startTime");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StaffWorkingHours_staffId_dayOfWeek_key" ON "public"."StaffWorkingHours"("staffId", "dayOfWeek");
+
+-- AddForeignKey
+ALTER TABLE "public"."StaffLeave" ADD CONSTRAINT "StaffLeave_staffId_fkey" FOREIGN KEY ("staffId") REFERENCES "public"."Staff"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StaffWorkingHours" ADD CONSTRAINT "StaffWorkingHours_staffId_fkey" FOREIGN KEY ("staffId") REFERENCES "public"."Staff"("id") ON DELETE CASCADE ON UPDATE CASCADE;
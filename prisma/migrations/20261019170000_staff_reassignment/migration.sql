@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."ReservationEventType" ADD VALUE 'STAFF_REASSIGNED';
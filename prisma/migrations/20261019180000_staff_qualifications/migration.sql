@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "public"."_StaffQualifications" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_StaffQualifications_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "_StaffQualifications_B_index" ON "public"."_StaffQualifications"("B");
+
+-- AddForeignKey
+ALTER TABLE "public"."_StaffQualifications" ADD CONSTRAINT "_StaffQualifications_A_fkey" FOREIGN KEY ("A") REFERENCES "public"."Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_StaffQualifications" ADD CONSTRAINT "_StaffQualifications_B_fkey" FOREIGN KEY ("B") REFERENCES "public"."Staff"("id") ON DELETE CASCADE ON UPDATE CASCADE;
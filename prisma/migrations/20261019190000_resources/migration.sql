@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "public"."ResourceType" AS ENUM ('ROOM', 'EQUIPMENT');
+
+-- AlterTable
+ALTER TABLE "public"."Reservation" ADD COLUMN     "resourceId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Resource" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "public"."ResourceType" NOT NULL DEFAULT 'ROOM',
+    "description" TEXT,
+    "capacity" INTEGER NOT NULL DEFAULT 1,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Resource_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."_ServiceResources" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_ServiceResources_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "Reservation_resourceId_idx" ON "public"."Reservation"("resourceId");
+
+-- CreateIndex
+CREATE INDEX "_ServiceResources_B_index" ON "public"."_ServiceResources"("B");
+
+-- AddForeignKey
+ALTER TABLE "public"."Reservation" ADD CONSTRAINT "Reservation_resourceId_fkey" FOREIGN KEY ("resourceId") REFERENCES "public"."Resource"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_ServiceResources" ADD CONSTRAINT "_ServiceResources_A_fkey" FOREIGN KEY ("A") REFERENCES "public"."Resource"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_ServiceResources" ADD CONSTRAINT "_ServiceResources_B_fkey" FOREIGN KEY ("B") REFERENCES "public"."Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
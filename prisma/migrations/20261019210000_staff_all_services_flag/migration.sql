@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Staff" ADD COLUMN     "qualifiedForAllServices" BOOLEAN NOT NULL DEFAULT true;
+
+-- Staf yang sudah punya daftar kualifikasi hanya boleh menangani layanan tersebut
+UPDATE "public"."Staff" SET "qualifiedForAllServices" = false
+WHERE EXISTS (
+    SELECT 1 FROM "public"."_StaffQualifications" WHERE "_StaffQualifications"."B" = "Staff"."id"
+);
@@ -20,6 +20,14 @@ import schedulerRoutes from "./routes/schedulerRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
 import ratingRoutes from "./routes/ratingRoutes.js";
 import analyticsRoutes from "./routes/analyticsRoutes.js";
+import packageRoutes from "./routes/packageRoutes.js";
+import waitlistRoutes from "./routes/waitlistRoutes.js";
+import voucherRoutes from "./routes/voucherRoutes.js";
+import referralRoutes from "./routes/referralRoutes.js";
+import addOnRoutes from "./routes/addOnRoutes.js";
+import businessHoursRoutes from "./routes/businessHoursRoutes.js";
+import holidayRoutes from "./routes/holidayRoutes.js";
+import resourceRoutes from "./routes/resourceRoutes.js";
 dotenv.config();
 
 const app = express();
@@ -90,6 +98,14 @@ app.use("/api/scheduler", schedulerRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/ratings", ratingRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/packages", packageRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/vouchers", voucherRoutes);
+app.use("/api/referrals", referralRoutes);
+app.use("/api/add-ons", addOnRoutes);
+app.use("/api/business-hours", businessHoursRoutes);
+app.use("/api/holidays", holidayRoutes);
+app.use("/api/resources", resourceRoutes);
 const PORT = process.env.PORT || 5000;
 
 app.get("/", (req, res) => {
@@ -0,0 +1,84 @@
+// src/config/paymentConfig.js
+import { addMinutes } from "date-fns";
+
+// Lama sesi ditahan (menit) selama customer memilih metode pembayaran
+export const SESSION_HOLD_MINUTES = parseInt(
+  process.env.SESSION_HOLD_MINUTES || "10",
+  10
+);
+
+// Batas waktu pembayaran default (jam) untuk metode yang tidak diatur khusus
+const DEFAULT_PAYMENT_WINDOW_HOURS = parseFloat(
+  process.env.PAYMENT_WINDOW_HOURS || "24"
+);
+
+// Batas waktu pembayaran per metode (enum PaymentMethod), dalam jam.
+// Metode instan (QRIS, e-wallet) diberi waktu lebih singkat agar sesi
+// tidak tertahan lama jika customer meninggalkan checkout.
+const PAYMENT_WINDOW_HOURS = {
+  QRIS: parseFloat(process.env.PAYMENT_WINDOW_HOURS_QRIS || "1"),
+  E_WALLET: parseFloat(process.env.PAYMENT_WINDOW_HOURS_E_WALLET || "1"),
+  CREDIT_CARD: parseFloat(process.env.PAYMENT_WINDOW_HOURS_CREDIT_CARD || "1"),
+  BANK_TRANSFER: parseFloat(
+    process.env.PAYMENT_WINDOW_HOURS_BANK_TRANSFER ||
+      String(DEFAULT_PAYMENT_WINDOW_HOURS)
+  ),
+  RETAIL_OUTLET: parseFloat(
+    process.env.PAYMENT_WINDOW_HOURS_RETAIL_OUTLET ||
+      String(DEFAULT_PAYMENT_WINDOW_HOURS)
+  ),
+};
+
+/**
+ * Ambil batas waktu pembayaran (jam) untuk sebuah metode pembayaran
+ * @param {string} paymentMethod - Nilai enum PaymentMethod
+ * @returns {number} Batas waktu dalam jam
+ */
+export const getPaymentWindowHours = (paymentMethod) => {
+  return PAYMENT_WINDOW_HOURS[paymentMethod] ?? DEFAULT_PAYMENT_WINDOW_HOURS;
+};
+
+/**
+ * Hitung tanggal kedaluwarsa pembayaran berdasarkan metode pembayaran
+ * @param {string} paymentMethod - Nilai enum PaymentMethod
+ * @param {Date} from - Waktu mulai (default: sekarang)
+ * @returns {Date} Tanggal kedaluwarsa pembayaran
+ */
+export const getPaymentExpiryDate = (paymentMethod, from = new Date()) => {
+  return addMinutes(
+    from,
+    Math.round(getPaymentWindowHours(paymentMethod) * 60)
+  );
+};
+
+// Kebijakan refund pembatalan oleh customer:
+// - >= REFUND_FULL_HOURS jam sebelum sesi: refund penuh
+// - >= REFUND_PARTIAL_HOURS jam sebelum sesi: refund REFUND_PARTIAL_PERCENT %
+// - kurang dari itu: tidak ada refund
+export const REFUND_FULL_HOURS = parseFloat(
+  process.env.REFUND_FULL_HOURS || "24"
+);
+export const REFUND_PARTIAL_HOURS = parseFloat(
+  process.env.REFUND_PARTIAL_HOURS || "6"
+);
+export const REFUND_PARTIAL_PERCENT = parseFloat(
+  process.env.REFUND_PARTIAL_PERCENT || "50"
+);
+
+// Kebijakan no-show: setelah customer tidak hadir NO_SHOW_THRESHOLD kali,
+// NO_SHOW_POLICY diterapkan pada reservasi online berikutnya:
+// - NONE: tidak ada pembatasan
+// - REQUIRE_PREPAYMENT: pembayaran wajib diselesaikan dalam
+//   NO_SHOW_PREPAYMENT_WINDOW_MINUTES menit, apa pun metodenya
+// - BLOCK_ONLINE_BOOKING: reservasi online ditolak (hanya via owner)
+export const NO_SHOW_POLICY = (
+  process.env.NO_SHOW_POLICY || "NONE"
+).toUpperCase();
+export const NO_SHOW_THRESHOLD = parseInt(
+  process.env.NO_SHOW_THRESHOLD || "3",
+  10
+);
+export const NO_SHOW_PREPAYMENT_WINDOW_MINUTES = parseInt(
+  process.env.NO_SHOW_PREPAYMENT_WINDOW_MINUTES || "60",
+  10
+);
@@ -3,9 +3,15 @@ import {
   getPaymentById,
   getPendingPaymentsForScheduler,
 } from "../repository/reservationRepository.js";
-import * as notificationService from "../services/notificationService.js";
+import { createReservationEvent } from "../repository/reservationEventRepository.js";
+import {
+  transitionCoveredReservations,
+  runReservationSideEffects,
+} from "../services/reservationLifecycleService.js";
 import prisma from "./db.js";
 
+const PAYMENT_EXPIRED_REASON = "Batas waktu pembayaran habis";
+
 class PaymentExpiryScheduler {
   constructor() {
     this.timers = new Map(); // Menyimpan referensi ke setiap timer
@@ -80,61 +86,41 @@ class PaymentExpiryScheduler {
       }
 
       // Gunakan transaksi untuk memastikan semua update berhasil atau tidak sama sekali
-      await prisma.$transaction(async (tx) => {
+      const expiredReservations = await prisma.$transaction(async (tx) => {
         // 1. Update status pembayaran menjadi EXPIRED
         await tx.payment.update({
           where: { id: payment.id },
           data: { paymentStatus: "EXPIRED" },
         });
+        await createReservationEvent(
+          {
+            reservationId: payment.reservationId,
+            type: "PAYMENT_UPDATED",
+            actorType: "SYSTEM",
+            oldValue: { paymentStatus: payment.paymentStatus },
+            newValue: { paymentStatus: "EXPIRED" },
+            reason: PAYMENT_EXPIRED_REASON,
+          },
+          tx
+        );
 
-        // 2. Update status reservasi menjadi EXPIRED
-        await tx.reservation.update({
-          where: { id: payment.reservationId },
-          data: { status: "EXPIRED" },
-        });
-
-        // 3. Bebaskan sesi agar bisa dipesan orang lain
-        if (payment.reservation?.sessionId) {
-          await tx.session.update({
-            where: { id: payment.reservation.sessionId },
-            data: { isBooked: false },
-          });
-        }
+        // 2. Update status reservasi (termasuk anggota grup) menjadi EXPIRED
+        //    lewat lifecycle service yang juga membebaskan sesinya
+        return await transitionCoveredReservations(
+          payment.reservation,
+          "EXPIRED",
+          { actor: { actorType: "SYSTEM" }, reason: PAYMENT_EXPIRED_REASON },
+          tx
+        );
       });
 
+      // Tawarkan sesi yang kosong ke waitlist & kirim notifikasi
+      await runReservationSideEffects(expiredReservations, "EXPIRED");
+
       console.log(
         `[SCHEDULER] Session ${payment.reservation.sessionId} has been freed.`
       );
 
-      // Kirim notifikasi setelah transaksi berhasil
-      if (payment.reservation?.customer) {
-        await notificationService.createNotificationForCustomer(
-          {
-            recipientId: payment.reservation.customer.id,
-            title: "Reservasi Dibatalkan",
-            message: `Waktu pembayaran untuk layanan ${
-              payment.reservation.service?.name || "Anda"
-            } telah habis.`,
-            type: "RESERVATION_CANCELLED_AUTO",
-            referenceId: payment.reservationId,
-          },
-          {
-            emailOptions: {
-              templateName: "reservationCancelled",
-              templateData: {
-                customerName: payment.reservation.customer.name,
-                serviceName:
-                  payment.reservation.service?.name || "layanan Anda",
-                reservationId: payment.reservationId
-                  .substring(0, 8)
-                  .toUpperCase(),
-                reason:
-                  "Waktu pembayaran telah melewati batas yang ditentukan.",
-              },
-            },
-          }
-        );
-      }
       console.log(
         `[SCHEDULER] Successfully expired reservation ${payment.reservationId}.`
       );
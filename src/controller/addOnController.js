@@ -0,0 +1,230 @@
+// src/controller/addOnController.js
+import {
+  getAddOns,
+  getAddOnById,
+  createAddOn,
+  updateAddOn,
+} from "../repository/addOnRepository.js";
+
+/**
+ * Validasi & parsing input add-on.
+ * @param {Object} body - Request body
+ * @param {Boolean} isUpdate - Jika true, semua field opsional
+ * @returns {{ data?: Object, serviceIds?: Array, error?: string }}
+ */
+const parseAddOnInput = (body, isUpdate = false) => {
+  const { name, description, price, extraMinutes, serviceIds } = body;
+  const data = {};
+
+  if (!isUpdate && (!name || price === undefined || !serviceIds)) {
+    return { error: "Name, price and serviceIds are required" };
+  }
+
+  if (name !== undefined) data.name = name.trim();
+  if (description !== undefined) data.description = description?.trim() || null;
+
+  if (price !== undefined) {
+    const parsedPrice = parseFloat(price);
+    if (isNaN(parsedPrice) || parsedPrice <= 0) {
+      return { error: "Price must be a positive number" };
+    }
+    data.price = parsedPrice;
+  }
+
+  if (extraMinutes !== undefined) {
+    const parsedMinutes = parseInt(extraMinutes, 10);
+    if (isNaN(parsedMinutes) || parsedMinutes < 0) {
+      return { error: "Extra minutes must be zero or a positive number" };
+    }
+    data.extraMinutes = parsedMinutes;
+  }
+
+  if (
+    serviceIds !== undefined &&
+    (!Array.isArray(serviceIds) ||
+      serviceIds.length === 0 ||
+      serviceIds.some((id) => !id))
+  ) {
+    return { error: "serviceIds must be a non-empty array of service IDs" };
+  }
+
+  return { data, serviceIds };
+};
+
+/**
+ * Get active add-ons (public). Query: serviceId untuk add-on satu layanan
+ */
+export const getActiveAddOnsHandler = async (req, res) => {
+  try {
+    const addOns = await getAddOns({
+      activeOnly: true,
+      serviceId: req.query.serviceId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Add-ons retrieved successfully",
+      data: addOns,
+    });
+  } catch (error) {
+    console.error("[GET ADD-ONS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve add-ons",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get all add-ons including inactive ones (owner)
+ */
+export const getAllAddOnsHandler = async (req, res) => {
+  try {
+    const addOns = await getAddOns({ serviceId: req.query.serviceId });
+
+    return res.status(200).json({
+      success: true,
+      message: "Add-ons retrieved successfully",
+      data: addOns,
+    });
+  } catch (error) {
+    console.error("[GET ALL ADD-ONS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve add-ons",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get add-on by ID
+ */
+export const getAddOnHandler = async (req, res) => {
+  try {
+    const addOn = await getAddOnById(req.params.id);
+
+    if (!addOn) {
+      return res.status(404).json({
+        success: false,
+        message: "Add-on not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Add-on retrieved successfully",
+      data: addOn,
+    });
+  } catch (error) {
+    console.error("[GET ADD-ON ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve add-on",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a new add-on (owner)
+ */
+export const createAddOnHandler = async (req, res) => {
+  try {
+    const { data, serviceIds, error } = parseAddOnInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const addOn = await createAddOn(data, serviceIds);
+
+    return res.status(201).json({
+      success: true,
+      message: "Add-on created successfully",
+      data: addOn,
+    });
+  } catch (error) {
+    console.error("[CREATE ADD-ON ERROR]:", error);
+    // P2025: service yang di-connect tidak ditemukan
+    const isNotFound = error.code === "P2025";
+    return res.status(isNotFound ? 404 : 500).json({
+      success: false,
+      message: isNotFound ? "Service not found" : "Failed to create add-on",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update an add-on (owner).
+ * Reservasi yang sudah ada tetap memakai harga & durasi saat dipesan.
+ */
+export const updateAddOnHandler = async (req, res) => {
+  try {
+    const existingAddOn = await getAddOnById(req.params.id);
+    if (!existingAddOn) {
+      return res.status(404).json({
+        success: false,
+        message: "Add-on not found",
+      });
+    }
+
+    const { data, serviceIds, error } = parseAddOnInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (req.body.isActive !== undefined) {
+      data.isActive =
+        req.body.isActive === true || req.body.isActive === "true";
+    }
+
+    const addOn = await updateAddOn(existingAddOn.id, data, serviceIds);
+
+    return res.status(200).json({
+      success: true,
+      message: "Add-on updated successfully",
+      data: addOn,
+    });
+  } catch (error) {
+    console.error("[UPDATE ADD-ON ERROR]:", error);
+    const isNotFound = error.code === "P2025";
+    return res.status(isNotFound ? 404 : 500).json({
+      success: false,
+      message: isNotFound ? "Service not found" : "Failed to update add-on",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Deactivate an add-on (owner).
+ * Add-on tidak dihapus karena masih direferensikan oleh reservasi.
+ */
+export const deactivateAddOnHandler = async (req, res) => {
+  try {
+    const existingAddOn = await getAddOnById(req.params.id);
+    if (!existingAddOn) {
+      return res.status(404).json({
+        success: false,
+        message: "Add-on not found",
+      });
+    }
+
+    const addOn = await updateAddOn(existingAddOn.id, { isActive: false });
+
+    return res.status(200).json({
+      success: true,
+      message: "Add-on deactivated successfully",
+      data: addOn,
+    });
+  } catch (error) {
+    console.error("[DEACTIVATE ADD-ON ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to deactivate add-on",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
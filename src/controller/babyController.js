@@ -0,0 +1,220 @@
+// src/controller/babyController.js
+import {
+  createBaby,
+  getBabiesByCustomer,
+  getBabyById,
+  updateBaby,
+  deleteBaby,
+} from "../repository/babyRepository.js";
+import { calculateAgeInMonths } from "../utils/ageUtils.js";
+
+const VALID_GENDERS = ["MALE", "FEMALE"];
+
+/**
+ * Validasi & parsing input profil bayi.
+ * @param {Object} body - Request body
+ * @param {Boolean} isUpdate - Jika true, semua field opsional
+ * @returns {{ data?: Object, error?: string }}
+ */
+const parseBabyInput = (body, isUpdate = false) => {
+  const { name, birthDate, gender, notes } = body;
+  const data = {};
+
+  if (!isUpdate && (!name || !birthDate)) {
+    return { error: "Nama dan tanggal lahir bayi wajib diisi." };
+  }
+
+  if (name !== undefined) {
+    if (!name.trim()) {
+      return { error: "Nama bayi tidak boleh kosong." };
+    }
+    data.name = name.trim();
+  }
+
+  if (birthDate !== undefined) {
+    const parsedBirthDate = new Date(birthDate);
+    if (isNaN(parsedBirthDate.getTime())) {
+      return { error: "Format tanggal lahir tidak valid (YYYY-MM-DD)." };
+    }
+    if (parsedBirthDate > new Date()) {
+      return { error: "Tanggal lahir tidak boleh di masa depan." };
+    }
+    data.birthDate = parsedBirthDate;
+  }
+
+  if (gender !== undefined) {
+    if (gender !== null && !VALID_GENDERS.includes(gender)) {
+      return {
+        error: `Jenis kelamin harus salah satu dari: ${VALID_GENDERS.join(
+          ", "
+        )}`,
+      };
+    }
+    data.gender = gender;
+  }
+
+  if (notes !== undefined) data.notes = notes?.trim() || null;
+
+  return { data };
+};
+
+/**
+ * Tambahkan umur (bulan) terkini ke profil bayi untuk response
+ */
+const withCurrentAge = (baby) => ({
+  ...baby,
+  ageInMonths: calculateAgeInMonths(baby.birthDate),
+});
+
+/**
+ * Ambil profil bayi milik customer yang sedang login, atau kirim 404/403.
+ */
+const findOwnedBaby = async (req, res) => {
+  const baby = await getBabyById(req.params.id);
+
+  if (!baby) {
+    res.status(404).json({
+      success: false,
+      message: "Profil bayi tidak ditemukan.",
+    });
+    return null;
+  }
+
+  if (baby.customerId !== req.customer.id) {
+    res.status(403).json({
+      success: false,
+      message: "Anda tidak berhak mengakses profil bayi ini.",
+    });
+    return null;
+  }
+
+  return baby;
+};
+
+/**
+ * Create a baby profile for the logged in customer
+ */
+const createBabyProfile = async (req, res) => {
+  try {
+    const { data, error } = parseBabyInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const baby = await createBaby({ ...data, customerId: req.customer.id });
+
+    res.status(201).json({
+      success: true,
+      message: "Profil bayi berhasil dibuat.",
+      data: withCurrentAge(baby),
+    });
+  } catch (error) {
+    console.error("[CREATE BABY ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Gagal membuat profil bayi.",
+    });
+  }
+};
+
+/**
+ * Get all baby profiles of the logged in customer
+ */
+const getMyBabies = async (req, res) => {
+  try {
+    const babies = await getBabiesByCustomer(req.customer.id);
+
+    res.status(200).json({
+      success: true,
+      count: babies.length,
+      data: babies.map(withCurrentAge),
+    });
+  } catch (error) {
+    console.error("[GET BABIES ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Gagal mengambil profil bayi.",
+    });
+  }
+};
+
+/**
+ * Get a single baby profile by ID
+ */
+const getBabyProfile = async (req, res) => {
+  try {
+    const baby = await findOwnedBaby(req, res);
+    if (!baby) return;
+
+    res.status(200).json({
+      success: true,
+      data: withCurrentAge(baby),
+    });
+  } catch (error) {
+    console.error("[GET BABY BY ID ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Gagal mengambil profil bayi.",
+    });
+  }
+};
+
+/**
+ * Update a baby profile by ID
+ */
+const updateBabyProfile = async (req, res) => {
+  try {
+    const baby = await findOwnedBaby(req, res);
+    if (!baby) return;
+
+    const { data, error } = parseBabyInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const updatedBaby = await updateBaby(baby.id, data);
+
+    res.status(200).json({
+      success: true,
+      message: "Profil bayi berhasil diperbarui.",
+      data: withCurrentAge(updatedBaby),
+    });
+  } catch (error) {
+    console.error("[UPDATE BABY ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Gagal memperbarui profil bayi.",
+    });
+  }
+};
+
+/**
+ * Delete a baby profile by ID
+ */
+const deleteBabyProfile = async (req, res) => {
+  try {
+    const baby = await findOwnedBaby(req, res);
+    if (!baby) return;
+
+    await deleteBaby(baby.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Profil bayi berhasil dihapus.",
+    });
+  } catch (error) {
+    console.error("[DELETE BABY ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Gagal menghapus profil bayi.",
+    });
+  }
+};
+
+export default {
+  createBabyProfile,
+  getMyBabies,
+  getBabyProfile,
+  updateBabyProfile,
+  deleteBabyProfile,
+};
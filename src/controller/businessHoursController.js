@@ -0,0 +1,200 @@
+// src/controller/businessHoursController.js
+import {
+  getWeeklyBusinessHours,
+  upsertBusinessHours,
+  resetBusinessHours,
+} from "../repository/businessHoursRepository.js";
+import { isValidTimeString, timeToMinutes } from "../utils/timeUtils.js";
+
+/**
+ * Validasi & parsing jam operasional satu hari.
+ * @param {Object} day - { dayOfWeek, isClosed, openTime, closeTime, slotDurationMinutes, breaks }
+ * @returns {{ data?: Object, error?: string }}
+ */
+const parseBusinessDayInput = (day) => {
+  const dayOfWeek = parseInt(day?.dayOfWeek, 10);
+  if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    return { error: "dayOfWeek must be a number between 0 (Sunday) and 6" };
+  }
+
+  const {
+    isClosed = false,
+    openTime = "07:00",
+    closeTime = "15:00",
+    slotDurationMinutes = 60,
+    breaks = [],
+  } = day;
+  const label = `Day ${dayOfWeek}`;
+
+  if (!isValidTimeString(openTime) || !isValidTimeString(closeTime)) {
+    return { error: `${label}: openTime and closeTime must use HH:mm format` };
+  }
+
+  const openMinutes = timeToMinutes(openTime);
+  const closeMinutes = timeToMinutes(closeTime);
+  if (openMinutes >= closeMinutes) {
+    return { error: `${label}: openTime must be earlier than closeTime` };
+  }
+
+  const duration = parseInt(slotDurationMinutes, 10);
+  if (isNaN(duration) || duration <= 0) {
+    return { error: `${label}: slotDurationMinutes must be a positive number` };
+  }
+  if (duration > closeMinutes - openMinutes) {
+    return {
+      error: `${label}: slotDurationMinutes is longer than the opening hours`,
+    };
+  }
+
+  if (!Array.isArray(breaks)) {
+    return { error: `${label}: breaks must be an array` };
+  }
+
+  const parsedBreaks = [];
+  for (const breakTime of breaks) {
+    if (
+      !isValidTimeString(breakTime?.start) ||
+      !isValidTimeString(breakTime?.end)
+    ) {
+      return { error: `${label}: break start and end must use HH:mm format` };
+    }
+
+    const breakStart = timeToMinutes(breakTime.start);
+    const breakEnd = timeToMinutes(breakTime.end);
+    if (
+      breakStart >= breakEnd ||
+      breakStart < openMinutes ||
+      breakEnd > closeMinutes
+    ) {
+      return {
+        error: `${label}: breaks must start before they end and fall within opening hours`,
+      };
+    }
+
+    const overlaps = parsedBreaks.some(
+      (other) =>
+        breakStart < timeToMinutes(other.end) &&
+        breakEnd > timeToMinutes(other.start)
+    );
+    if (overlaps) {
+      return { error: `${label}: breaks must not overlap each other` };
+    }
+
+    parsedBreaks.push({
+      start: breakTime.start,
+      end: breakTime.end,
+      label: breakTime.label?.trim() || null,
+    });
+  }
+
+  return {
+    data: {
+      dayOfWeek,
+      isClosed: isClosed === true || isClosed === "true",
+      openTime,
+      closeTime,
+      slotDurationMinutes: duration,
+      breaks: parsedBreaks,
+    },
+  };
+};
+
+/**
+ * Get the weekly business hours template (owner)
+ */
+export const getBusinessHoursHandler = async (req, res) => {
+  try {
+    const businessHours = await getWeeklyBusinessHours();
+
+    return res.status(200).json({
+      success: true,
+      message: "Business hours retrieved successfully",
+      data: businessHours,
+    });
+  } catch (error) {
+    console.error("[GET BUSINESS HOURS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve business hours",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update business hours for one or more weekdays (owner).
+ * Body: { days: [{ dayOfWeek, isClosed, openTime, closeTime, slotDurationMinutes, breaks }] }
+ * Perubahan hanya berlaku untuk jadwal yang di-generate setelahnya.
+ */
+export const updateBusinessHoursHandler = async (req, res) => {
+  try {
+    const { days } = req.body;
+
+    if (!Array.isArray(days) || days.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "days must be a non-empty array",
+      });
+    }
+
+    const parsedDays = [];
+    for (const day of days) {
+      const { data, error } = parseBusinessDayInput(day);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      if (parsedDays.some((parsed) => parsed.dayOfWeek === data.dayOfWeek)) {
+        return res.status(400).json({
+          success: false,
+          message: `Day ${data.dayOfWeek} is listed more than once`,
+        });
+      }
+      parsedDays.push(data);
+    }
+
+    const businessHours = await upsertBusinessHours(parsedDays);
+
+    return res.status(200).json({
+      success: true,
+      message: "Business hours updated successfully",
+      data: businessHours,
+    });
+  } catch (error) {
+    console.error("[UPDATE BUSINESS HOURS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update business hours",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Reset one weekday back to the default business hours (owner)
+ */
+export const resetBusinessDayHandler = async (req, res) => {
+  try {
+    const dayOfWeek = parseInt(req.params.dayOfWeek, 10);
+    if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return res.status(400).json({
+        success: false,
+        message: "dayOfWeek must be a number between 0 (Sunday) and 6",
+      });
+    }
+
+    const businessHours = await resetBusinessHours([dayOfWeek]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Business hours reset to default",
+      data: businessHours,
+    });
+  } catch (error) {
+    console.error("[RESET BUSINESS HOURS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to reset business hours",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
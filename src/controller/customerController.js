@@ -9,11 +9,16 @@ import {
   findPelangganById,
   updatePelanggan,
 } from "../repository/customerRepository.js";
+import { findCustomerByReferralCode } from "../repository/referralRepository.js";
+import {
+  generateReferralCode,
+  canBeReferred,
+} from "../services/referralService.js";
 import { generateOTP, sendOtp, sendEmailWithTemplate } from "../utils/email.js";
 import prisma from "../config/db.js";
 const register = async (req, res) => {
   try {
-    const { name, email, phoneNumber, password } = req.body;
+    const { name, email, phoneNumber, password, referralCode } = req.body;
 
     // 1. Cek apakah email sudah terdaftar sebagai akun online penuh
     const customerByEmail = await findPelangganByEmail(email);
@@ -28,6 +33,15 @@ const register = async (req, res) => {
     // 2. Cek apakah nomor telepon sudah terdaftar
     const customerByPhone = await findPelangganByPhoneNumber(phoneNumber);
 
+    // Kode referral (opsional) dari customer yang mengajak
+    let referrer = null;
+    if (referralCode) {
+      referrer = await findCustomerByReferralCode(referralCode);
+      if (!referrer || referrer.id === customerByPhone?.id) {
+        return res.status(400).json({ message: "Kode referral tidak valid." });
+      }
+    }
+
     const salt = parseInt(process.env.SALT);
     const hashedPassword = await bcrypt.hash(password, salt);
     const otp = generateOTP();
@@ -36,6 +50,9 @@ const register = async (req, res) => {
 
     // SKENARIO A: Klaim Akun (Nomor HP ada & statusnya manual)
     if (customerByPhone && customerByPhone.isManualCustomer) {
+      // Referral hanya berlaku jika akun manual belum pernah menyelesaikan reservasi
+      const isReferred = referrer && (await canBeReferred(customerByPhone.id));
+
       const activatedCustomer = await prisma.customer.update({
         where: { id: customerByPhone.id },
         data: {
@@ -46,6 +63,11 @@ const register = async (req, res) => {
           isVerified: false, // Wajibkan verifikasi email baru
           verificationOtp: otp,
           verificationOtpCreatedAt: new Date(),
+          referralCode:
+            customerByPhone.referralCode || (await generateReferralCode(name)),
+          ...(isReferred && {
+            referredBy: { create: { referrerId: referrer.id } },
+          }),
         },
       });
 
@@ -76,6 +98,10 @@ const register = async (req, res) => {
           password: hashedPassword,
           verificationOtp: otp,
           verificationOtpCreatedAt: new Date(),
+          referralCode: await generateReferralCode(name),
+          ...(referrer && {
+            referredBy: { create: { referrerId: referrer.id } },
+          }),
         },
       });
 
@@ -0,0 +1,264 @@
+// src/controller/holidayController.js
+import {
+  getHolidays,
+  getHolidayById,
+  getHolidayByDate,
+  createHoliday,
+  importHolidays,
+  updateHoliday,
+  deleteHoliday,
+} from "../repository/holidayRepository.js";
+import {
+  applyHolidaysToSchedules,
+  releaseHolidayFromSchedules,
+  renameHolidayOnSchedules,
+} from "../services/holidayService.js";
+import { parseIcsHolidays } from "../utils/icsParser.js";
+
+/**
+ * Get holidays (owner). Query: year atau startDate & endDate
+ */
+export const getHolidaysHandler = async (req, res) => {
+  try {
+    const { year, startDate, endDate } = req.query;
+    let range = {};
+
+    if (year) {
+      const parsedYear = parseInt(year, 10);
+      if (isNaN(parsedYear)) {
+        return res.status(400).json({
+          success: false,
+          message: "Year must be a number",
+        });
+      }
+      range = {
+        startDate: new Date(Date.UTC(parsedYear, 0, 1)),
+        endDate: new Date(Date.UTC(parsedYear, 11, 31)),
+      };
+    } else {
+      if (
+        (startDate && isNaN(new Date(startDate).getTime())) ||
+        (endDate && isNaN(new Date(endDate).getTime()))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date format. Please use YYYY-MM-DD",
+        });
+      }
+      range = {
+        startDate: startDate ? new Date(startDate) : undefined,
+        endDate: endDate ? new Date(endDate) : undefined,
+      };
+    }
+
+    const holidays = await getHolidays(range);
+
+    return res.status(200).json({
+      success: true,
+      message: "Holidays retrieved successfully",
+      data: holidays,
+    });
+  } catch (error) {
+    console.error("[GET HOLIDAYS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve holidays",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a holiday (owner).
+ * Jadwal yang sudah di-generate pada tanggal tersebut ditandai libur,
+ * dan reservasi aktif yang terdampak dikembalikan untuk ditindaklanjuti.
+ */
+export const createHolidayHandler = async (req, res) => {
+  try {
+    const { date, name } = req.body;
+
+    if (!date || !name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Date and name are required",
+      });
+    }
+    if (isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date format. Please use YYYY-MM-DD",
+      });
+    }
+
+    const existingHoliday = await getHolidayByDate(date);
+    if (existingHoliday) {
+      return res.status(409).json({
+        success: false,
+        message: `A holiday already exists on this date (${existingHoliday.name})`,
+      });
+    }
+
+    const holiday = await createHoliday({
+      date,
+      name: name.trim(),
+      source: "MANUAL",
+    });
+    const { markedSchedules, affectedReservations } =
+      await applyHolidaysToSchedules([holiday]);
+
+    return res.status(201).json({
+      success: true,
+      message: "Holiday created successfully",
+      data: {
+        holiday,
+        markedSchedules,
+        affectedReservations,
+      },
+    });
+  } catch (error) {
+    console.error("[CREATE HOLIDAY ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create holiday",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Import holidays from an uploaded iCalendar (.ics) file (owner).
+ * Form field: file. Tanggal yang sudah terdaftar dilewati.
+ */
+export const importHolidaysHandler = async (req, res) => {
+  try {
+    if (!req.calendarContent) {
+      return res.status(400).json({
+        success: false,
+        message: "An .ics file is required",
+      });
+    }
+
+    let parsedHolidays;
+    try {
+      parsedHolidays = parseIcsHolidays(req.calendarContent);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message,
+      });
+    }
+
+    if (parsedHolidays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No holiday events found in the calendar file",
+      });
+    }
+
+    const { created, skipped } = await importHolidays(
+      parsedHolidays.map((holiday) => ({
+        date: holiday.date,
+        name: holiday.name,
+        externalUid: holiday.uid,
+      }))
+    );
+    const { markedSchedules, affectedReservations } =
+      await applyHolidaysToSchedules(created);
+
+    return res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} holidays (${skipped.length} already registered)`,
+      data: {
+        imported: created,
+        skipped,
+        markedSchedules,
+        affectedReservations,
+      },
+    });
+  } catch (error) {
+    console.error("[IMPORT HOLIDAYS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to import holidays",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Rename a holiday (owner)
+ */
+export const updateHolidayHandler = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Name is required",
+      });
+    }
+
+    const existingHoliday = await getHolidayById(req.params.id);
+    if (!existingHoliday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    const holiday = await updateHoliday(existingHoliday.id, {
+      name: name.trim(),
+    });
+    await renameHolidayOnSchedules(existingHoliday, holiday.name);
+
+    return res.status(200).json({
+      success: true,
+      message: "Holiday updated successfully",
+      data: holiday,
+    });
+  } catch (error) {
+    console.error("[UPDATE HOLIDAY ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update holiday",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delete a holiday (owner).
+ * Jadwal yang ditandai libur oleh hari libur ini dibuka kembali.
+ */
+export const deleteHolidayHandler = async (req, res) => {
+  try {
+    const existingHoliday = await getHolidayById(req.params.id);
+    if (!existingHoliday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    await deleteHoliday(existingHoliday.id);
+    const reopenedSchedules =
+      await releaseHolidayFromSchedules(existingHoliday);
+
+    return res.status(200).json({
+      success: true,
+      message: "Holiday deleted successfully",
+      data: {
+        holiday: existingHoliday,
+        reopenedSchedules,
+      },
+    });
+  } catch (error) {
+    console.error("[DELETE HOLIDAY ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete holiday",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
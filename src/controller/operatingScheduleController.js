@@ -7,6 +7,7 @@ import {
   updateOperatingSchedule,
   deleteOperatingSchedule,
   toggleHolidayStatus,
+  getActiveReservationsBySchedules,
 } from "../repository/operatingScheduleRepository.js";
 
 /**
@@ -198,10 +199,16 @@ const updateSchedule = async (req, res) => {
     // Update schedule
     const updatedSchedule = await updateOperatingSchedule(id, updateData);
 
+    // Reservasi aktif yang terdampak jika hari kerja diubah menjadi libur
+    const affectedReservations =
+      updateData.isHoliday && !existingSchedule.isHoliday
+        ? await getActiveReservationsBySchedules([id])
+        : [];
+
     res.status(200).json({
       success: true,
       message: "Operating schedule updated successfully",
-      data: updatedSchedule,
+      data: { ...updatedSchedule, affectedReservations },
     });
   } catch (error) {
     console.error("[UPDATE OPERATING SCHEDULE ERROR]:", error);
@@ -295,12 +302,17 @@ const toggleHoliday = async (req, res) => {
     // Toggle status
     const updatedSchedule = await toggleHolidayStatus(id, holidayStatus);
 
+    // Reservasi aktif yang terdampak jika tanggal dijadikan libur
+    const affectedReservations = holidayStatus
+      ? await getActiveReservationsBySchedules([id])
+      : [];
+
     res.status(200).json({
       success: true,
       message: `Operating schedule marked as ${
         holidayStatus ? "holiday" : "working day"
       } successfully`,
-      data: updatedSchedule,
+      data: { ...updatedSchedule, affectedReservations },
     });
   } catch (error) {
     console.error("[TOGGLE HOLIDAY STATUS ERROR]:", error);
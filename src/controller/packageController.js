@@ -0,0 +1,470 @@
+// src/controller/packageController.js
+import prisma from "../config/db.js";
+import { getPaymentExpiryDate } from "../config/paymentConfig.js";
+import {
+  getPackages,
+  getPackageById,
+  createPackage,
+  updatePackage,
+  createCustomerPackage,
+  updateCustomerPackage,
+  getCustomerPackages,
+} from "../repository/packageRepository.js";
+import { getServiceById } from "../repository/serviceRepository.js";
+import { createTransaction } from "../utils/tripay.js";
+import {
+  validateAndFormatPhone,
+  mapTripayMethodToEnum,
+} from "../utils/paymentUtils.js";
+import { expireCustomerPackages } from "../services/packageService.js";
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Validasi & parsing input paket.
+ * @param {Object} body - Request body
+ * @param {Boolean} isUpdate - Jika true, semua field opsional
+ * @returns {{ data?: Object, error?: string }}
+ */
+const parsePackageInput = (body, isUpdate = false) => {
+  const { name, description, serviceId, credits, price, validityDays } = body;
+  const data = {};
+
+  if (
+    !isUpdate &&
+    (!name || !serviceId || !credits || !price || !validityDays)
+  ) {
+    return {
+      error: "Name, serviceId, credits, price and validityDays are required",
+    };
+  }
+
+  if (name !== undefined) data.name = name.trim();
+  if (description !== undefined) data.description = description?.trim() || null;
+  if (serviceId !== undefined) data.serviceId = serviceId;
+
+  if (credits !== undefined) {
+    const parsedCredits = parseInt(credits, 10);
+    if (isNaN(parsedCredits) || parsedCredits <= 0) {
+      return { error: "Credits must be a positive number" };
+    }
+    data.credits = parsedCredits;
+  }
+
+  if (price !== undefined) {
+    const parsedPrice = parseFloat(price);
+    if (isNaN(parsedPrice) || parsedPrice <= 0) {
+      return { error: "Price must be a positive number" };
+    }
+    data.price = parsedPrice;
+  }
+
+  if (validityDays !== undefined) {
+    const parsedValidity = parseInt(validityDays, 10);
+    if (isNaN(parsedValidity) || parsedValidity <= 0) {
+      return { error: "Validity days must be a positive number" };
+    }
+    data.validityDays = parsedValidity;
+  }
+
+  return { data };
+};
+
+/**
+ * Get packages that are for sale (public)
+ */
+export const getActivePackagesHandler = async (req, res) => {
+  try {
+    const packages = await getPackages({ activeOnly: true });
+
+    return res.status(200).json({
+      success: true,
+      message: "Packages retrieved successfully",
+      data: packages,
+    });
+  } catch (error) {
+    console.error("[GET PACKAGES ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve packages",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get all packages including inactive ones (owner)
+ */
+export const getAllPackagesHandler = async (req, res) => {
+  try {
+    const packages = await getPackages();
+
+    return res.status(200).json({
+      success: true,
+      message: "Packages retrieved successfully",
+      data: packages,
+    });
+  } catch (error) {
+    console.error("[GET ALL PACKAGES ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve packages",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get package by ID
+ */
+export const getPackageHandler = async (req, res) => {
+  try {
+    const servicePackage = await getPackageById(req.params.id);
+
+    if (!servicePackage) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Package retrieved successfully",
+      data: servicePackage,
+    });
+  } catch (error) {
+    console.error("[GET PACKAGE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve package",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a new package (owner)
+ */
+export const createPackageHandler = async (req, res) => {
+  try {
+    const { data, error } = parsePackageInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const service = await getServiceById(data.serviceId);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: "Service not found",
+      });
+    }
+
+    const servicePackage = await createPackage(data);
+
+    return res.status(201).json({
+      success: true,
+      message: "Package created successfully",
+      data: servicePackage,
+    });
+  } catch (error) {
+    console.error("[CREATE PACKAGE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create package",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update a package (owner).
+ * Perubahan tidak mempengaruhi paket yang sudah dibeli customer.
+ */
+export const updatePackageHandler = async (req, res) => {
+  try {
+    const existingPackage = await getPackageById(req.params.id);
+    if (!existingPackage) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    const { data, error } = parsePackageInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (req.body.isActive !== undefined) {
+      data.isActive =
+        req.body.isActive === true || req.body.isActive === "true";
+    }
+
+    if (data.serviceId && !(await getServiceById(data.serviceId))) {
+      return res.status(404).json({
+        success: false,
+        message: "Service not found",
+      });
+    }
+
+    const servicePackage = await updatePackage(existingPackage.id, data);
+
+    return res.status(200).json({
+      success: true,
+      message: "Package updated successfully",
+      data: servicePackage,
+    });
+  } catch (error) {
+    console.error("[UPDATE PACKAGE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update package",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Stop selling a package (owner).
+ * Paket tidak dihapus karena masih direferensikan oleh pembelian customer.
+ */
+export const deactivatePackageHandler = async (req, res) => {
+  try {
+    const existingPackage = await getPackageById(req.params.id);
+    if (!existingPackage) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    const servicePackage = await updatePackage(existingPackage.id, {
+      isActive: false,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Package deactivated successfully",
+      data: servicePackage,
+    });
+  } catch (error) {
+    console.error("[DEACTIVATE PACKAGE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to deactivate package",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Purchase a package through Tripay (customer)
+ */
+export const purchasePackageHandler = async (req, res) => {
+  try {
+    const { paymentMethod } = req.body;
+
+    if (!paymentMethod) {
+      return res.status(400).json({
+        success: false,
+        message: "Metode pembayaran wajib diisi.",
+      });
+    }
+
+    const [servicePackage, customer] = await Promise.all([
+      getPackageById(req.params.id),
+      prisma.customer.findUnique({ where: { id: req.customer.id } }),
+    ]);
+
+    if (!servicePackage || !servicePackage.isActive) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Paket tidak ditemukan." });
+    }
+    if (!customer) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Data pelanggan tidak ditemukan." });
+    }
+
+    const dbPaymentMethod = mapTripayMethodToEnum(paymentMethod);
+    const customerPackage = await createCustomerPackage({
+      customerId: customer.id,
+      packageId: servicePackage.id,
+      totalCredits: servicePackage.credits,
+      remainingCredits: servicePackage.credits,
+      price: servicePackage.price,
+      paymentMethod: dbPaymentMethod,
+      paymentExpiryDate: getPaymentExpiryDate(dbPaymentMethod),
+    });
+
+    let tripayTransaction;
+    try {
+      tripayTransaction = await createTransaction({
+        reservationId: customerPackage.id,
+        merchantRef: `BABYSPA-PKG-${customerPackage.id}`,
+        returnUrl: `${FRONTEND_URL}/payment/status?package_id=${customerPackage.id}`,
+        customerName: customer.name.trim(),
+        customerEmail: customer.email.trim(),
+        customerPhone: validateAndFormatPhone(customer.phoneNumber),
+        paymentMethod,
+        amount: servicePackage.price,
+        serviceName: servicePackage.name,
+        expiryDate: customerPackage.paymentExpiryDate,
+      });
+    } catch (tripayError) {
+      await updateCustomerPackage(customerPackage.id, {
+        status: "CANCELLED",
+        paymentStatus: "FAILED",
+      });
+      throw tripayError;
+    }
+
+    const updatedPackage = await updateCustomerPackage(customerPackage.id, {
+      transactionId: tripayTransaction.reference,
+      tripayPaymentUrl: tripayTransaction.checkout_url,
+      tripayResponse: tripayTransaction,
+      tripayInstructions: tripayTransaction.instructions || {},
+    });
+
+    return res.status(201).json({
+      success: true,
+      message:
+        "Pembelian paket berhasil dibuat. Silakan selesaikan pembayaran.",
+      data: {
+        customerPackage: {
+          id: updatedPackage.id,
+          status: updatedPackage.status,
+          packageName: servicePackage.name,
+          credits: updatedPackage.totalCredits,
+        },
+        payment: {
+          status: updatedPackage.paymentStatus,
+          amount: updatedPackage.price,
+          expiryDate: updatedPackage.paymentExpiryDate,
+          tripayPaymentUrl: updatedPackage.tripayPaymentUrl,
+          qrCode: tripayTransaction.qr_string || null,
+          instructions: tripayTransaction.instructions || {},
+        },
+      },
+    });
+  } catch (error) {
+    console.error("[PURCHASE PACKAGE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal membuat pembelian paket.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get packages purchased by the logged in customer
+ */
+export const getMyPackagesHandler = async (req, res) => {
+  try {
+    const packages = await getCustomerPackages({
+      customerId: req.customer.id,
+      status: req.query.status,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Paket berhasil diambil.",
+      data: packages,
+    });
+  } catch (error) {
+    console.error("[GET MY PACKAGES ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal mengambil paket.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get remaining credits per customer (owner).
+ * Optional query: customerId
+ */
+export const getCustomerCreditsHandler = async (req, res) => {
+  try {
+    const packages = await getCustomerPackages({
+      customerId: req.query.customerId || req.params.customerId,
+      status: "ACTIVE",
+    });
+
+    const creditsByCustomer = new Map();
+    for (const customerPackage of packages) {
+      const { customer } = customerPackage;
+      if (!creditsByCustomer.has(customer.id)) {
+        creditsByCustomer.set(customer.id, {
+          customer,
+          totalRemainingCredits: 0,
+          packages: [],
+        });
+      }
+
+      const summary = creditsByCustomer.get(customer.id);
+      summary.totalRemainingCredits += customerPackage.remainingCredits;
+      summary.packages.push({
+        id: customerPackage.id,
+        packageName: customerPackage.package.name,
+        service: customerPackage.package.service,
+        totalCredits: customerPackage.totalCredits,
+        remainingCredits: customerPackage.remainingCredits,
+        activatedAt: customerPackage.activatedAt,
+        expiresAt: customerPackage.expiresAt,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Customer credits retrieved successfully",
+      data: Array.from(creditsByCustomer.values()),
+    });
+  } catch (error) {
+    console.error("[GET CUSTOMER CREDITS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve customer credits",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Cron endpoint: expire packages and cancel unpaid purchases
+ */
+export const runPackageExpiryController = async (req, res) => {
+  try {
+    const { secret } = req.query;
+
+    if (
+      process.env.SCHEDULER_SECRET &&
+      secret !== process.env.SCHEDULER_SECRET
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Unauthorized access",
+      });
+    }
+
+    const result = await expireCustomerPackages();
+
+    res.status(200).json({
+      success: true,
+      message: `Expired ${result.expiredCount} packages, cancelled ${result.cancelledCount} unpaid purchases.`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("[PACKAGE EXPIRY CONTROLLER ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run package expiry job",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,179 @@
+// src/controller/referralController.js
+import { endOfDay, startOfDay } from "date-fns";
+import {
+  getReferralByReferee,
+  getReferralsByReferrer,
+  getReferralsForReport,
+} from "../repository/referralRepository.js";
+import { findPelangganById } from "../repository/customerRepository.js";
+import {
+  ensureReferralCode,
+  REFERRAL_REWARD_AMOUNT,
+} from "../services/referralService.js";
+
+const REDEEMED_PAYMENT_STATUSES = ["PAID", "PARTIALLY_REFUNDED"];
+
+/**
+ * Ringkas status pemakaian voucher hadiah referral
+ * @param {Object} voucher - Voucher dengan payments aktif
+ * @returns {Object} { id, code, customerId, value, endDate, status, redeemedAmount }
+ */
+const summarizeRewardVoucher = (voucher) => {
+  const redeemedPayment = voucher.payments.find((payment) =>
+    REDEEMED_PAYMENT_STATUSES.includes(payment.paymentStatus)
+  );
+
+  let status = "AVAILABLE";
+  if (redeemedPayment) {
+    status = "REDEEMED";
+  } else if (voucher.payments.length > 0) {
+    status = "RESERVED"; // Dipakai pada pembayaran yang belum lunas
+  } else if (!voucher.isActive || new Date(voucher.endDate) < new Date()) {
+    status = "EXPIRED";
+  }
+
+  return {
+    id: voucher.id,
+    code: voucher.code,
+    customerId: voucher.customerId,
+    value: voucher.discountValue,
+    endDate: voucher.endDate,
+    status,
+    redeemedAmount: redeemedPayment?.discountAmount || 0,
+  };
+};
+
+/**
+ * Kode referral & daftar teman yang diajak (customer)
+ */
+export const getMyReferralHandler = async (req, res) => {
+  try {
+    const customer = await findPelangganById(req.customer.id);
+    if (!customer) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Customer tidak ditemukan." });
+    }
+
+    const [referralCode, referrals, referredBy] = await Promise.all([
+      ensureReferralCode(customer),
+      getReferralsByReferrer(customer.id),
+      getReferralByReferee(customer.id),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Data referral berhasil diambil.",
+      data: {
+        referralCode,
+        rewardAmount: REFERRAL_REWARD_AMOUNT,
+        referredBy: referredBy
+          ? { name: referredBy.referrer.name, status: referredBy.status }
+          : null,
+        referrals: referrals.map((referral) => ({
+          id: referral.id,
+          refereeName: referral.referee.name,
+          status: referral.status,
+          createdAt: referral.createdAt,
+          rewardedAt: referral.rewardedAt,
+          rewardVoucher: referral.rewardVouchers[0]
+            ? summarizeRewardVoucher(referral.rewardVouchers[0])
+            : null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("[GET MY REFERRAL ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal mengambil data referral.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Laporan referral & hadiah yang diberikan (owner)
+ * Query: startDate, endDate (tanggal referral dibuat), status
+ */
+export const getReferralReportHandler = async (req, res) => {
+  try {
+    const { startDate, endDate, status } = req.query;
+
+    if (status && !["PENDING", "REWARDED"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be one of: PENDING, REWARDED",
+      });
+    }
+    if (
+      (startDate && isNaN(new Date(startDate).getTime())) ||
+      (endDate && isNaN(new Date(endDate).getTime()))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date format. Please use YYYY-MM-DD",
+      });
+    }
+
+    const referrals = await getReferralsForReport({
+      startDate: startDate ? startOfDay(new Date(startDate)) : undefined,
+      endDate: endDate ? endOfDay(new Date(endDate)) : undefined,
+      status,
+    });
+
+    const summary = {
+      totalReferrals: referrals.length,
+      pending: 0,
+      rewarded: 0,
+      vouchersIssued: 0,
+      totalRewardIssued: 0,
+      vouchersRedeemed: 0,
+      totalRewardRedeemed: 0,
+    };
+
+    const data = referrals.map((referral) => {
+      summary[referral.status === "REWARDED" ? "rewarded" : "pending"] += 1;
+
+      const rewardVouchers = referral.rewardVouchers.map(
+        summarizeRewardVoucher
+      );
+      for (const voucher of rewardVouchers) {
+        summary.vouchersIssued += 1;
+        summary.totalRewardIssued += voucher.value;
+        if (voucher.status === "REDEEMED") {
+          summary.vouchersRedeemed += 1;
+          summary.totalRewardRedeemed += voucher.redeemedAmount;
+        }
+      }
+
+      return {
+        id: referral.id,
+        status: referral.status,
+        referrer: referral.referrer,
+        referee: referral.referee,
+        createdAt: referral.createdAt,
+        rewardedAt: referral.rewardedAt,
+        qualifyingReservationId: referral.qualifyingReservationId,
+        rewardAmount: referral.rewardAmount,
+        rewardVouchers,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Referral report retrieved successfully",
+      data: {
+        summary,
+        referrals: data,
+      },
+    });
+  } catch (error) {
+    console.error("[GET REFERRAL REPORT ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve referral report",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -1,13 +1,11 @@
 // src/controller/reservationController.js
 import pkg from "uuid";
 const { v4: uuidv4 } = pkg;
-import { randomBytes } from "node:crypto";
 
 import {
   createReservation,
   getReservationById,
   getReservations,
-  updateReservationStatus,
   createPayment,
   updatePayment,
   findPaymentByTransactionId,
@@ -18,12 +16,21 @@ import {
   updatePaymentProof,
   updateReservationDetails,
   rescheduleReservation,
+  getPaymentByGroupId,
+  getReservationGroupById,
 } from "../repository/reservationRepository.js";
 import {
   getSessionById,
+  getAvailableSessions,
   updateSessionBookingStatus,
+  isSessionHeldForAnotherCustomer,
+  findConsecutiveSessions,
+  bookExtraSessions,
 } from "../repository/sessionRepository.js";
-import { validateAndFormatPhone } from "../utils/paymentUtils.js";
+import {
+  validateAndFormatPhone,
+  mapTripayMethodToEnum,
+} from "../utils/paymentUtils.js";
 import { processExpiredPayments } from "../config/paymentExpiryJob.js";
 import {
   getPaymentChannels,
@@ -32,41 +39,80 @@ import {
   verifyCallbackSignature,
 } from "../utils/tripay.js";
 import prisma from "../config/db.js";
-import { getServiceById } from "../repository/serviceRepository.js";
-import { addHours } from "date-fns";
+import {
+  getServiceById,
+  getServicePriceTierByAge,
+} from "../repository/serviceRepository.js";
+import { getBabyById } from "../repository/babyRepository.js";
+import { isStaffQualifiedForService } from "../repository/staffRepository.js";
+import {
+  findAvailableResource,
+  reserveResource,
+  RESOURCE_UNAVAILABLE_MESSAGE,
+} from "../repository/resourceRepository.js";
+import {
+  createReservationEvent,
+  createReservationEvents,
+  getReservationEvents,
+} from "../repository/reservationEventRepository.js";
+import { calculateAgeInMonths } from "../utils/ageUtils.js";
+import {
+  getCustomerPackageById,
+  findCustomerPackageByTransactionId,
+  redeemPackageCredit,
+} from "../repository/packageRepository.js";
+import { applyPackagePaymentStatus } from "../services/packageService.js";
+import {
+  resolveAddOns,
+  buildReservationAddOnsData,
+  getReservationAddOnsPrice,
+  getReservationDuration,
+} from "../services/addOnService.js";
+import {
+  offerFreedSessions,
+  acceptWaitlistOffer,
+} from "../services/waitlistService.js";
+import { getPaymentExpiryDate } from "../config/paymentConfig.js";
+import {
+  applyVoucher,
+  claimVoucherUsage,
+  buildPaymentDiscountData,
+} from "../services/voucherService.js";
+import { pickSessionForTimeSlot } from "../services/staffAssignmentService.js";
+import {
+  evaluateNoShowPolicy,
+  applyPrepaymentWindow,
+} from "../services/noShowPolicyService.js";
+import {
+  calculateRefund,
+  getRefundPolicy,
+} from "../services/refundPolicyService.js";
 import {
   createNotificationForAllOwners,
   createNotificationForCustomer,
 } from "../services/notificationService.js";
-import { addDays } from "date-fns";
+import {
+  isValidStatusTransition,
+  isInvalidTransitionError,
+  applyReservationTransition,
+  transitionReservation,
+  transitionCoveredReservations,
+  runReservationSideEffects,
+  cancelReservationGroup,
+  cancelUnpaidReservation,
+  cancelReservationWithRefund,
+} from "../services/reservationLifecycleService.js";
 
 const MINIMUM_HOURS_BEFORE_RESCHEDULE = parseInt(
   process.env.MINIMUM_HOURS_RESCHEDULE || "24",
   10
 );
 const MAX_RESCHEDULE_COUNT = parseInt(process.env.MAX_RESCHEDULE || "2", 10);
-const generateRatingToken = () => {
-  const token = randomBytes(20).toString("hex");
-  const expiresAt = addDays(new Date(), 3);
-  return { token, expiresAt };
-};
-
-const generateWhatsAppLink = (phone, name, link) => {
-  if (!phone) return null;
-
-  // Format nomor HP ke 62
-  let formattedPhone = phone.toString().replace(/\D/g, ""); // Hapus karakter non-angka
-  if (formattedPhone.startsWith("0")) {
-    formattedPhone = "62" + formattedPhone.slice(1);
-  } else if (!formattedPhone.startsWith("62")) {
-    // Asumsi jika tidak mulai 0 atau 62, tambahkan 62 (jaga-jaga)
-    formattedPhone = "62" + formattedPhone;
-  }
-
-  // Isi pesan WA (Nama Spa sudah diperbaiki)
-  const message = `Halo Kak ${name}, terima kasih sudah berkunjung ke Ema Mom Kids Baby Spa!%0A%0AMohon kesediaannya untuk memberikan rating pelayanan kami melalui link berikut:%0A${link}%0A%0ATerima kasih!`;
-
-  return `https://wa.me/${formattedPhone}?text=${message}`;
+const TRIPAY_SYNC_REASON = "Sinkronisasi status dari Tripay";
+// Alasan pada email pembatalan saat Tripay melaporkan pembayaran gagal
+const PAYMENT_FAILURE_REASONS = {
+  FAILED: "Pembayaran Anda gagal diproses.",
+  REFUND: "Pembayaran Anda telah dikembalikan.",
 };
 
 /**
@@ -172,24 +218,6 @@ export const getUpcomingReservationsForDay = async (req, res) => {
     });
   }
 };
-const mapTripayMethodToEnum = (tripayCode) => {
-  if (!tripayCode) return "BANK_TRANSFER";
-  const code = tripayCode.toUpperCase();
-
-  // Semua varian QRIS dari Tripay diterjemahkan menjadi 'QRIS' untuk database kita
-  if (code.startsWith("QRIS")) return "QRIS";
-
-  // Semua varian Virtual Account diterjemahkan menjadi 'BANK_TRANSFER'
-  if (code.includes("VA")) return "BANK_TRANSFER";
-
-  // Semua varian E-Wallet diterjemahkan menjadi 'E_WALLET'
-  if (["OVO", "GOPAY", "DANA", "SHOPEEPAY"].includes(code)) return "E_WALLET";
-
-  console.warn(`[PaymentMapper] Unmapped Tripay code: ${tripayCode}`);
-  // Jika tidak ada pemetaan, kita bisa gunakan nilai default atau lempar error
-  // Untuk keamanan, kita bisa kembalikan nilai yang kita tahu pasti ada di enum
-  return "BANK_TRANSFER";
-};
 
 /**
  * Create a new reservation
@@ -199,28 +227,54 @@ const mapTripayMethodToEnum = (tripayCode) => {
 export const createNewReservation = async (req, res) => {
   const {
     serviceId,
-    sessionId,
+    timeSlotId,
+    assignmentStrategy,
+    preferredStaffId,
+    babyId,
     babyName,
     babyAge,
     priceTierId,
     notes,
     paymentMethod,
+    customerPackageId,
+    voucherCode,
+    addOnIds,
   } = req.body;
+  let { sessionId } = req.body;
 
   try {
     // ---- 1. VALIDASI INPUT & PERSIAPAN DATA ----
-    if (!serviceId || !sessionId || !babyName || babyAge === undefined) {
+    if (
+      !serviceId ||
+      (!sessionId && !timeSlotId) ||
+      (!babyId && (!babyName || babyAge === undefined))
+    ) {
       return res.status(400).json({
         success: false,
-        message: "Informasi layanan, sesi, nama dan umur bayi wajib diisi.",
+        message:
+          "Informasi layanan, sesi (atau time slot), dan profil bayi (atau nama dan umur bayi) wajib diisi.",
       });
     }
-    const age = parseInt(babyAge, 10);
-    if (isNaN(age) || age < 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Umur bayi harus dalam format angka yang valid.",
-      });
+
+    // Customer hanya memilih time slot: sistem memilih sesi (terapis)
+    // sesuai strategi penugasan
+    let appliedAssignmentStrategy = null;
+    if (!sessionId) {
+      const assignment = await assignSessionForTimeSlot({
+        serviceId,
+        timeSlotId,
+        addOnIds,
+        customerId: req.customer.id,
+        strategy: assignmentStrategy,
+        preferredStaffId,
+      });
+      if (assignment.error) {
+        return res
+          .status(assignment.statusCode)
+          .json({ success: false, message: assignment.error });
+      }
+      sessionId = assignment.session.id;
+      appliedAssignmentStrategy = assignment.strategy;
     }
 
     const [service, session, customer] = await Promise.all([
@@ -237,7 +291,10 @@ export const createNewReservation = async (req, res) => {
       return res
         .status(404)
         .json({ success: false, message: "Sesi tidak ditemukan." });
-    if (session.isBooked)
+    if (
+      session.isBooked ||
+      (await isSessionHeldForAnotherCustomer(sessionId, req.customer.id))
+    )
       return res.status(409).json({
         success: false,
         message: "Sesi ini sudah dipesan. Silakan pilih jadwal lain.",
@@ -246,48 +303,257 @@ export const createNewReservation = async (req, res) => {
       return res
         .status(404)
         .json({ success: false, message: "Data pelanggan tidak ditemukan." });
+    if (!(await isStaffQualifiedForService(session.staffId, service.id)))
+      return res.status(400).json({
+        success: false,
+        message:
+          "Terapis pada sesi ini tidak menangani layanan yang dipilih. Silakan pilih sesi lain.",
+      });
 
-    const totalPrice = await calculateTotalPrice({
-      serviceId,
+    const noShowPenalty = evaluateNoShowPolicy(customer);
+    if (noShowPenalty.action === "BLOCK_ONLINE_BOOKING") {
+      return res.status(403).json({
+        success: false,
+        message: `Reservasi online tidak tersedia karena Anda tercatat tidak hadir sebanyak ${noShowPenalty.noShowCount} kali. Silakan hubungi kami untuk melakukan reservasi.`,
+      });
+    }
+
+    const babyResult = await resolveReservationBaby({
+      babyId,
+      babyName,
+      babyAge,
+      customerId: customer.id,
+      sessionStartTime: session.timeSlot.startTime,
+    });
+    if (babyResult.error) {
+      return res
+        .status(babyResult.statusCode)
+        .json({ success: false, message: babyResult.error });
+    }
+    const age = babyResult.babyAge;
+
+    const tierResult = await resolvePriceTierId({
+      service,
       babyAge: age,
       priceTierId,
+      fromBabyProfile: !!babyResult.babyId,
+    });
+    if (tierResult.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: tierResult.error });
+    }
+
+    const addOnResult = await resolveAddOns(service, addOnIds);
+    if (addOnResult.error) {
+      return res
+        .status(addOnResult.statusCode)
+        .json({ success: false, message: addOnResult.error });
+    }
+
+    // Layanan (beserta add-on) yang lebih panjang dari satu time slot memakai
+    // sesi staff yang sama pada time slot berikutnya
+    const extraSessions = await findConsecutiveSessions(
+      session,
+      service.duration + addOnResult.extraMinutes,
+      { customerId: customer.id, service }
+    );
+    if (!extraSessions) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Staff tidak tersedia untuk seluruh durasi layanan pada jadwal ini. Silakan pilih jadwal lain.",
+      });
+    }
+
+    // ---- 1b. PENUKARAN KREDIT PAKET (tanpa pembayaran Tripay) ----
+    if (customerPackageId) {
+      if (voucherCode || addOnResult.addOns.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Voucher dan add-on tidak dapat digunakan bersama kredit paket.",
+        });
+      }
+
+      const redeemResult = await createReservationWithPackageCredit({
+        customerPackageId,
+        customer,
+        service,
+        session,
+        extraSessions,
+        baby: babyResult,
+        priceTierId: tierResult.priceTierId,
+        notes,
+      });
+      if (redeemResult.error) {
+        return res
+          .status(redeemResult.statusCode)
+          .json({ success: false, message: redeemResult.error });
+      }
+
+      const { reservation, payment, remainingCredits } = redeemResult;
+
+      await createNotificationForAllOwners(
+        {
+          title: "Reservasi Baru!",
+          message: `Pelanggan ${customer.name} telah memesan layanan ${service.name} menggunakan kredit paket.`,
+          type: "RESERVATION_NEW",
+          referenceId: reservation.id,
+        },
+        { sendPush: true }
+      );
+
+      await createNotificationForCustomer(
+        {
+          recipientId: customer.id,
+          title: "Reservasi Dikonfirmasi",
+          message: `Reservasi ${service.name} dikonfirmasi menggunakan kredit paket. Sisa kredit: ${remainingCredits}.`,
+          type: "RESERVATION_CONFIRMED",
+          referenceId: reservation.id,
+        },
+        {
+          emailOptions: {
+            templateName: "reservationConfirmed",
+            templateData: {
+              customerName: customer.name,
+              serviceName: service.name,
+              reservationId: reservation.id.substring(0, 8).toUpperCase(),
+            },
+          },
+        }
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: "Reservasi berhasil dibuat menggunakan kredit paket.",
+        data: {
+          reservation: {
+            id: reservation.id,
+            status: reservation.status,
+            serviceName: service.name,
+            staff: { id: session.staff.id, name: session.staff.name },
+            assignmentStrategy: appliedAssignmentStrategy,
+          },
+          payment: {
+            id: payment.id,
+            status: payment.paymentStatus,
+            paymentMethod: payment.paymentMethod,
+          },
+          customerPackage: {
+            id: customerPackageId,
+            remainingCredits,
+          },
+        },
+      });
+    }
+
+    const servicePrice = await calculateTotalPrice({
+      serviceId,
+      babyAge: age,
+      priceTierId: tierResult.priceTierId,
     });
+    const totalPrice = servicePrice + addOnResult.addOnsPrice;
+
+    // ---- 1c. VOUCHER (potongan diterapkan sebelum nominal Tripay) ----
+    let voucherResult = null;
+    if (voucherCode) {
+      voucherResult = await applyVoucher({
+        code: voucherCode,
+        customerId: customer.id,
+        // Add-on mengikuti cakupan layanan yang dipesan
+        items: [servicePrice, ...addOnResult.addOns.map((a) => a.price)].map(
+          (price) => ({ serviceId, categoryId: service.categoryId, price })
+        ),
+      });
+      if (voucherResult.error) {
+        return res
+          .status(voucherResult.statusCode)
+          .json({ success: false, message: voucherResult.error });
+      }
+    }
+    const paymentAmount = voucherResult
+      ? voucherResult.finalAmount
+      : totalPrice;
 
     // ---- 2. TRANSAKSI DATABASE (menyimpan data awal) ----
     const { reservation, payment } = await prisma.$transaction(async (tx) => {
+      const resourceId = await reserveResource(
+        serviceId,
+        session.timeSlot.startTime,
+        service.duration + addOnResult.extraMinutes,
+        {},
+        tx
+      );
       const createdReservation = await tx.reservation.create({
         data: {
           customerId: customer.id,
           serviceId,
           staffId: session.staffId,
           sessionId,
-          babyName: babyName.trim(),
+          resourceId,
+          babyId: babyResult.babyId,
+          babyName: babyResult.babyName,
           babyAge: age,
-          priceTierId,
+          priceTierId: tierResult.priceTierId,
           notes: notes?.trim() || null,
           reservationType: "ONLINE",
           totalPrice,
           status: "PENDING",
+          ...buildReservationAddOnsData(addOnResult.addOns),
         },
       });
 
       // TERJEMAHKAN kode dari Tripay ke ENUM internal database
       const dbPaymentMethod = mapTripayMethodToEnum(paymentMethod);
 
+      // Kuota voucher dicek ulang agar checkout bersamaan tidak melewatinya
+      if (voucherResult) {
+        await claimVoucherUsage(voucherResult.voucher, customer.id, tx);
+      }
+
       const createdPayment = await tx.payment.create({
         data: {
           reservationId: createdReservation.id,
-          amount: totalPrice,
+          amount: paymentAmount,
+          ...buildPaymentDiscountData(voucherResult),
           paymentMethod: dbPaymentMethod,
           paymentStatus: "PENDING",
-          expiryDate: addHours(new Date(), 24),
+          // Customer yang sering tidak hadir wajib membayar lebih cepat
+          expiryDate: applyPrepaymentWindow(
+            getPaymentExpiryDate(dbPaymentMethod),
+            noShowPenalty
+          ),
         },
       });
 
       await tx.session.update({
         where: { id: sessionId },
-        data: { isBooked: true },
+        data: { isBooked: true, heldByCustomerId: null, holdExpiresAt: null },
       });
+      await bookExtraSessions(createdReservation.id, extraSessions, tx);
+      await acceptWaitlistOffer(sessionId, customer.id, tx);
+      await createReservationEvent(
+        {
+          reservationId: createdReservation.id,
+          type: "CREATED",
+          actorType: "CUSTOMER",
+          actorId: customer.id,
+          newValue: {
+            status: "PENDING",
+            sessionId,
+            totalPrice,
+            ...(addOnResult.addOns.length > 0 && {
+              addOns: addOnResult.addOns.map((addOn) => addOn.name),
+            }),
+            ...(voucherResult && {
+              voucherCode: voucherResult.voucher.code,
+              discountAmount: voucherResult.discountAmount,
+            }),
+          },
+        },
+        tx
+      );
 
       return { reservation: createdReservation, payment: createdPayment };
     });
@@ -299,11 +565,42 @@ export const createNewReservation = async (req, res) => {
       customerEmail: customer.email.trim(),
       customerPhone: validateAndFormatPhone(customer.phoneNumber),
       paymentMethod: paymentMethod, // Kirim kode asli ke Tripay
-      amount: totalPrice,
-      serviceName: service.name,
+      amount: paymentAmount,
+      serviceName: voucherResult
+        ? `${service.name} (Voucher ${voucherResult.voucher.code})`
+        : service.name,
+      // Rincian add-on hanya dikirim tanpa voucher: item Tripay tidak bisa
+      // bernilai negatif, sehingga transaksi berdiskon dikirim sebagai satu item
+      orderItems:
+        !voucherResult && addOnResult.addOns.length > 0
+          ? [
+              { name: service.name, price: servicePrice },
+              ...addOnResult.addOns.map((addOn) => ({
+                name: `Add-on: ${addOn.name}`,
+                price: addOn.price,
+              })),
+            ]
+          : undefined,
+      expiryDate: payment.expiryDate,
     };
 
-    const tripayTransaction = await createTransaction(tripayPaymentData);
+    let tripayTransaction;
+    try {
+      tripayTransaction = await createTransaction(tripayPaymentData);
+    } catch (tripayError) {
+      // Batalkan reservasi agar sesi bebas dan kuota voucher kembali
+      await cancelUnpaidReservation(reservation.id, {
+        actor: { actorType: "SYSTEM" },
+        reason: "Pembuatan transaksi Tripay gagal",
+        notify: false,
+      }).catch((rollbackError) =>
+        console.error(
+          `[ROLLBACK FAILED] for reservation ${reservation.id}:`,
+          rollbackError
+        )
+      );
+      throw tripayError;
+    }
 
     // ---- 4. FINALISASI (Update record & kirim notifikasi) ----
     const updatedPayment = await updatePayment(payment.id, {
@@ -353,10 +650,23 @@ export const createNewReservation = async (req, res) => {
         id: reservation.id,
         status: reservation.status,
         serviceName: service.name,
+        totalPrice: reservation.totalPrice,
+        staff: { id: session.staff.id, name: session.staff.name },
+        assignmentStrategy: appliedAssignmentStrategy,
+        addOns: addOnResult.addOns.map((addOn) => ({
+          id: addOn.id,
+          name: addOn.name,
+          price: addOn.price,
+          extraMinutes: addOn.extraMinutes,
+        })),
       },
       payment: {
         id: updatedPayment.id,
         status: updatedPayment.paymentStatus,
+        amount: updatedPayment.amount,
+        originalAmount: updatedPayment.originalAmount,
+        discountAmount: updatedPayment.discountAmount,
+        discountDetails: updatedPayment.discountDetails,
         expiryDate: updatedPayment.expiryDate,
         tripayPaymentUrl: updatedPayment.tripayPaymentUrl,
         qrCode: tripayTransaction.qr_string || null,
@@ -424,33 +734,19 @@ export const createNewReservation = async (req, res) => {
       });
     }
 
-    // General rollback logic if other errors occur
-    if (sessionId) {
-      try {
-        const sessionToRollback = await getSessionById(sessionId);
-        if (sessionToRollback?.isBooked) {
-          const associatedReservation = await prisma.reservation.findUnique({
-            where: { sessionId },
-          });
-          if (
-            !associatedReservation ||
-            associatedReservation.payment?.paymentStatus !== "PAID"
-          ) {
-            await updateSessionBookingStatus(sessionId, false);
-            console.log(
-              `[ROLLBACK] Session ${sessionId} has been unbooked due to an error.`
-            );
-          }
-        }
-      } catch (rollbackError) {
-        console.error(
-          `[ROLLBACK FAILED] for session ${sessionId}:`,
-          rollbackError
-        );
-      }
-    }
+    // Tidak ada rollback sesi manual di sini: transaksi database sudah atomik,
+    // kegagalan Tripay membatalkan reservasi lewat cancelUnpaidReservation
+    // (sesi lanjutan dan ruangan ikut dibebaskan), dan reservasi PENDING
+    // lainnya dibebaskan oleh job kedaluwarsa pembayaran
 
-    const statusCode = error.message.includes("already booked") ? 409 : 500;
+    const statusCode =
+      error.message.includes("already booked") ||
+      error.message.includes("sudah dipesan")
+        ? 409
+        : error.message.includes("Kredit paket") ||
+            error.message.includes("voucher")
+          ? 400
+          : 500;
     return res.status(statusCode).json({
       success: false,
       message: error.message || "Gagal membuat reservasi.",
@@ -460,266 +756,673 @@ export const createNewReservation = async (req, res) => {
 };
 
 /**
- * Get reservations with filters
+ * Create a group reservation (beberapa bayi, misalnya kembar atau kakak-adik)
+ * pada time slot yang sama dengan staff berbeda dalam satu checkout.
+ * Semua sesi dipesan secara atomik dan dibayar dengan satu transaksi Tripay.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const getFilteredReservations = async (req, res) => {
-  try {
-    const { status, startDate, endDate, page = 1, limit = 10 } = req.query;
-
-    // Determine user role and ID for filtering
-    const isOwner = !!req.owner;
-    const isCustomer = !!req.customer;
-
-    const options = {
-      status,
-      startDate,
-      endDate,
-      page: parseInt(page),
-      limit: parseInt(limit),
-    };
+export const createGroupReservation = async (req, res) => {
+  const { reservations: items, notes, paymentMethod } = req.body;
 
-    // If customer is making request, filter by their ID
-    if (isCustomer) {
-      options.customerId = req.customer.id;
+  try {
+    // ---- 1. VALIDASI INPUT ----
+    if (!Array.isArray(items) || items.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Booking grup membutuhkan minimal 2 reservasi. Gunakan reservasi biasa untuk satu bayi.",
+      });
     }
 
-    // If staff ID is provided and request is from owner, filter by staff
-    if (req.query.staffId && isOwner) {
-      options.staffId = req.query.staffId;
+    const invalidItem = items.find(
+      (item) =>
+        !item.serviceId ||
+        !item.sessionId ||
+        (!item.babyId && (!item.babyName || item.babyAge === undefined))
+    );
+    if (invalidItem) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Setiap reservasi wajib berisi layanan, sesi, dan profil bayi (atau nama dan umur bayi).",
+      });
     }
 
-    // Get filtered reservations
-    const result = await getReservations(options);
-
-    return res.status(200).json({
-      success: true,
-      message: "Reservations retrieved successfully",
-      data: result.data,
-      pagination: result.pagination,
-    });
-  } catch (error) {
-    console.error("[GET RESERVATIONS ERROR]:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Failed to retrieve reservations",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
-  }
-};
-
-/**
- * Get reservation by ID
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- */
-export const getReservation = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const reservation = await getReservationById(id);
-
-    if (!reservation) {
-      return res.status(404).json({
+    const sessionIds = items.map((item) => item.sessionId);
+    if (new Set(sessionIds).size !== sessionIds.length) {
+      return res.status(400).json({
         success: false,
-        message: "Reservation not found",
+        message: "Setiap bayi harus memesan sesi (staff) yang berbeda.",
       });
     }
 
-    // Check authorization - owner can see all, customer can only see their own
-    if (req.customer && reservation.customerId !== req.customer.id) {
-      return res.status(403).json({
+    const babyIds = items.filter((item) => item.babyId).map((i) => i.babyId);
+    if (new Set(babyIds).size !== babyIds.length) {
+      return res.status(400).json({
         success: false,
-        message: "You are not authorized to view this reservation",
+        message: "Profil bayi yang sama tidak boleh dipesan dua kali.",
       });
     }
 
-    return res.status(200).json({
-      success: true,
-      message: "Reservation retrieved successfully",
-      data: reservation,
-    });
-  } catch (error) {
-    console.error("[GET RESERVATION ERROR]:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Failed to retrieve reservation",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    const customer = await prisma.customer.findUnique({
+      where: { id: req.customer.id },
     });
-  }
-};
-
-/**
- * Update reservation status
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- */
-export const updateReservation = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status } = req.body;
+    if (!customer)
+      return res
+        .status(404)
+        .json({ success: false, message: "Data pelanggan tidak ditemukan." });
 
-    // 1. Validasi Input Status
-    const validStatuses = [
-      "CONFIRMED",
-      "IN_PROGRESS",
-      "COMPLETED",
-      "CANCELLED",
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    const noShowPenalty = evaluateNoShowPolicy(customer);
+    if (noShowPenalty.action === "BLOCK_ONLINE_BOOKING") {
+      return res.status(403).json({
         success: false,
-        message: "Invalid status. Must be one of: " + validStatuses.join(", "),
+        message: `Reservasi online tidak tersedia karena Anda tercatat tidak hadir sebanyak ${noShowPenalty.noShowCount} kali. Silakan hubungi kami untuk melakukan reservasi.`,
       });
     }
 
-    // 2. Cek Data Reservasi Lama
-    const reservation = await getReservationById(id);
+    const sessions = await Promise.all(sessionIds.map(getSessionById));
+    if (sessions.some((session) => !session)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Sesi tidak ditemukan." });
+    }
 
-    if (!reservation) {
-      return res.status(404).json({
+    const timeSlotId = sessions[0].timeSlotId;
+    if (sessions.some((session) => session.timeSlotId !== timeSlotId)) {
+      return res.status(400).json({
         success: false,
-        message: "Reservation not found",
+        message: "Semua sesi dalam booking grup harus berada di jam yang sama.",
       });
     }
 
-    // 3. Validasi Transisi Status
-    if (!isValidStatusTransition(reservation.status, status)) {
-      return res.status(400).json({
+    const heldSessions = await Promise.all(
+      sessionIds.map((id) => isSessionHeldForAnotherCustomer(id, customer.id))
+    );
+    if (
+      sessions.some((session) => session.isBooked) ||
+      heldSessions.some(Boolean)
+    ) {
+      return res.status(409).json({
         success: false,
-        message: `Cannot change status from ${reservation.status} to ${status}`,
+        message:
+          "Salah satu sesi sudah dipesan. Silakan pilih jadwal atau staff lain.",
       });
     }
 
-    // 4. Update Status di Database
-    // Gunakan 'let' agar variabel bisa di-update nanti jika ada token baru
-    let updatedReservation = await prisma.reservation.update({
-      where: { id },
-      data: { status },
-      include: {
-        customer: true,
-        service: true,
-        staff: true,
-        session: true,
-        payment: true,
-        rating: true,
+    // ---- 2. HITUNG HARGA PER BAYI ----
+    const preparedItems = [];
+    for (const [index, item] of items.entries()) {
+      const session = sessions[index];
+      const service = await getServiceById(item.serviceId);
+      if (!service)
+        return res
+          .status(404)
+          .json({ success: false, message: "Layanan tidak ditemukan." });
+      if (!(await isStaffQualifiedForService(session.staffId, service.id)))
+        return res.status(400).json({
+          success: false,
+          message: `Terapis pada sesi untuk ${item.babyName || "bayi"} tidak menangani layanan ${service.name}. Silakan pilih staff lain.`,
+        });
+
+      const babyResult = await resolveReservationBaby({
+        babyId: item.babyId,
+        babyName: item.babyName,
+        babyAge: item.babyAge,
+        customerId: customer.id,
+        sessionStartTime: session.timeSlot.startTime,
+      });
+      if (babyResult.error) {
+        return res
+          .status(babyResult.statusCode)
+          .json({ success: false, message: babyResult.error });
+      }
+
+      const tierResult = await resolvePriceTierId({
+        service,
+        babyAge: babyResult.babyAge,
+        priceTierId: item.priceTierId,
+        fromBabyProfile: !!babyResult.babyId,
+      });
+      if (tierResult.error) {
+        return res
+          .status(400)
+          .json({ success: false, message: tierResult.error });
+      }
+
+      const totalPrice = await calculateTotalPrice({
+        serviceId: service.id,
+        babyAge: babyResult.babyAge,
+        priceTierId: tierResult.priceTierId,
+      });
+
+      const extraSessions = await findConsecutiveSessions(
+        session,
+        service.duration,
+        { customerId: customer.id, service }
+      );
+      if (!extraSessions) {
+        return res.status(409).json({
+          success: false,
+          message: `Staff ${session.staff.name} tidak tersedia untuk seluruh durasi layanan ${service.name}. Silakan pilih staff lain.`,
+        });
+      }
+
+      preparedItems.push({
+        service,
+        session,
+        extraSessions,
+        baby: babyResult,
+        priceTierId: tierResult.priceTierId,
+        totalPrice,
+        notes: item.notes?.trim() || notes?.trim() || null,
+      });
+    }
+
+    const groupTotal = preparedItems.reduce(
+      (sum, item) => sum + item.totalPrice,
+      0
+    );
+
+    const dbPaymentMethod = mapTripayMethodToEnum(paymentMethod);
+
+    // ---- 3. TRANSAKSI DATABASE (semua sesi atau tidak sama sekali) ----
+    const { group, reservations, payment } = await prisma.$transaction(
+      async (tx) => {
+        const createdGroup = await tx.reservationGroup.create({
+          data: {
+            customerId: customer.id,
+            timeSlotId,
+            totalPrice: groupTotal,
+          },
+        });
+
+        const createdReservations = [];
+        for (const item of preparedItems) {
+          // Tandai sesi hanya jika masih kosong, untuk mencegah double booking
+          const booked = await tx.session.updateMany({
+            where: { id: item.session.id, isBooked: false },
+            data: {
+              isBooked: true,
+              heldByCustomerId: null,
+              holdExpiresAt: null,
+            },
+          });
+          if (booked.count === 0) {
+            throw new Error("Sesi sudah dipesan oleh pengguna lain.");
+          }
+          await acceptWaitlistOffer(item.session.id, customer.id, tx);
+
+          // Bayi dalam grup yang sama ikut dihitung karena sudah dibuat
+          // lebih dulu di transaksi ini
+          const resourceId = await reserveResource(
+            item.service.id,
+            item.session.timeSlot.startTime,
+            item.service.duration,
+            {},
+            tx
+          );
+          const createdReservation = await tx.reservation.create({
+            data: {
+              customerId: customer.id,
+              serviceId: item.service.id,
+              staffId: item.session.staffId,
+              sessionId: item.session.id,
+              resourceId,
+              groupId: createdGroup.id,
+              babyId: item.baby.babyId,
+              babyName: item.baby.babyName,
+              babyAge: item.baby.babyAge,
+              priceTierId: item.priceTierId,
+              notes: item.notes,
+              reservationType: "ONLINE",
+              totalPrice: item.totalPrice,
+              status: "PENDING",
+            },
+          });
+          await bookExtraSessions(
+            createdReservation.id,
+            item.extraSessions,
+            tx
+          );
+          createdReservations.push(createdReservation);
+        }
+
+        await createReservationEvents(
+          createdReservations.map((r) => ({
+            reservationId: r.id,
+            type: "CREATED",
+            actorType: "CUSTOMER",
+            actorId: customer.id,
+            newValue: {
+              status: "PENDING",
+              sessionId: r.sessionId,
+              totalPrice: r.totalPrice,
+              groupId: createdGroup.id,
+            },
+          })),
+          tx
+        );
+
+        // Satu pembayaran untuk seluruh grup, disimpan pada reservasi pertama
+        const createdPayment = await tx.payment.create({
+          data: {
+            reservationId: createdReservations[0].id,
+            amount: groupTotal,
+            paymentMethod: dbPaymentMethod,
+            paymentStatus: "PENDING",
+            expiryDate: applyPrepaymentWindow(
+              getPaymentExpiryDate(dbPaymentMethod),
+              noShowPenalty
+            ),
+          },
+        });
+
+        return {
+          group: createdGroup,
+          reservations: createdReservations,
+          payment: createdPayment,
+        };
+      }
+    );
+
+    // ---- 4. TRANSAKSI TRIPAY ----
+    const serviceNames = [
+      ...new Set(preparedItems.map((item) => item.service.name)),
+    ].join(", ");
+
+    let tripayTransaction;
+    try {
+      tripayTransaction = await createTransaction({
+        reservationId: reservations[0].id,
+        customerName: customer.name.trim(),
+        customerEmail: customer.email.trim(),
+        customerPhone: validateAndFormatPhone(customer.phoneNumber),
+        paymentMethod,
+        amount: groupTotal,
+        serviceName: serviceNames,
+        orderItems: preparedItems.map((item) => ({
+          name: `${item.service.name} - ${item.baby.babyName}`,
+          price: item.totalPrice,
+          quantity: 1,
+        })),
+        expiryDate: payment.expiryDate,
+      });
+    } catch (tripayError) {
+      // Batalkan seluruh grup agar semua sesi kembali tersedia
+      await cancelReservationGroup(group.id, {
+        actor: { actorType: "SYSTEM" },
+        reason: "Pembuatan transaksi Tripay gagal",
+        notify: false,
+      }).catch((rollbackError) =>
+        console.error(
+          `[ROLLBACK FAILED] for reservation group ${group.id}:`,
+          rollbackError
+        )
+      );
+      throw tripayError;
+    }
+
+    const updatedPayment = await updatePayment(payment.id, {
+      transactionId: tripayTransaction.reference,
+      tripayPaymentUrl: tripayTransaction.checkout_url,
+      tripayResponse: tripayTransaction,
+      tripayInstructions: tripayTransaction.instructions || {},
+    });
+
+    // ---- 5. NOTIFIKASI ----
+    await createNotificationForAllOwners(
+      {
+        title: "Reservasi Grup Baru!",
+        message: `Pelanggan ${customer.name} telah memesan ${reservations.length} sesi (${serviceNames}) sekaligus.`,
+        type: "RESERVATION_NEW",
+        referenceId: reservations[0].id,
+      },
+      { sendPush: true }
+    );
+
+    await createNotificationForCustomer(
+      {
+        recipientId: customer.id,
+        title: "Reservasi Menunggu Pembayaran",
+        message: `Mohon selesaikan pembayaran untuk ${reservations.length} reservasi ${serviceNames}.`,
+        type: "RESERVATION_PENDING",
+        referenceId: reservations[0].id,
+      },
+      {
+        emailOptions: {
+          templateName: "reservationPending",
+          templateData: {
+            customerName: customer.name,
+            serviceName: serviceNames,
+            expiryDate: updatedPayment.expiryDate.toLocaleString("id-ID", {
+              timeZone: "Asia/Jakarta",
+            }),
+            paymentUrl: updatedPayment.tripayPaymentUrl,
+          },
+        },
+      }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Reservasi grup berhasil dibuat. Silakan selesaikan pembayaran.",
+      data: {
+        group: {
+          id: group.id,
+          totalPrice: group.totalPrice,
+        },
+        reservations: reservations.map((reservation, index) => ({
+          id: reservation.id,
+          status: reservation.status,
+          serviceName: preparedItems[index].service.name,
+          babyName: reservation.babyName,
+          totalPrice: reservation.totalPrice,
+        })),
+        payment: {
+          id: updatedPayment.id,
+          status: updatedPayment.paymentStatus,
+          amount: updatedPayment.amount,
+          expiryDate: updatedPayment.expiryDate,
+          tripayPaymentUrl: updatedPayment.tripayPaymentUrl,
+          qrCode: tripayTransaction.qr_string || null,
+          instructions: tripayTransaction.instructions || {},
+        },
       },
     });
+  } catch (error) {
+    console.error("[CREATE GROUP RESERVATION ERROR]:", error);
 
-    // 5. === LOGIKA NOTIFIKASI & RATING ===
+    if (error.message === RESOURCE_UNAVAILABLE_MESSAGE) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    const isConflict =
+      error.message.includes("sudah dipesan") || error.code === "P2002";
+    return res.status(isConflict ? 409 : 500).json({
+      success: false,
+      message: isConflict
+        ? "Salah satu sesi sudah dipesan oleh pengguna lain. Silakan pilih jadwal lain."
+        : "Gagal membuat reservasi grup.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get a reservation group with all its reservations and the shared payment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getReservationGroupHandler = async (req, res) => {
+  try {
+    const group = await getReservationGroupById(req.params.groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation group not found",
+      });
+    }
+
+    if (req.customer && group.customerId !== req.customer.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not authorized to view this reservation group",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Reservation group retrieved successfully",
+      data: group,
+    });
+  } catch (error) {
+    console.error("[GET RESERVATION GROUP ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve reservation group",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Cancel a whole reservation group and free every session it holds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cancelReservationGroupHandler = async (req, res) => {
+  try {
+    const group = await getReservationGroupById(req.params.groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation group not found",
+      });
+    }
+
+    const cancelled = await cancelReservationGroup(group.id, {
+      actor: { actorType: "OWNER", actorId: req.owner?.id },
+      reason: req.body?.reason?.trim(),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${cancelled.length} reservations in the group have been cancelled`,
+      data: {
+        groupId: group.id,
+        cancelledReservationIds: cancelled.map((r) => r.id),
+      },
+    });
+  } catch (error) {
+    console.error("[CANCEL RESERVATION GROUP ERROR]:", error);
+    const statusCode = error.message.includes("Tidak ada reservasi aktif")
+      ? 400
+      : 500;
+    return res.status(statusCode).json({
+      success: false,
+      message:
+        statusCode === 400
+          ? error.message
+          : "Failed to cancel reservation group",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get reservations with filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getFilteredReservations = async (req, res) => {
+  try {
+    const { status, startDate, endDate, page = 1, limit = 10 } = req.query;
+
+    // Determine user role and ID for filtering
+    const isOwner = !!req.owner;
+    const isCustomer = !!req.customer;
+
+    const options = {
+      status,
+      startDate,
+      endDate,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    };
+
+    // If customer is making request, filter by their ID
+    if (isCustomer) {
+      options.customerId = req.customer.id;
+    }
+
+    // If staff ID is provided and request is from owner, filter by staff
+    if (req.query.staffId && isOwner) {
+      options.staffId = req.query.staffId;
+    }
+
+    // Get filtered reservations
+    const result = await getReservations(options);
+
+    return res.status(200).json({
+      success: true,
+      message: "Reservations retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("[GET RESERVATIONS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve reservations",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get reservation by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getReservation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await getReservationById(id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found",
+      });
+    }
+
+    // Check authorization - owner can see all, customer can only see their own
+    if (req.customer && reservation.customerId !== req.customer.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not authorized to view this reservation",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Reservation retrieved successfully",
+      data: reservation,
+    });
+  } catch (error) {
+    console.error("[GET RESERVATION ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve reservation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get the audit timeline of a reservation (owner)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getReservationTimelineHandler = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await getReservationById(id);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found",
+      });
+    }
+
+    const events = await getReservationEvents(id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Reservation timeline retrieved successfully",
+      data: {
+        reservationId: id,
+        currentStatus: reservation.status,
+        events,
+      },
+    });
+  } catch (error) {
+    console.error("[GET RESERVATION TIMELINE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve reservation timeline",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
 
-    // Skenario: Reservasi Dibatalkan
-    if (status === "CANCELLED") {
-      await updateSessionBookingStatus(reservation.sessionId, false);
+/**
+ * Update reservation status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateReservation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
 
-      // Kirim email cancel HANYA jika bukan customer manual (email dummy)
-      if (!updatedReservation.customer.email.startsWith("manual_")) {
-        await createNotificationForCustomer(
-          {
-            recipientId: reservation.customerId,
-            title: "Reservasi Anda Dibatalkan",
-            message: `Reservasi Anda untuk ${reservation.service.name} telah dibatalkan.`,
-            type: "RESERVATION_CANCELLED",
-            referenceId: reservation.id,
-          },
-          {
-            emailOptions: {
-              templateName: "reservationCancelled",
-              templateData: {
-                customerName: reservation.customer.name,
-                serviceName: reservation.service.name,
-                reservationId: reservation.id.substring(0, 8).toUpperCase(),
-                reason:
-                  "Dibatalkan oleh pihak kami. Silakan hubungi kami untuk informasi lebih lanjut.",
-              },
-            },
-          }
-        );
-      }
+    // 1. Validasi Input Status
+    const validStatuses = [
+      "CONFIRMED",
+      "IN_PROGRESS",
+      "COMPLETED",
+      "CANCELLED",
+      "NO_SHOW",
+    ];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Must be one of: " + validStatuses.join(", "),
+      });
     }
 
-    // Skenario: Reservasi Selesai (COMPLETED)
-    if (status === "COMPLETED") {
-      // CEK: Apakah ini reservasi manual?
-      if (updatedReservation.reservationType === "MANUAL") {
-        // --- LOGIKA BARU: Generate Link WA & Kirim Email ke Owner ---
-
-        // A. Buat Token Rating
-        const { token, expiresAt } = generateRatingToken();
+    // 2. Cek Data Reservasi Lama
+    const reservation = await getReservationById(id);
 
-        // B. Simpan token ke database reservasi DAN UPDATE VARIABEL updatedReservation
-        // (PENTING: Timpa variabel updatedReservation dengan data terbaru agar response API valid)
-        updatedReservation = await prisma.reservation.update({
-          where: { id },
-          data: { ratingToken: token, ratingTokenExpiresAt: expiresAt },
-          include: {
-            // Include ulang relasi agar data di response tetap lengkap
-            customer: true,
-            service: true,
-            staff: true,
-            session: true,
-            payment: true,
-            rating: true,
-          },
-        });
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found",
+      });
+    }
 
-        // C. Buat Link
-        const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
-        const ratingUrl = `${frontendUrl}/rating/${token}`;
+    // 3. Validasi Transisi Status
+    if (!isValidStatusTransition(reservation.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${reservation.status} to ${status}`,
+      });
+    }
 
-        // Buat Link WA
-        const whatsappLink = generateWhatsAppLink(
-          updatedReservation.customer.phoneNumber,
-          updatedReservation.customer.name,
-          ratingUrl
-        );
+    // 4. Update status lewat lifecycle service: pembebasan sesi, kredit paket,
+    // token rating, audit trail & notifikasi ditangani di sana
+    await transitionReservation(id, status, {
+      actor: { actorType: "OWNER", actorId: req.owner?.id },
+      reason: reason?.trim(),
+    });
 
-        // D. Kirim Email ke SEMUA OWNER
-        await createNotificationForAllOwners(
-          {
-            title: "Action Needed: Kirim Rating Manual",
-            message: `Pelanggan manual ${updatedReservation.customer.name} telah selesai. Cek email Anda untuk link rating.`,
-            type: "RESERVATION_COMPLETED_MANUAL",
-            referenceId: updatedReservation.id,
-          },
-          {
-            sendPush: true,
-            emailOptions: {
-              templateName: "ownerManualRating",
-              templateData: {
-                serviceName: updatedReservation.service.name,
-                customerName: updatedReservation.customer.name,
-                customerPhone: updatedReservation.customer.phoneNumber,
-                whatsappLink: whatsappLink,
-              },
-            },
-          }
-        );
-      } else {
-        // --- LOGIKA LAMA: Reservasi Online (Kirim Email ke Customer) ---
-        await createNotificationForCustomer(
-          {
-            recipientId: updatedReservation.customerId,
-            title: "Layanan Telah Selesai",
-            message: `Terima kasih! Layanan ${updatedReservation.service.name} Anda telah selesai.`,
-            type: "RESERVATION_COMPLETED",
-            referenceId: updatedReservation.id,
-          },
-          {
-            emailOptions: {
-              templateName: "reservationCompleted",
-              templateData: {
-                customerName: updatedReservation.customer.name,
-                serviceName: updatedReservation.service.name,
-              },
-            },
-          }
-        );
-      }
-    }
+    const updatedReservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: {
+        customer: true,
+        service: true,
+        staff: true,
+        session: true,
+        payment: true,
+        rating: true,
+      },
+    });
 
-    // 6. Return response sukses (Sekarang data token rating pasti ada di updatedReservation)
+    // 5. Return response sukses (data token rating sudah ada di updatedReservation)
     return res.status(200).json({
       success: true,
       message: "Reservation status updated successfully",
@@ -727,6 +1430,12 @@ export const updateReservation = async (req, res) => {
     });
   } catch (error) {
     console.error("[UPDATE RESERVATION ERROR]:", error);
+    if (isInvalidTransitionError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
     return res.status(500).json({
       success: false,
       message: "Failed to update reservation",
@@ -796,7 +1505,7 @@ export const updateReservationDetailsHandler = async (req, res) => {
 export const rescheduleReservationHandler = async (req, res) => {
   try {
     const { id: reservationId } = req.params;
-    const { newSessionId } = req.body;
+    const { newSessionId, acceptPriceChange } = req.body;
 
     // 1. Validasi Input Dasar
     if (!newSessionId) {
@@ -848,14 +1557,118 @@ export const rescheduleReservationHandler = async (req, res) => {
       }
     }
 
+    // Sesi yang sedang ditawarkan ke customer waitlist lain tidak bisa dipilih
+    if (
+      await isSessionHeldForAnotherCustomer(
+        newSessionId,
+        reservation.customerId
+      )
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "Sesi yang dipilih sudah dipesan oleh orang lain.",
+      });
+    }
+
+    const newSession = await getSessionById(newSessionId);
+    if (!newSession) {
+      return res.status(404).json({
+        success: false,
+        message: "Sesi baru tidak ditemukan.",
+      });
+    }
+    if (new Date(newSession.timeSlot.startTime) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Sesi yang dipilih sudah lewat.",
+      });
+    }
+    if (
+      !(await isStaffQualifiedForService(
+        newSession.staffId,
+        reservation.serviceId
+      ))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Terapis pada sesi yang dipilih tidak menangani layanan reservasi ini.",
+      });
+    }
+    const extraSessions = await findConsecutiveSessions(
+      newSession,
+      getReservationDuration(reservation),
+      {
+        customerId: reservation.customerId,
+        reservationId,
+        service: reservation.service,
+      }
+    );
+    if (!extraSessions) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Staff tidak tersedia untuk seluruh durasi layanan pada jadwal yang dipilih.",
+      });
+    }
+
+    // ATURAN 3: umur bayi pada tanggal baru bisa masuk price tier lain
+    const quote = await quoteReschedulePrice(reservation, newSession);
+    if (quote.error) {
+      return res.status(400).json({ success: false, message: quote.error });
+    }
+
+    if (quote.priceDifference !== 0) {
+      const payment =
+        reservation.payment ||
+        (reservation.groupId
+          ? await getPaymentByGroupId(reservation.groupId)
+          : null);
+
+      // Nominal transaksi Tripay yang sedang berjalan tidak bisa diubah
+      if (payment?.paymentStatus === "PENDING" && payment.transactionId) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Harga berubah pada jadwal baru. Selesaikan pembayaran terlebih dahulu sebelum menjadwalkan ulang.",
+        });
+      }
+
+      if (req.customer && !acceptPriceChange) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Harga layanan berubah pada jadwal baru karena perubahan kategori umur. Kirim acceptPriceChange: true untuk melanjutkan.",
+          data: {
+            currentPrice: reservation.totalPrice,
+            newPrice: quote.totalPrice,
+            priceDifference: quote.priceDifference,
+          },
+        });
+      }
+    }
+
     // 5. Panggil Logika Inti di Repository untuk memproses perubahan di database
     const updatedReservation = await rescheduleReservation(
       reservationId,
-      newSessionId
+      newSessionId,
+      quote,
+      {
+        actorType: req.customer ? "CUSTOMER" : "OWNER",
+        actorId: req.customer?.id || req.owner?.id,
+        reason: req.body.reason?.trim(),
+      },
+      extraSessions
     );
+    await acceptWaitlistOffer(newSessionId, reservation.customerId);
+
+    // Sesi lama kini kosong: tawarkan ke waitlist
+    await offerFreedSessions(updatedReservation.freedSessionIds);
 
     // 6. Kirim Notifikasi setelah berhasil
     // Notifikasi untuk Customer
+    const oldTimeSlot = reservation.session.timeSlot;
+    const newTimeSlot = updatedReservation.session.timeSlot;
     await createNotificationForCustomer(
       {
         recipientId: updatedReservation.customer.id,
@@ -864,7 +1677,28 @@ export const rescheduleReservationHandler = async (req, res) => {
         type: "RESERVATION_RESCHEDULED",
         referenceId: updatedReservation.id,
       },
-      { sendPush: true }
+      {
+        sendPush: true,
+        emailOptions: updatedReservation.customer.email.startsWith("manual_")
+          ? undefined
+          : {
+              templateName: "reservationRescheduled",
+              templateData: {
+                customerName: updatedReservation.customer.name,
+                serviceName: updatedReservation.service.name,
+                reservationId: updatedReservation.id
+                  .substring(0, 8)
+                  .toUpperCase(),
+                oldSchedule: `${formatDate(oldTimeSlot.operatingSchedule.date)}, ${formatTime(oldTimeSlot.startTime)}`,
+                newSchedule: `${formatDate(newTimeSlot.operatingSchedule.date)}, ${formatTime(newTimeSlot.startTime)}`,
+                staffName: updatedReservation.staff.name,
+                priceInfo: describeReschedulePriceChange(
+                  quote,
+                  updatedReservation.payment
+                ),
+              },
+            },
+      }
     );
 
     // Notifikasi untuk Semua Owner
@@ -900,6 +1734,230 @@ export const rescheduleReservationHandler = async (req, res) => {
   }
 };
 
+/**
+ * Preview refund yang akan diterima customer jika membatalkan sekarang
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCancellationPreviewHandler = async (req, res) => {
+  try {
+    const reservation = await getReservationById(req.params.id);
+
+    if (!reservation || reservation.customerId !== req.customer.id) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservasi tidak ditemukan.",
+      });
+    }
+
+    const result = await prepareCustomerCancellation(reservation);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Perkiraan refund berhasil dihitung.",
+      data: {
+        reservationId: reservation.id,
+        paymentStatus: result.payment?.paymentStatus || null,
+        ...result.refund,
+        policy: getRefundPolicy(),
+      },
+    });
+  } catch (error) {
+    console.error("[CANCELLATION PREVIEW ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal menghitung refund.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Customer membatalkan reservasinya sendiri dengan kebijakan refund.
+ * Dana refund dicatat pada payment; pengembalian dana diproses oleh owner.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cancelReservationByCustomerHandler = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const reservation = await getReservationById(req.params.id);
+
+    if (!reservation || reservation.customerId !== req.customer.id) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservasi tidak ditemukan.",
+      });
+    }
+
+    const prepared = await prepareCustomerCancellation(reservation);
+    if (prepared.error) {
+      return res.status(400).json({ success: false, message: prepared.error });
+    }
+
+    const { refund } = prepared;
+    const { reservation: cancelledReservation, payment } =
+      await cancelReservationWithRefund(
+        reservation,
+        prepared.payment,
+        refund,
+        reason?.trim()
+      );
+
+    const refundText =
+      refund.refundAmount > 0
+        ? `Refund sebesar Rp ${refund.refundAmount.toLocaleString("id-ID")} (${refund.refundPercent}%) akan diproses oleh tim kami.`
+        : "Pembatalan ini tidak mendapatkan refund sesuai kebijakan pembatalan.";
+
+    await createNotificationForCustomer(
+      {
+        recipientId: reservation.customerId,
+        title: "Reservasi Anda Dibatalkan",
+        message: `Reservasi Anda untuk ${reservation.service.name} telah dibatalkan. ${refundText}`,
+        type: "RESERVATION_CANCELLED",
+        referenceId: reservation.id,
+      },
+      {
+        emailOptions: {
+          templateName: "reservationCancelled",
+          templateData: {
+            customerName: reservation.customer.name,
+            serviceName: reservation.service.name,
+            reservationId: reservation.id.substring(0, 8).toUpperCase(),
+            reason: `Dibatalkan atas permintaan Anda. ${refundText}`,
+          },
+        },
+      }
+    );
+
+    await createNotificationForAllOwners(
+      {
+        title:
+          refund.refundAmount > 0
+            ? "Refund Perlu Diproses"
+            : "Reservasi Dibatalkan Pelanggan",
+        message:
+          refund.refundAmount > 0
+            ? `${reservation.customer.name} membatalkan ${reservation.service.name}. Refund Rp ${refund.refundAmount.toLocaleString("id-ID")} perlu ditransfer.`
+            : `${reservation.customer.name} membatalkan ${reservation.service.name} tanpa refund.`,
+        type: "RESERVATION_CANCELLED",
+        referenceId: reservation.id,
+      },
+      { sendPush: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Reservasi berhasil dibatalkan.",
+      data: {
+        ...cancelledReservation,
+        payment,
+        refund,
+      },
+    });
+  } catch (error) {
+    console.error("[CUSTOMER CANCEL RESERVATION ERROR]:", error);
+
+    const isStateError = isInvalidTransitionError(error);
+
+    return res.status(isStateError ? 400 : 500).json({
+      success: false,
+      message: isStateError
+        ? "Reservasi tidak dapat dibatalkan."
+        : "Gagal membatalkan reservasi.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * List sessions a customer can move a reservation to on a given date.
+ * Hanya sesi dengan durasi yang cukup untuk layanan ini; harga baru
+ * ditampilkan jika umur bayi pada tanggal tersebut masuk price tier lain.
+ * @param {Object} req - Express request object (query: date)
+ * @param {Object} res - Express response object
+ */
+export const getRescheduleOptionsHandler = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: "Tanggal (date) wajib diisi.",
+      });
+    }
+
+    const reservation = await getReservationById(req.params.id);
+    if (!reservation || reservation.customerId !== req.customer.id) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservasi tidak ditemukan.",
+      });
+    }
+
+    if (!["PENDING", "CONFIRMED"].includes(reservation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reservasi dengan status ${reservation.status} tidak dapat dijadwalkan ulang.`,
+      });
+    }
+
+    const hoursBeforeSession =
+      (new Date(reservation.session.timeSlot.startTime).getTime() -
+        Date.now()) /
+      (1000 * 60 * 60);
+
+    const now = new Date();
+    const sessions = (
+      await getAvailableSessions(
+        date,
+        getReservationDuration(reservation),
+        reservation.serviceId
+      )
+    ).filter(
+      (session) =>
+        session.id !== reservation.sessionId &&
+        new Date(session.timeSlot.startTime) > now
+    );
+
+    // Umur (dan price tier) hanya bergantung pada tanggal, cukup dihitung sekali
+    const quote =
+      sessions.length > 0
+        ? await quoteReschedulePrice(reservation, sessions[0])
+        : null;
+
+    return res.status(200).json({
+      success: true,
+      message: "Pilihan jadwal berhasil diambil.",
+      data: {
+        canReschedule:
+          hoursBeforeSession >= MINIMUM_HOURS_BEFORE_RESCHEDULE &&
+          reservation.rescheduleCount < MAX_RESCHEDULE_COUNT,
+        remainingReschedules: Math.max(
+          0,
+          MAX_RESCHEDULE_COUNT - reservation.rescheduleCount
+        ),
+        currentPrice: reservation.totalPrice,
+        newPrice: quote?.error ? null : (quote?.totalPrice ?? null),
+        priceDifference: quote?.error ? null : (quote?.priceDifference ?? 0),
+        unavailableReason: quote?.error || null,
+        sessions: quote?.error ? [] : sessions,
+      },
+    });
+  } catch (error) {
+    console.error("[GET RESCHEDULE OPTIONS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal mengambil pilihan jadwal.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Merespons callback dari Tripay dengan cepat untuk menghindari timeout,
  * dan menjalankan tugas yang lama (notifikasi) di latar belakang.
@@ -940,6 +1998,22 @@ export const handlePaymentCallback = async (req, res) => {
     const payment = await findPaymentByTransactionIdWithFullData(reference);
 
     if (!payment) {
+      // Bukan pembayaran reservasi: cek apakah ini pembelian paket
+      const customerPackage =
+        await findCustomerPackageByTransactionId(reference);
+      if (customerPackage) {
+        await applyPackagePaymentStatus(
+          customerPackage,
+          callbackData.status,
+          callbackData
+        );
+        console.log(`[CALLBACK SUCCESS] Package purchase processed.`);
+        return res.status(200).json({
+          success: true,
+          message: "Callback processed successfully",
+        });
+      }
+
       console.error(`[CALLBACK ERROR] Payment not found: ${reference}`);
       return res
         .status(200)
@@ -961,7 +2035,6 @@ export const handlePaymentCallback = async (req, res) => {
     // 4. Mapping Status
     let newPaymentStatus = payment.paymentStatus;
     let newReservationStatus = payment.reservation.status;
-    let shouldFreeSession = false;
 
     switch (status.toUpperCase()) {
       case "PAID":
@@ -971,13 +2044,11 @@ export const handlePaymentCallback = async (req, res) => {
       case "EXPIRED":
         newPaymentStatus = "EXPIRED";
         newReservationStatus = "EXPIRED";
-        shouldFreeSession = true;
         break;
       case "FAILED":
       case "REFUND":
         newPaymentStatus = status.toUpperCase();
         newReservationStatus = "CANCELLED";
-        shouldFreeSession = true;
         break;
       default:
         console.log(`[CALLBACK WARN] Unhandled status: ${status}`);
@@ -986,15 +2057,7 @@ export const handlePaymentCallback = async (req, res) => {
 
     // 5. Update Database jika status berubah
     if (newPaymentStatus !== payment.paymentStatus) {
-      // a. Bebaskan sesi
-      if (shouldFreeSession) {
-        await updateSessionBookingStatus(
-          payment.reservation.sessionId,
-          false
-        ).catch((err) => console.error("[SESSION ERROR]", err));
-      }
-
-      // b. Update Payment
+      // a. Update Payment
       await updatePayment(payment.id, {
         paymentStatus: newPaymentStatus,
         paymentDate: newPaymentStatus === "PAID" ? new Date() : null,
@@ -1002,44 +2065,27 @@ export const handlePaymentCallback = async (req, res) => {
         merchantFee: fee_merchant ? parseFloat(fee_merchant) : null,
       });
 
-      // c. Update Reservasi
-      await updateReservationStatus(
-        payment.reservation.id,
-        newReservationStatus
+      await createReservationEvent({
+        reservationId: payment.reservationId,
+        type: "PAYMENT_UPDATED",
+        actorType: "TRIPAY",
+        oldValue: { paymentStatus: payment.paymentStatus },
+        newValue: { paymentStatus: newPaymentStatus },
+        reason: `Callback Tripay: ${status}`,
+      });
+
+      // b. Update Reservasi (termasuk semua anggota booking grup) lewat
+      // lifecycle service: pembebasan sesi, waitlist & notifikasi ada di sana
+      const transitioned = await transitionCoveredReservations(
+        payment.reservation,
+        newReservationStatus,
+        { actor: { actorType: "TRIPAY" }, reason: `Callback Tripay: ${status}` }
       );
+      await runReservationSideEffects(transitioned, newReservationStatus, {
+        emailReason: PAYMENT_FAILURE_REASONS[status.toUpperCase()],
+      });
 
       console.log(`[CALLBACK UPDATE] Status updated to ${newPaymentStatus}`);
-
-      // d. Notifikasi
-      try {
-        const { customer, service, id: reservationId } = payment.reservation;
-        const serviceName = service?.name || "Layanan";
-
-        if (newReservationStatus === "CONFIRMED") {
-          await createNotificationForAllOwners(
-            {
-              title: "Pembayaran Masuk",
-              message: `Lunas: ${serviceName} - ${customer.name}`,
-              type: "PAYMENT_SUCCESS",
-              referenceId: reservationId,
-            },
-            { sendPush: true }
-          );
-
-          await createNotificationForCustomer(
-            {
-              recipientId: customer.id,
-              title: "Pembayaran Berhasil",
-              message: `Reservasi ${serviceName} dikonfirmasi.`,
-              type: "PAYMENT_SUCCESS",
-              referenceId: reservationId,
-            },
-            { sendPush: true }
-          );
-        }
-      } catch (notifError) {
-        console.error("[NOTIF ERROR]", notifError.message);
-      }
     }
 
     // 6. Response Sukses
@@ -1130,8 +2176,10 @@ export const getPaymentDetails = async (req, res) => {
       });
     }
 
-    // Get payment details
-    const payment = await getPaymentByReservationId(reservationId);
+    // Get payment details (booking grup memakai payment milik reservasi lead)
+    const payment = reservation.groupId
+      ? await getPaymentByGroupId(reservation.groupId)
+      : await getPaymentByReservationId(reservationId);
 
     if (!payment) {
       return res.status(404).json({
@@ -1187,6 +2235,14 @@ export const getPaymentDetails = async (req, res) => {
             }
 
             await updatePayment(payment.id, updateData);
+            await createReservationEvent({
+              reservationId: payment.reservationId,
+              type: "PAYMENT_UPDATED",
+              actorType: "SYSTEM",
+              oldValue: { paymentStatus: payment.paymentStatus },
+              newValue: { paymentStatus: newPaymentStatus },
+              reason: TRIPAY_SYNC_REASON,
+            });
 
             // Update payment object for response
             payment.paymentStatus = newPaymentStatus;
@@ -1196,10 +2252,20 @@ export const getPaymentDetails = async (req, res) => {
             payment.merchantFee = updateData.merchantFee;
           }
 
-          // Update reservation status if needed
+          // Update reservation status if needed (termasuk anggota grup)
           if (newReservationStatus !== reservation.status) {
-            await updateReservationStatus(reservationId, newReservationStatus);
+            const transitioned = await transitionCoveredReservations(
+              payment.reservation,
+              newReservationStatus,
+              { actor: { actorType: "SYSTEM" }, reason: TRIPAY_SYNC_REASON }
+            );
             reservation.status = newReservationStatus;
+
+            await runReservationSideEffects(
+              transitioned,
+              newReservationStatus,
+              { emailReason: PAYMENT_FAILURE_REASONS[tripayDetails.status] }
+            );
           }
         }
       } catch (error) {
@@ -1247,6 +2313,7 @@ export const getPaymentDetails = async (req, res) => {
           )} - ${formatTime(reservation.session.timeSlot.endTime)}`,
           staffName: reservation.staff.name,
           totalPrice: reservation.totalPrice,
+          groupId: reservation.groupId,
         },
       },
     });
@@ -1385,7 +2452,8 @@ export const createManualReservation = async (req, res) => {
       customerPhone,
       customerAddress,
       customerInstagram,
-      // Baby info
+      // Baby info (babyId untuk profil bayi yang sudah ada)
+      babyId,
       babyName,
       babyAge,
       // Parent info
@@ -1394,6 +2462,7 @@ export const createManualReservation = async (req, res) => {
       serviceId,
       sessionId, // PENTING: Harus menggunakan session yang sudah ada
       priceTierId,
+      addOnIds,
       notes,
       // Payment info
       paymentMethod = "CASH", // Default untuk manual booking
@@ -1428,7 +2497,7 @@ export const createManualReservation = async (req, res) => {
       });
     }
 
-    if (!babyName) {
+    if (!babyId && !babyName) {
       console.error("[MANUAL RESERVATION] Missing babyName");
       return res.status(400).json({
         success: false,
@@ -1436,7 +2505,7 @@ export const createManualReservation = async (req, res) => {
       });
     }
 
-    if (babyAge === undefined || babyAge === null) {
+    if (!babyId && (babyAge === undefined || babyAge === null)) {
       console.error("[MANUAL RESERVATION] Missing babyAge");
       return res.status(400).json({
         success: false,
@@ -1535,30 +2604,10 @@ export const createManualReservation = async (req, res) => {
       name: staff.name,
     });
 
-    // HITUNG TOTAL PRICE - dengan error handling
-    console.log("[MANUAL RESERVATION] Calculating price for:", {
-      serviceId,
-      babyAge,
-      priceTierId,
-    });
-
-    let totalPrice;
-    try {
-      totalPrice = await calculateTotalPrice({
-        serviceId,
-        babyAge,
-        priceTierId,
-      });
-      console.log("[MANUAL RESERVATION] Price calculated:", totalPrice);
-    } catch (priceError) {
-      console.error(
-        "[MANUAL RESERVATION] Price calculation error:",
-        priceError
-      );
+    if (!(await isStaffQualifiedForService(staff.id, service.id))) {
       return res.status(400).json({
         success: false,
-        message: "Failed to calculate price",
-        error: priceError.message,
+        message: `${staff.name} is not qualified for ${service.name}. Please select another session.`,
       });
     }
 
@@ -1593,6 +2642,97 @@ export const createManualReservation = async (req, res) => {
       });
     }
 
+    // RESOLVE DATA BAYI - dari profil bayi (babyId) atau input manual
+    const babyResult = await resolveReservationBaby({
+      babyId,
+      babyName,
+      babyAge,
+      customerId: customer.id,
+      sessionStartTime: session.timeSlot.startTime,
+    });
+
+    if (babyResult.error) {
+      console.error("[MANUAL RESERVATION] Baby error:", babyResult.error);
+      return res.status(babyResult.statusCode).json({
+        success: false,
+        message: babyResult.error,
+      });
+    }
+
+    const tierResult = await resolvePriceTierId({
+      service,
+      babyAge: babyResult.babyAge,
+      priceTierId,
+      fromBabyProfile: !!babyResult.babyId,
+    });
+
+    if (tierResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: tierResult.error,
+      });
+    }
+
+    // HITUNG TOTAL PRICE - dengan error handling
+    console.log("[MANUAL RESERVATION] Calculating price for:", {
+      serviceId,
+      babyAge: babyResult.babyAge,
+      priceTierId: tierResult.priceTierId,
+    });
+
+    const addOnResult = await resolveAddOns(service, addOnIds);
+    if (addOnResult.error) {
+      return res.status(addOnResult.statusCode).json({
+        success: false,
+        message: addOnResult.error,
+      });
+    }
+
+    const extraSessions = await findConsecutiveSessions(
+      session,
+      service.duration + addOnResult.extraMinutes,
+      { service }
+    );
+    if (!extraSessions) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Staff is not available for the full service duration in this session",
+      });
+    }
+    const availableResource = await findAvailableResource(
+      serviceId,
+      session.timeSlot.startTime,
+      service.duration + addOnResult.extraMinutes
+    );
+    if (!availableResource)
+      return res.status(409).json({
+        success: false,
+        message:
+          "No compatible room or equipment is free for the full service duration in this session",
+      });
+
+    let totalPrice;
+    try {
+      totalPrice =
+        (await calculateTotalPrice({
+          serviceId,
+          babyAge: babyResult.babyAge,
+          priceTierId: tierResult.priceTierId,
+        })) + addOnResult.addOnsPrice;
+      console.log("[MANUAL RESERVATION] Price calculated:", totalPrice);
+    } catch (priceError) {
+      console.error(
+        "[MANUAL RESERVATION] Price calculation error:",
+        priceError
+      );
+      return res.status(400).json({
+        success: false,
+        message: "Failed to calculate price",
+        error: priceError.message,
+      });
+    }
+
     // DETERMINE RESERVATION STATUS BASED ON PAYMENT
     let reservationStatus;
     if (isPaymentPaid) {
@@ -1624,15 +2764,17 @@ export const createManualReservation = async (req, res) => {
       serviceId,
       staffId: session.staffId,
       sessionId,
-      babyName: babyName.trim(),
-      babyAge: parseInt(babyAge), // Ensure it's a number
-      priceTierId: priceTierId || null,
+      babyId: babyResult.babyId,
+      babyName: babyResult.babyName,
+      babyAge: babyResult.babyAge,
+      priceTierId: tierResult.priceTierId,
       parentNames: parentNames?.trim() || null, // Store parent names in the field
       notes: formattedNotes.join("\n") || null,
       reservationType: "MANUAL",
       createdByOwner: true,
       status: reservationStatus, // Use the determined status
       totalPrice,
+      ...buildReservationAddOnsData(addOnResult.addOns),
     };
 
     console.log(
@@ -1658,9 +2800,16 @@ export const createManualReservation = async (req, res) => {
 
     // TRANSACTION: Create reservation and update session
     const result = await prisma.$transaction(async (tx) => {
-      // Create reservation
+      // Create reservation (dengan ruangan/peralatan yang masih kosong)
+      const resourceId = await reserveResource(
+        serviceId,
+        session.timeSlot.startTime,
+        service.duration + addOnResult.extraMinutes,
+        {},
+        tx
+      );
       const reservation = await tx.reservation.create({
-        data: reservationData,
+        data: { ...reservationData, resourceId },
         include: {
           customer: true,
           service: true,
@@ -1680,8 +2829,9 @@ export const createManualReservation = async (req, res) => {
       // Update session booking status
       await tx.session.update({
         where: { id: sessionId },
-        data: { isBooked: true },
+        data: { isBooked: true, heldByCustomerId: null, holdExpiresAt: null },
       });
+      await bookExtraSessions(reservation.id, extraSessions, tx);
 
       // Create payment record
       const paymentData = {
@@ -1690,7 +2840,7 @@ export const createManualReservation = async (req, res) => {
         paymentMethod: paymentMethod.toUpperCase(),
         expiryDate: isPaymentPaid
           ? new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) // 1 year from now for paid
-          : new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours for unpaid
+          : getPaymentExpiryDate(paymentMethod.toUpperCase()),
         notes: paymentNotes?.trim() || null,
         paymentStatus: paymentStatus,
         paymentDate: paymentDate,
@@ -1710,6 +2860,22 @@ export const createManualReservation = async (req, res) => {
         data: paymentData,
       });
 
+      await createReservationEvent(
+        {
+          reservationId: reservation.id,
+          type: "CREATED",
+          actorType: "OWNER",
+          actorId: req.owner?.id,
+          newValue: {
+            status: reservationStatus,
+            sessionId,
+            totalPrice,
+            paymentStatus,
+          },
+        },
+        tx
+      );
+
       return { reservation, payment };
     });
 
@@ -1923,6 +3089,16 @@ export const uploadManualPaymentProof = async (req, res) => {
       });
     }
 
+    if (
+      reservation.status !== "CONFIRMED" &&
+      !isValidStatusTransition(reservation.status, "CONFIRMED")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${reservation.status} to CONFIRMED`,
+      });
+    }
+
     // Update payment dengan bukti pembayaran
     const payment = await getPaymentByReservationId(reservationId);
     if (!payment) {
@@ -1940,7 +3116,11 @@ export const uploadManualPaymentProof = async (req, res) => {
     });
 
     // Update status reservasi menjadi confirmed
-    await updateReservationStatus(reservationId, "CONFIRMED");
+    await transitionReservation(reservationId, "CONFIRMED", {
+      actor: { actorType: "OWNER", actorId: req.owner?.id },
+      reason: "Bukti pembayaran diunggah owner",
+      notify: false,
+    });
 
     return res.status(200).json({
       success: true,
@@ -1997,6 +3177,16 @@ export const updateManualReservationPayment = async (req, res) => {
       });
     }
 
+    if (
+      reservation.status !== "CONFIRMED" &&
+      !isValidStatusTransition(reservation.status, "CONFIRMED")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${reservation.status} to CONFIRMED`,
+      });
+    }
+
     // Update payment status
     const payment = await getPaymentByReservationId(reservationId);
     if (payment) {
@@ -2009,7 +3199,11 @@ export const updateManualReservationPayment = async (req, res) => {
     }
 
     // Update reservation status
-    await updateReservationStatus(reservationId, "CONFIRMED");
+    await transitionReservation(reservationId, "CONFIRMED", {
+      actor: { actorType: "OWNER", actorId: req.owner?.id },
+      reason: "Pembayaran manual dicatat owner",
+      notify: false,
+    });
 
     return res.status(200).json({
       success: true,
@@ -2076,7 +3270,7 @@ export const createManualPayment = async (req, res) => {
       paymentMethod: "BANK_TRANSFER",
       paymentStatus: "PENDING", // Owner will need to verify
       paymentProof: req.paymentProofUrl,
-      expiryDate: addHours(new Date(), 24), // 24 hours from now
+      expiryDate: getPaymentExpiryDate("BANK_TRANSFER"),
     };
 
     if (existingPayment) {
@@ -2185,22 +3379,31 @@ export const verifyManualPayment = async (req, res) => {
     const paymentStatus = isVerified ? "PAID" : "FAILED";
     const reservationStatus = isVerified ? "CONFIRMED" : "CANCELLED";
 
+    if (
+      payment.reservation.status !== reservationStatus &&
+      !isValidStatusTransition(payment.reservation.status, reservationStatus)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${payment.reservation.status} to ${reservationStatus}`,
+      });
+    }
+
     // Update payment
     const updatedPayment = await updatePayment(paymentId, {
       paymentStatus,
       paymentDate: isVerified ? new Date() : null,
     });
 
-    // Update reservation
-    const updatedReservation = await updateReservationStatus(
-      payment.reservationId,
-      reservationStatus
-    );
-
-    // If rejected, free up the session
-    if (!isVerified) {
-      await updateSessionBookingStatus(payment.reservation.sessionId, false);
-    }
+    // Update reservation (sesi dibebaskan otomatis jika ditolak)
+    await transitionReservation(payment.reservationId, reservationStatus, {
+      actor: { actorType: "OWNER", actorId: req.owner?.id },
+      reason: isVerified
+        ? "Pembayaran diverifikasi"
+        : "Pembayaran ditolak saat verifikasi",
+      emailReason: "Bukti pembayaran Anda tidak dapat diverifikasi.",
+    });
+    const updatedReservation = await getReservationById(payment.reservationId);
 
     return res.status(200).json({
       success: true,
@@ -2220,21 +3423,6 @@ export const verifyManualPayment = async (req, res) => {
   }
 };
 
-// Helper function untuk validasi status transition
-const isValidStatusTransition = (currentStatus, newStatus) => {
-  const validTransitions = {
-    PENDING_PAYMENT: ["CONFIRMED", "EXPIRED", "CANCELLED"],
-    PENDING: ["CONFIRMED", "CANCELLED"],
-    CONFIRMED: ["IN_PROGRESS", "CANCELLED"],
-    IN_PROGRESS: ["COMPLETED", "CANCELLED"],
-    COMPLETED: [],
-    CANCELLED: [],
-    EXPIRED: [],
-  };
-
-  return validTransitions[currentStatus]?.includes(newStatus);
-};
-
 // Helper function to format time
 const formatTime = (dateTimeString) => {
   const date = new Date(dateTimeString);
@@ -2264,6 +3452,361 @@ const calculateTotalPrice = async ({ serviceId, babyAge, priceTierId }) => {
 
   return service.price;
 };
+
+/**
+ * Helper function to resolve the baby data stored on a reservation.
+ * Jika babyId dikirim, nama dan umur diambil dari profil bayi dan umur
+ * dihitung dari tanggal lahir pada tanggal sesi.
+ * @param {Object} params - Parameters
+ * @param {string} params.babyId - Baby profile ID (optional)
+ * @param {string} params.babyName - Free-text baby name (fallback)
+ * @param {number|string} params.babyAge - Free-text baby age in months (fallback)
+ * @param {string} params.customerId - Customer that must own the baby profile
+ * @param {Date} params.sessionStartTime - Start time of the booked session
+ * @returns {Promise<Object>} { babyId, babyName, babyAge } or { error, statusCode }
+ */
+const resolveReservationBaby = async ({
+  babyId,
+  babyName,
+  babyAge,
+  customerId,
+  sessionStartTime,
+}) => {
+  if (babyId) {
+    const baby = await getBabyById(babyId);
+    if (!baby) {
+      return { error: "Profil bayi tidak ditemukan.", statusCode: 404 };
+    }
+    if (baby.customerId !== customerId) {
+      return {
+        error: "Profil bayi bukan milik pelanggan ini.",
+        statusCode: 403,
+      };
+    }
+
+    return {
+      babyId: baby.id,
+      babyName: baby.name,
+      babyAge: calculateAgeInMonths(baby.birthDate, sessionStartTime),
+    };
+  }
+
+  const age = parseInt(babyAge, 10);
+  if (!babyName?.trim() || isNaN(age) || age < 0) {
+    return {
+      error: "Nama dan umur bayi (dalam bulan) harus diisi dengan benar.",
+      statusCode: 400,
+    };
+  }
+
+  return { babyId: null, babyName: babyName.trim(), babyAge: age };
+};
+
+/**
+ * Pilih sesi untuk reservasi yang hanya menyebutkan time slot.
+ * Durasi mengikuti layanan beserta add-on agar terapis yang dipilih
+ * tersedia untuk seluruh durasi layanan.
+ * @param {Object} params - { serviceId, timeSlotId, addOnIds, customerId, strategy, preferredStaffId }
+ * @returns {Promise<Object>} { session, extraSessions, strategy } or { error, statusCode }
+ */
+const assignSessionForTimeSlot = async ({
+  serviceId,
+  timeSlotId,
+  addOnIds,
+  customerId,
+  strategy,
+  preferredStaffId,
+}) => {
+  const service = await getServiceById(serviceId);
+  if (!service) {
+    return { error: "Layanan tidak ditemukan.", statusCode: 404 };
+  }
+
+  const addOnResult = await resolveAddOns(service, addOnIds);
+  if (addOnResult.error) return addOnResult;
+
+  return await pickSessionForTimeSlot({
+    timeSlotId,
+    service,
+    duration: service.duration + addOnResult.extraMinutes,
+    customerId,
+    strategy,
+    preferredStaffId,
+  });
+};
+
+/**
+ * Helper function to pick the price tier for a reservation.
+ * Untuk reservasi dengan profil bayi, tier selalu ditentukan dari umur
+ * terhitung. Untuk input manual, priceTierId dari client tetap dipakai
+ * dan tier hanya dicari otomatis jika tidak dikirim.
+ * @param {Object} params - Parameters
+ * @param {Object} params.service - Service (with hasPriceTiers)
+ * @param {number} params.babyAge - Baby age in months
+ * @param {string} params.priceTierId - Price tier ID sent by the client (optional)
+ * @param {boolean} params.fromBabyProfile - Whether the age was computed from a baby profile
+ * @returns {Promise<Object>} { priceTierId } or { error }
+ */
+const resolvePriceTierId = async ({
+  service,
+  babyAge,
+  priceTierId,
+  fromBabyProfile,
+}) => {
+  if (!service.hasPriceTiers) {
+    return { priceTierId: priceTierId || null };
+  }
+
+  if (priceTierId && !fromBabyProfile) {
+    return { priceTierId };
+  }
+
+  const priceTier = await getServicePriceTierByAge(service.id, babyAge);
+  if (!priceTier) {
+    return {
+      error: `Layanan ${service.name} tidak tersedia untuk bayi berumur ${babyAge} bulan.`,
+    };
+  }
+
+  return { priceTierId: priceTier.id };
+};
+
+/**
+ * Buat reservasi yang dibayar dengan satu kredit paket prabayar.
+ * Reservasi langsung CONFIRMED dan dicatat dengan Payment PAID senilai 0.
+ * @returns {Promise<Object>} { reservation, payment, remainingCredits } atau { error, statusCode }
+ */
+const createReservationWithPackageCredit = async ({
+  customerPackageId,
+  customer,
+  service,
+  session,
+  extraSessions,
+  baby,
+  priceTierId,
+  notes,
+}) => {
+  const customerPackage = await getCustomerPackageById(customerPackageId);
+
+  if (!customerPackage || customerPackage.customerId !== customer.id) {
+    return { error: "Paket tidak ditemukan.", statusCode: 404 };
+  }
+  if (customerPackage.package.serviceId !== service.id) {
+    return {
+      error: "Paket ini tidak berlaku untuk layanan yang dipilih.",
+      statusCode: 400,
+    };
+  }
+  if (
+    customerPackage.status !== "ACTIVE" ||
+    customerPackage.remainingCredits <= 0
+  ) {
+    return {
+      error: "Paket tidak aktif atau kredit sudah habis.",
+      statusCode: 400,
+    };
+  }
+  if (new Date(session.timeSlot.startTime) > customerPackage.expiresAt) {
+    return {
+      error: "Jadwal sesi melewati masa berlaku paket.",
+      statusCode: 400,
+    };
+  }
+
+  return await prisma.$transaction(async (tx) => {
+    const redeemed = await redeemPackageCredit(customerPackage.id, tx);
+    if (!redeemed) {
+      throw new Error("Kredit paket sudah habis atau kedaluwarsa.");
+    }
+
+    const resourceId = await reserveResource(
+      service.id,
+      session.timeSlot.startTime,
+      service.duration,
+      {},
+      tx
+    );
+    const reservation = await tx.reservation.create({
+      data: {
+        customerId: customer.id,
+        serviceId: service.id,
+        staffId: session.staffId,
+        sessionId: session.id,
+        resourceId,
+        babyId: baby.babyId,
+        babyName: baby.babyName,
+        babyAge: baby.babyAge,
+        priceTierId,
+        notes: notes?.trim() || null,
+        reservationType: "ONLINE",
+        totalPrice: 0,
+        status: "CONFIRMED",
+        customerPackageId: customerPackage.id,
+      },
+    });
+
+    const payment = await tx.payment.create({
+      data: {
+        reservationId: reservation.id,
+        amount: 0,
+        paymentMethod: "PACKAGE_CREDIT",
+        paymentStatus: "PAID",
+        paymentDate: new Date(),
+        expiryDate: new Date(),
+        notes: `Kredit paket ${customerPackage.package.name}`,
+      },
+    });
+
+    await tx.session.update({
+      where: { id: session.id },
+      data: { isBooked: true, heldByCustomerId: null, holdExpiresAt: null },
+    });
+    await bookExtraSessions(reservation.id, extraSessions, tx);
+    await acceptWaitlistOffer(session.id, customer.id, tx);
+    await createReservationEvent(
+      {
+        reservationId: reservation.id,
+        type: "CREATED",
+        actorType: "CUSTOMER",
+        actorId: customer.id,
+        newValue: {
+          status: "CONFIRMED",
+          sessionId: session.id,
+          customerPackageId: customerPackage.id,
+        },
+      },
+      tx
+    );
+
+    return {
+      reservation,
+      payment,
+      remainingCredits: customerPackage.remainingCredits - 1,
+    };
+  });
+};
+/**
+ * Hitung umur bayi, price tier dan harga reservasi jika dipindah ke sesi lain.
+ * Harga lama dipertahankan selama price tier tidak berubah; umur hanya
+ * dihitung ulang untuk reservasi dengan profil bayi (bukan kredit paket).
+ * @param {Object} reservation - Reservation with service
+ * @param {Object} newSession - Target session with timeSlot
+ * @returns {Promise<Object>} { babyAge, priceTierId, totalPrice, priceDifference } atau { error }
+ */
+const quoteReschedulePrice = async (reservation, newSession) => {
+  const unchanged = {
+    babyAge: reservation.babyAge,
+    priceTierId: reservation.priceTierId,
+    totalPrice: reservation.totalPrice,
+    priceDifference: 0,
+  };
+
+  if (!reservation.babyId || reservation.customerPackageId) return unchanged;
+
+  const baby = await getBabyById(reservation.babyId);
+  if (!baby) return unchanged;
+
+  const babyAge = calculateAgeInMonths(
+    baby.birthDate,
+    newSession.timeSlot.startTime
+  );
+  const tierResult = await resolvePriceTierId({
+    service: reservation.service,
+    babyAge,
+    fromBabyProfile: true,
+  });
+  if (tierResult.error) return { error: tierResult.error };
+
+  if (tierResult.priceTierId === reservation.priceTierId) {
+    return { ...unchanged, babyAge };
+  }
+
+  // Harga add-on tetap mengikuti harga saat reservasi dibuat
+  const totalPrice =
+    (await calculateTotalPrice({
+      serviceId: reservation.serviceId,
+      babyAge,
+      priceTierId: tierResult.priceTierId,
+    })) + getReservationAddOnsPrice(reservation);
+
+  return {
+    babyAge,
+    priceTierId: tierResult.priceTierId,
+    totalPrice,
+    priceDifference: totalPrice - reservation.totalPrice,
+  };
+};
+
+/**
+ * Kalimat perubahan harga untuk email reschedule
+ * @param {Object} quote - Result of quoteReschedulePrice
+ * @param {Object|null} payment - Payment of the reservation
+ * @returns {string} Keterangan harga
+ */
+const describeReschedulePriceChange = (quote, payment) => {
+  if (!quote.priceDifference) {
+    return "Tidak ada perubahan harga untuk jadwal baru ini.";
+  }
+
+  const newPrice = `Rp ${quote.totalPrice.toLocaleString("id-ID")}`;
+  const difference = `Rp ${Math.abs(quote.priceDifference).toLocaleString("id-ID")}`;
+
+  if (!payment || payment.paymentStatus === "PENDING") {
+    return `Karena perubahan kategori umur, total tagihan menjadi ${newPrice}.`;
+  }
+
+  return quote.priceDifference < 0
+    ? `Karena perubahan kategori umur, harga menjadi ${newPrice}. Selisih ${difference} akan dikembalikan kepada Anda.`
+    : `Karena perubahan kategori umur, harga menjadi ${newPrice}. Selisih ${difference} dibayarkan saat kedatangan.`;
+};
+
+/**
+ * Validasi pembatalan oleh customer dan hitung refund-nya.
+ * @param {Object} reservation - Reservation with session.timeSlot & payment
+ * @returns {Promise<Object>} { error } atau { payment, refund }
+ */
+const prepareCustomerCancellation = async (reservation) => {
+  if (!["PENDING", "CONFIRMED"].includes(reservation.status)) {
+    return {
+      error: `Reservasi dengan status ${reservation.status} tidak dapat dibatalkan.`,
+    };
+  }
+
+  const sessionStartTime = new Date(reservation.session.timeSlot.startTime);
+  if (sessionStartTime <= new Date()) {
+    return { error: "Sesi sudah dimulai dan tidak dapat dibatalkan." };
+  }
+
+  // Pembayaran grup disimpan pada reservasi lead
+  const payment =
+    reservation.payment ||
+    (reservation.groupId
+      ? await getPaymentByGroupId(reservation.groupId)
+      : null);
+
+  // Tagihan Tripay grup tidak bisa dikurangi sebagian
+  if (reservation.groupId && payment?.paymentStatus === "PENDING") {
+    return {
+      error:
+        "Reservasi grup yang belum dibayar tidak dapat dibatalkan sebagian. Silakan hubungi kami.",
+    };
+  }
+
+  const isPaid = ["PAID", "PARTIALLY_REFUNDED"].includes(
+    payment?.paymentStatus
+  );
+  const paidAmount = !isPaid
+    ? 0
+    : reservation.groupId
+      ? reservation.totalPrice
+      : payment.amount;
+
+  return {
+    payment,
+    refund: calculateRefund({ paidAmount, sessionStartTime }),
+  };
+};
+
 /**
  * Updates the payment proof for an existing reservation.
  * @param {Object} req - Express request object
@@ -2288,6 +3831,16 @@ export const updateManualPaymentProofHandler = async (req, res) => {
       });
     }
 
+    if (
+      reservation.status !== "PENDING" &&
+      !isValidStatusTransition(reservation.status, "PENDING")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${reservation.status} to PENDING`,
+      });
+    }
+
     // Update payment proof URL di database dan reset statusnya
     const updatedPayment = await updatePaymentProof(
       reservation.payment.id,
@@ -2295,7 +3848,11 @@ export const updateManualPaymentProofHandler = async (req, res) => {
     );
 
     // Reset status reservasi juga agar konsisten
-    await updateReservationStatus(reservationId, "PENDING");
+    await transitionReservation(reservationId, "PENDING", {
+      actor: { actorType: "OWNER", actorId: req.owner?.id },
+      reason: "Bukti pembayaran diperbarui, menunggu verifikasi",
+      notify: false,
+    });
 
     return res.status(200).json({
       success: true,
@@ -2354,9 +3911,9 @@ export const confirmManualWithProofHandler = async (req, res) => {
     }
 
     // Lakukan update dalam satu transaksi database
-    const [updatedPayment, updatedReservation] = await prisma.$transaction([
+    const updatedPayment = await prisma.$transaction(async (tx) => {
       // 1. Update Payment
-      prisma.payment.update({
+      const payment = await tx.payment.update({
         where: { id: reservation.payment.id },
         data: {
           paymentProof: req.paymentProofUrl,
@@ -2364,15 +3921,23 @@ export const confirmManualWithProofHandler = async (req, res) => {
           paymentDate: new Date(),
           paymentMethod: "BANK_TRANSFER", // Asumsikan transfer jika ada bukti
         },
-      }),
+      });
+
       // 2. Update Reservation
-      prisma.reservation.update({
-        where: { id: reservationId },
-        data: {
-          status: "CONFIRMED",
+      await applyReservationTransition(
+        [reservation],
+        "CONFIRMED",
+        {
+          actor: { actorType: "OWNER", actorId: req.owner?.id },
+          reason: "Dikonfirmasi dengan bukti pembayaran",
+          details: { paymentStatus: "PAID" },
         },
-      }),
-    ]);
+        tx
+      );
+
+      return payment;
+    });
+    const updatedReservation = await getReservationById(reservationId);
 
     return res.status(200).json({
       success: true,
@@ -0,0 +1,239 @@
+// src/controller/resourceController.js
+import {
+  getResources,
+  getResourceById,
+  createResource,
+  updateResource,
+  deleteResource,
+  countActiveReservationsForResource,
+} from "../repository/resourceRepository.js";
+
+const RESOURCE_TYPES = ["ROOM", "EQUIPMENT"];
+
+/**
+ * Validasi & parsing input resource
+ * @param {Object} body - { name, type, description, capacity, isActive, serviceIds }
+ * @param {Boolean} partial - Update: hanya field yang dikirim yang divalidasi
+ * @returns {{ data?: Object, serviceIds?: Array, error?: string }}
+ */
+const parseResourceInput = (body, partial = false) => {
+  const { name, type, description, capacity, isActive, serviceIds } = body;
+  const data = {};
+
+  if (!partial || name !== undefined) {
+    if (!name?.trim()) {
+      return { error: "Name is required" };
+    }
+    data.name = name.trim();
+  }
+  if (type !== undefined) {
+    if (!RESOURCE_TYPES.includes(type)) {
+      return { error: `Type must be one of: ${RESOURCE_TYPES.join(", ")}` };
+    }
+    data.type = type;
+  }
+  if (description !== undefined) {
+    data.description = description?.trim() || null;
+  }
+  if (capacity !== undefined) {
+    const parsedCapacity = parseInt(capacity, 10);
+    if (isNaN(parsedCapacity) || parsedCapacity < 1) {
+      return { error: "Capacity must be a number of at least 1" };
+    }
+    data.capacity = parsedCapacity;
+  }
+  if (isActive !== undefined) {
+    data.isActive = isActive === true || isActive === "true";
+  }
+  if (
+    serviceIds !== undefined &&
+    (!Array.isArray(serviceIds) || serviceIds.some((serviceId) => !serviceId))
+  ) {
+    return { error: "serviceIds must be an array of service IDs" };
+  }
+
+  return {
+    data,
+    serviceIds: serviceIds ? [...new Set(serviceIds)] : undefined,
+  };
+};
+
+/**
+ * Get rooms & equipment (owner). Query: isActive, serviceId
+ */
+export const getResourcesHandler = async (req, res) => {
+  try {
+    const { isActive, serviceId } = req.query;
+
+    const resources = await getResources({
+      isActive: isActive === undefined ? undefined : isActive === "true",
+      serviceId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Resources retrieved successfully",
+      data: resources,
+    });
+  } catch (error) {
+    console.error("[GET RESOURCES ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve resources",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get a room / equipment by ID (owner)
+ */
+export const getResourceByIdHandler = async (req, res) => {
+  try {
+    const resource = await getResourceById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: "Resource not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Resource retrieved successfully",
+      data: resource,
+    });
+  } catch (error) {
+    console.error("[GET RESOURCE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve resource",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a room / equipment (owner).
+ * Body: { name, type, description, capacity, isActive, serviceIds }
+ * serviceIds adalah layanan yang membutuhkan resource ini.
+ */
+export const createResourceHandler = async (req, res) => {
+  try {
+    const { data, serviceIds, error } = parseResourceInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const resource = await createResource(data, serviceIds);
+
+    return res.status(201).json({
+      success: true,
+      message: "Resource created successfully",
+      data: resource,
+    });
+  } catch (error) {
+    // Handle missing service on connect
+    if (error.code === "P2025") {
+      return res.status(404).json({
+        success: false,
+        message: "Service not found",
+      });
+    }
+
+    console.error("[CREATE RESOURCE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create resource",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update a room / equipment (owner).
+ * Perubahan kapasitas/layanan berlaku untuk reservasi berikutnya.
+ */
+export const updateResourceHandler = async (req, res) => {
+  try {
+    const { data, serviceIds, error } = parseResourceInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const existingResource = await getResourceById(req.params.id);
+    if (!existingResource) {
+      return res.status(404).json({
+        success: false,
+        message: "Resource not found",
+      });
+    }
+
+    const resource = await updateResource(
+      existingResource.id,
+      data,
+      serviceIds
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Resource updated successfully",
+      data: resource,
+    });
+  } catch (error) {
+    // Handle missing service on connect
+    if (error.code === "P2025") {
+      return res.status(404).json({
+        success: false,
+        message: "Service not found",
+      });
+    }
+
+    console.error("[UPDATE RESOURCE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update resource",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delete a room / equipment (owner).
+ * Ditolak jika masih dipakai reservasi aktif; nonaktifkan resource sebagai gantinya.
+ */
+export const deleteResourceHandler = async (req, res) => {
+  try {
+    const resource = await getResourceById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: "Resource not found",
+      });
+    }
+
+    const activeReservationCount = await countActiveReservationsForResource(
+      resource.id
+    );
+    if (activeReservationCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Resource is used by ${activeReservationCount} active reservations. Deactivate it instead.`,
+      });
+    }
+
+    await deleteResource(resource.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Resource deleted successfully",
+    });
+  } catch (error) {
+    console.error("[DELETE RESOURCE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete resource",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -5,6 +5,8 @@ import {
   generateTimeSlots,
   generateSessions,
   generateFullSchedule,
+  planFullSchedule,
+  applySchedulePlan,
 } from "../repository/schedulerRepository.js";
 import { runH1Reminder } from "../config/cronScheduler.js";
 import prisma from "../config/db.js";
@@ -13,7 +15,13 @@ import dotenv from "dotenv";
 dotenv.config();
 
 /**
- * [TIDAK BERUBAH] Generate full schedule for the specified number of days
+ * Generate full schedule for the specified number of days.
+ * Dengan dryRun: true tidak ada yang ditulis; respons berisi rencana per
+ * tanggal, time slot, dan staf yang bisa dijalankan lewat /generate/apply.
+ * Dengan reconcile: true jadwal lama disamakan dengan jam operasional saat
+ * ini; reservasi dan antrean waitlist yang tidak lagi sesuai dikembalikan di
+ * reservationConflicts.
+ * Hari yang sudah ditutup tetap libur kecuali tanggalnya ada di reopenDates.
  */
 export const generateSchedule = async (req, res) => {
   try {
@@ -23,6 +31,9 @@ export const generateSchedule = async (req, res) => {
       holidayDates = [],
       timeConfig,
       timeZoneOffset,
+      dryRun,
+      reconcile,
+      reopenDates = [],
     } = req.body;
 
     const tzOffset =
@@ -33,21 +44,29 @@ export const generateSchedule = async (req, res) => {
         : 7;
 
     const parsedStartDate = startDate ? parseISO(startDate) : new Date();
-
-    const defaultTimeConfig = {
-      startHour: 7,
-      endHour: 15,
-      slotDurationMinutes: 60,
-    };
+    const isDryRun = dryRun === true || dryRun === "true";
 
     const result = await generateFullSchedule(
       parsedStartDate,
       parseInt(days),
       holidayDates,
-      timeConfig || defaultTimeConfig,
-      tzOffset
+      timeConfig, // Tanpa timeConfig, jam mengikuti template jam operasional mingguan
+      tzOffset,
+      {
+        dryRun: isDryRun,
+        reconcile: reconcile === true || reconcile === "true",
+        reopenDates,
+      }
     );
 
+    if (isDryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Schedule plan for ${days} days generated (dry run, nothing was written)`,
+        data: result,
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: `Successfully generated schedules for ${days} days`,
@@ -56,6 +75,11 @@ export const generateSchedule = async (req, res) => {
         timeSlotsCreated: Object.values(result.timeSlotsBySchedule).flat()
           .length,
         sessionsCreated: Object.values(result.sessionsByTimeSlot).flat().length,
+        created: result.created,
+        updated: result.updated,
+        deleted: result.deleted,
+        reservationConflicts: result.reservationConflicts,
+        timing: result.timing,
       },
     });
   } catch (error) {
@@ -68,6 +92,71 @@ export const generateSchedule = async (req, res) => {
   }
 };
 
+/**
+ * Apply a schedule plan previewed with dryRun.
+ * Body: { planId, parameters } dari respons dry run. Rencana dihitung ulang
+ * dengan parameter yang sama; jika jadwal, cuti, atau staf berubah sejak
+ * preview, rencana baru dikembalikan untuk ditinjau ulang.
+ */
+export const applyScheduleGeneration = async (req, res) => {
+  try {
+    const { planId, parameters } = req.body;
+
+    if (!planId || !parameters?.startDate) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "planId and parameters from a dry run (dryRun: true) are required",
+      });
+    }
+
+    const plan = await planFullSchedule(
+      parseISO(parameters.startDate),
+      parseInt(parameters.days),
+      parameters.holidayDates || [],
+      parameters.timeConfig || null,
+      parseInt(parameters.timeZoneOffset),
+      {
+        reconcile: parameters.reconcile === true,
+        reopenDates: parameters.reopenDates || [],
+      }
+    );
+
+    if (plan.planId !== planId) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Schedule data changed since the preview. Review the updated plan and apply it again.",
+        data: plan,
+      });
+    }
+
+    const appliedAt = Date.now();
+    const { created, updated, deleted } = await applySchedulePlan(plan);
+
+    res.status(201).json({
+      success: true,
+      message: `Successfully applied schedule plan for ${plan.parameters.days} days`,
+      data: {
+        planId: plan.planId,
+        summary: plan.summary,
+        created,
+        updated,
+        deleted,
+        reservationConflicts: plan.reservationConflicts,
+        timing: { applyMs: Date.now() - appliedAt },
+      },
+    });
+  } catch (error) {
+    console.error("[APPLY SCHEDULE PLAN ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to apply schedule plan",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * [TIDAK BERUBAH] Run the schedule generation as a scheduled task
  */
@@ -89,17 +178,13 @@ export const runScheduledGeneration = async (req, res) => {
     const timeZoneOffset = process.env.TIMEZONE_OFFSET
       ? parseInt(process.env.TIMEZONE_OFFSET)
       : 7;
-    const defaultTimeConfig = {
-      startHour: 7,
-      endHour: 15,
-      slotDurationMinutes: 60,
-    };
 
+    // Jam operasional diambil dari template mingguan (BusinessHours)
     const result = await generateFullSchedule(
       startDate,
       7,
       [],
-      defaultTimeConfig,
+      null,
       timeZoneOffset
     );
 
@@ -111,6 +196,8 @@ export const runScheduledGeneration = async (req, res) => {
         timeSlotsCreated: Object.values(result.timeSlotsBySchedule).flat()
           .length,
         sessionsCreated: Object.values(result.sessionsByTimeSlot).flat().length,
+        created: result.created,
+        timing: result.timing,
       },
     });
   } catch (error) {
@@ -181,12 +268,6 @@ export const generateScheduleComponents = async (req, res) => {
 
     const parsedStartDate = startDate ? parseISO(startDate) : new Date();
 
-    const defaultTimeConfig = {
-      startHour: 7,
-      endHour: 15,
-      slotDurationMinutes: 60,
-    };
-
     let result = {};
 
     switch (component) {
@@ -221,7 +302,7 @@ export const generateScheduleComponents = async (req, res) => {
 
         const timeSlots = await generateTimeSlots(
           operatingSchedules.filter(Boolean),
-          timeConfig || defaultTimeConfig,
+          timeConfig,
           tzOffset
         );
         result = { timeSlotsBySchedule: timeSlots };
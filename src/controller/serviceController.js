@@ -10,6 +10,26 @@ import {
   getServicePriceTierByAge,
 } from "../repository/serviceRepository.js";
 
+/**
+ * Parse buffer persiapan/pembersihan layanan (menit, tidak boleh negatif)
+ * @param {Object} body - { bufferBeforeMinutes, bufferAfterMinutes }
+ * @returns {{ data?: Object, error?: string }} Only the fields that were sent
+ */
+const parseBufferMinutes = (body) => {
+  const data = {};
+  for (const field of ["bufferBeforeMinutes", "bufferAfterMinutes"]) {
+    if (body[field] === undefined) continue;
+
+    const minutes = parseInt(body[field], 10);
+    if (isNaN(minutes) || minutes < 0) {
+      return { error: `${field} must be a number of at least 0` };
+    }
+    data[field] = minutes;
+  }
+
+  return { data };
+};
+
 /**
  * Creates a new service
  * @param {Object} req - Express request object
@@ -42,6 +62,14 @@ export const createServiceHandler = async (req, res) => {
       });
     }
 
+    const bufferResult = parseBufferMinutes(req.body);
+    if (bufferResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: bufferResult.error,
+      });
+    }
+
     // Validate based on whether service has price tiers or not
     const hasPriceTiersBoolean =
       hasPriceTiers === true || hasPriceTiers === "true";
@@ -94,6 +122,7 @@ export const createServiceHandler = async (req, res) => {
       name,
       description,
       duration: parseInt(duration),
+      ...bufferResult.data,
       categoryId,
       hasPriceTiers: hasPriceTiersBoolean,
       imageUrl: req.serviceImageUrl || null,
@@ -238,8 +267,16 @@ export const updateServiceHandler = async (req, res) => {
       });
     }
 
+    const bufferResult = parseBufferMinutes(req.body);
+    if (bufferResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: bufferResult.error,
+      });
+    }
+
     // Prepare update data
-    const updateData = {};
+    const updateData = { ...bufferResult.data };
 
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
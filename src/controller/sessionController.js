@@ -1,5 +1,9 @@
 // src/controller/sessionController.js
+import { addMinutes } from "date-fns";
 import * as sessionRepository from "../repository/sessionRepository.js";
+import { SESSION_HOLD_MINUTES } from "../config/paymentConfig.js";
+import { getServiceById } from "../repository/serviceRepository.js";
+import { resolveAddOns } from "../services/addOnService.js";
 
 /**
  * Create a new session
@@ -212,13 +216,41 @@ export const deleteSession = async (req, res) => {
 };
 
 /**
- * Get available sessions for a specific date
+ * Resolve the service duration used to check availability.
+ * Jika serviceId dikirim, durasi dihitung dari durasi layanan ditambah
+ * menit tambahan add-on yang dipilih (addOnIds, dipisah koma).
+ * @param {Object} query - { duration, serviceId, addOnIds }
+ * @returns {Promise<Object>} { duration } or { error, statusCode }
+ */
+const resolveServiceDuration = async ({ duration, serviceId, addOnIds }) => {
+  if (!serviceId) {
+    // Default duration to 60 minutes if not specified
+    return { duration: duration ? parseInt(duration) : 60 };
+  }
+
+  const service = await getServiceById(serviceId);
+  if (!service) {
+    return { error: "Service not found", statusCode: 404 };
+  }
+
+  const addOnResult = await resolveAddOns(
+    service,
+    addOnIds ? String(addOnIds).split(",").filter(Boolean) : [],
+  );
+  if (addOnResult.error) return addOnResult;
+
+  return { duration: service.duration + addOnResult.extraMinutes };
+};
+
+/**
+ * Get available sessions for a specific date.
+ * Durasi layanan dihitung dengan resolveServiceDuration.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const getAvailableSessions = async (req, res) => {
   try {
-    const { date, duration } = req.query;
+    const { date, duration, serviceId, addOnIds } = req.query;
 
     if (!date) {
       return res.status(400).json({
@@ -227,12 +259,23 @@ export const getAvailableSessions = async (req, res) => {
       });
     }
 
-    // Default duration to 60 minutes if not specified
-    const serviceDuration = duration ? parseInt(duration) : 60;
+    const durationResult = await resolveServiceDuration({
+      duration,
+      serviceId,
+      addOnIds,
+    });
+    if (durationResult.error) {
+      return res.status(durationResult.statusCode).json({
+        success: false,
+        message: durationResult.error,
+      });
+    }
 
+    // Hanya sesi staf yang memiliki kualifikasi untuk layanan ini
     const availableSessions = await sessionRepository.getAvailableSessions(
       date,
-      serviceDuration,
+      durationResult.duration,
+      serviceId,
     );
 
     res.status(200).json({
@@ -251,6 +294,72 @@ export const getAvailableSessions = async (req, res) => {
   }
 };
 
+/**
+ * Get available time slots for a specific date, without choosing a staff
+ * member. Terapis dipilih sistem saat reservasi dibuat dengan timeSlotId.
+ * Query sama dengan getAvailableSessions.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAvailableTimeSlots = async (req, res) => {
+  try {
+    const { date, duration, serviceId, addOnIds } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: "Date is required",
+      });
+    }
+
+    const durationResult = await resolveServiceDuration({
+      duration,
+      serviceId,
+      addOnIds,
+    });
+    if (durationResult.error) {
+      return res.status(durationResult.statusCode).json({
+        success: false,
+        message: durationResult.error,
+      });
+    }
+
+    const availableSessions = await sessionRepository.getAvailableSessions(
+      date,
+      durationResult.duration,
+      serviceId,
+    );
+
+    const timeSlots = new Map();
+    for (const session of availableSessions) {
+      const slot = timeSlots.get(session.timeSlotId) || {
+        id: session.timeSlotId,
+        startTime: session.timeSlot.startTime,
+        endTime: session.timeSlot.endTime,
+        serviceEndTime: session.serviceEndTime,
+        operatingSchedule: session.timeSlot.operatingSchedule,
+        availableStaffCount: 0,
+      };
+      slot.availableStaffCount += 1;
+      timeSlots.set(session.timeSlotId, slot);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Available time slots retrieved successfully",
+      count: timeSlots.size,
+      data: [...timeSlots.values()],
+    });
+  } catch (error) {
+    console.error("[GET AVAILABLE TIME SLOTS ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve available time slots",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Update session booking status
  * @param {Object} req - Express request object
@@ -297,6 +406,98 @@ export const updateSessionBookingStatus = async (req, res) => {
   }
 };
 
+/**
+ * Hold a free session for the logged in customer while they complete checkout.
+ * The hold is released automatically after SESSION_HOLD_MINUTES.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const holdSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await sessionRepository.getSessionById(id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (new Date(session.timeSlot.startTime) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Session has already started",
+      });
+    }
+
+    const holdExpiresAt = addMinutes(new Date(), SESSION_HOLD_MINUTES);
+    const held = await sessionRepository.holdSession(
+      id,
+      req.customer.id,
+      holdExpiresAt,
+    );
+
+    if (!held) {
+      return res.status(409).json({
+        success: false,
+        message: "Session is already booked or held by another customer",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Session held for ${SESSION_HOLD_MINUTES} minutes`,
+      data: {
+        sessionId: id,
+        holdExpiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("[HOLD SESSION ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to hold session",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Release the logged in customer's hold on a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const releaseSessionHold = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const released = await sessionRepository.releaseSessionHold(
+      id,
+      req.customer.id,
+    );
+
+    if (!released) {
+      return res.status(404).json({
+        success: false,
+        message: "No hold found for this session",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session hold released successfully",
+    });
+  } catch (error) {
+    console.error("[RELEASE SESSION HOLD ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to release session hold",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Get sessions by staff ID with optional date range
  * @param {Object} req - Express request object
@@ -0,0 +1,324 @@
+// src/controller/staffAvailabilityController.js
+import { getStaffById } from "../repository/staffRepository.js";
+import {
+  getStaffLeaves,
+  getStaffLeaveById,
+  createStaffLeave,
+  deleteStaffLeave,
+  getStaffWorkingHours,
+  replaceStaffWorkingHours,
+} from "../repository/staffAvailabilityRepository.js";
+import { generateSessions } from "../repository/schedulerRepository.js";
+import {
+  applyStaffLeave,
+  getTimeSlotsCoveredByLeave,
+  localDateTimeToUTC,
+} from "../services/staffAvailabilityService.js";
+import { isValidTimeString, timeToMinutes } from "../utils/timeUtils.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validasi & parsing input cuti menjadi rentang waktu UTC.
+ * Tanpa startTime/endTime cuti dihitung seharian penuh (endDate inklusif).
+ * @param {Object} body - { startDate, endDate, startTime, endTime, reason }
+ * @returns {{ data?: Object, error?: string }}
+ */
+const parseLeaveInput = (body) => {
+  const { startDate, endDate = body.startDate, startTime, endTime } = body;
+
+  if (
+    !DATE_PATTERN.test(startDate || "") ||
+    !DATE_PATTERN.test(endDate || "")
+  ) {
+    return { error: "startDate (and endDate) must use YYYY-MM-DD format" };
+  }
+  if (
+    (startTime !== undefined && !isValidTimeString(startTime)) ||
+    (endTime !== undefined && !isValidTimeString(endTime))
+  ) {
+    return { error: "startTime and endTime must use HH:mm format" };
+  }
+
+  const leaveStart = localDateTimeToUTC(startDate, startTime || "00:00");
+  const leaveEnd = endTime
+    ? localDateTimeToUTC(endDate, endTime)
+    : new Date(localDateTimeToUTC(endDate).getTime() + DAY_IN_MS);
+
+  if (isNaN(leaveStart.getTime()) || isNaN(leaveEnd.getTime())) {
+    return { error: "Invalid leave date" };
+  }
+  if (leaveEnd <= leaveStart) {
+    return { error: "Leave must end after it starts" };
+  }
+
+  return {
+    data: {
+      startTime: leaveStart,
+      endTime: leaveEnd,
+      reason: body.reason?.trim() || null,
+    },
+  };
+};
+
+/**
+ * Validasi & parsing jam kerja mingguan staf
+ * @param {Array} days - Array of { dayOfWeek, isOff, startTime, endTime }
+ * @returns {{ data?: Array, error?: string }}
+ */
+const parseWorkingHoursInput = (days) => {
+  if (!Array.isArray(days)) {
+    return { error: "days must be an array" };
+  }
+
+  const parsedDays = [];
+  for (const day of days) {
+    const dayOfWeek = parseInt(day?.dayOfWeek, 10);
+    if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { error: "dayOfWeek must be a number between 0 (Sunday) and 6" };
+    }
+    if (parsedDays.some((parsed) => parsed.dayOfWeek === dayOfWeek)) {
+      return { error: `Day ${dayOfWeek} is listed more than once` };
+    }
+
+    const isOff = day.isOff === true || day.isOff === "true";
+    const { startTime = "07:00", endTime = "15:00" } = day;
+    if (!isValidTimeString(startTime) || !isValidTimeString(endTime)) {
+      return {
+        error: `Day ${dayOfWeek}: startTime and endTime must use HH:mm format`,
+      };
+    }
+    if (!isOff && timeToMinutes(startTime) >= timeToMinutes(endTime)) {
+      return {
+        error: `Day ${dayOfWeek}: startTime must be earlier than endTime`,
+      };
+    }
+
+    parsedDays.push({ dayOfWeek, isOff, startTime, endTime });
+  }
+
+  return { data: parsedDays };
+};
+
+/**
+ * Get leaves of a staff member (owner). Query: from, to
+ */
+export const getStaffLeavesHandler = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (
+      (from && isNaN(new Date(from).getTime())) ||
+      (to && isNaN(new Date(to).getTime()))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date format. Please use YYYY-MM-DD",
+      });
+    }
+
+    const staff = await getStaffById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    const leaves = await getStaffLeaves(staff.id, {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Staff leaves retrieved successfully",
+      data: leaves,
+    });
+  } catch (error) {
+    console.error("[GET STAFF LEAVES ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve staff leaves",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Add a leave for a staff member (owner).
+ * Sesi kosong staf selama cuti dihapus; sesi yang sudah dipesan
+ * dikembalikan pada bookedSessions agar bisa dialihkan ke staf lain.
+ */
+export const createStaffLeaveHandler = async (req, res) => {
+  try {
+    const { data, error } = parseLeaveInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const staff = await getStaffById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    const overlappingLeaves = await getStaffLeaves(staff.id, {
+      from: data.startTime,
+      to: data.endTime,
+    });
+    if (overlappingLeaves.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Leave overlaps an existing leave for this staff member",
+        data: overlappingLeaves,
+      });
+    }
+
+    const leave = await createStaffLeave({ staffId: staff.id, ...data });
+    const { removedSessionCount, bookedSessions } =
+      await applyStaffLeave(leave);
+
+    return res.status(201).json({
+      success: true,
+      message:
+        bookedSessions.length > 0
+          ? `Leave added. ${bookedSessions.length} booked sessions need to be reassigned`
+          : "Leave added successfully",
+      data: {
+        leave,
+        removedSessionCount,
+        bookedSessions,
+      },
+    });
+  } catch (error) {
+    console.error("[CREATE STAFF LEAVE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to add staff leave",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Cancel a leave (owner).
+ * Sesi staf pada time slot mendatang yang tercakup cuti dibuat ulang.
+ */
+export const deleteStaffLeaveHandler = async (req, res) => {
+  try {
+    const leave = await getStaffLeaveById(req.params.leaveId);
+    if (!leave || leave.staffId !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff leave not found",
+      });
+    }
+
+    await deleteStaffLeave(leave.id);
+
+    const staff = await getStaffById(leave.staffId);
+    let restoredSessionCount = 0;
+    if (staff?.isActive) {
+      const timeSlotsBySchedule = await getTimeSlotsCoveredByLeave(leave);
+      // Hanya sesi staf yang cutinya dibatalkan yang dibuat ulang
+      const sessionsByTimeSlot = await generateSessions(
+        timeSlotsBySchedule,
+        undefined,
+        { staffIds: [leave.staffId] }
+      );
+      restoredSessionCount = Object.values(sessionsByTimeSlot)
+        .flat()
+        .filter(
+          (session) => session.staffId === leave.staffId && !session.isBooked
+        ).length;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Leave cancelled successfully",
+      data: {
+        leave,
+        restoredSessionCount,
+      },
+    });
+  } catch (error) {
+    console.error("[DELETE STAFF LEAVE ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to cancel staff leave",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get weekly working hours of a staff member (owner)
+ */
+export const getStaffWorkingHoursHandler = async (req, res) => {
+  try {
+    const staff = await getStaffById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    const workingHours = await getStaffWorkingHours(staff.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Staff working hours retrieved successfully",
+      data: workingHours,
+    });
+  } catch (error) {
+    console.error("[GET STAFF WORKING HOURS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve staff working hours",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Replace weekly working hours of a staff member (owner).
+ * Body: { days: [{ dayOfWeek, isOff, startTime, endTime }] }
+ * Hari yang tidak dikirim mengikuti jam operasional. Berlaku untuk sesi
+ * yang di-generate setelahnya.
+ */
+export const updateStaffWorkingHoursHandler = async (req, res) => {
+  try {
+    const { data, error } = parseWorkingHoursInput(req.body.days);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const staff = await getStaffById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    const workingHours = await replaceStaffWorkingHours(staff.id, data);
+
+    return res.status(200).json({
+      success: true,
+      message: "Staff working hours updated successfully",
+      data: workingHours,
+    });
+  } catch (error) {
+    console.error("[UPDATE STAFF WORKING HOURS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update staff working hours",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -6,8 +6,11 @@ import {
   updateStaff,
   deleteStaff,
   toggleStaffActiveStatus,
+  getStaffQualifications,
+  setStaffQualifications,
 } from "../repository/staffRepository.js";
 import { deleteImage } from "../utils/cloudinary.js";
+import { getReassignmentProposals } from "../services/staffReassignmentService.js";
 
 /**
  * Create a new staff member
@@ -75,7 +78,10 @@ const getAllStaffMembers = async (req, res) => {
         : undefined;
 
     // Get all staff with optional filters
-    const staff = await getAllStaff({ isActive });
+    const staff = await getAllStaff({
+      isActive,
+      serviceId: req.query.serviceId,
+    });
 
     res.status(200).json({
       success: true,
@@ -256,12 +262,18 @@ const toggleActiveStatus = async (req, res) => {
     // Toggle status
     const updatedStaff = await toggleStaffActiveStatus(id, activeStatus);
 
+    // Reservasi mendatang staf yang dinonaktifkan perlu dialihkan
+    // (disetujui owner lewat POST /api/staff/:id/reassignments)
+    const reassignmentProposals = activeStatus
+      ? []
+      : await getReassignmentProposals(id);
+
     res.status(200).json({
       success: true,
       message: `Staff ${
         activeStatus ? "activated" : "deactivated"
       } successfully`,
-      data: updatedStaff,
+      data: { ...updatedStaff, reassignmentProposals },
     });
   } catch (error) {
     console.error("[TOGGLE STAFF STATUS ERROR]:", error);
@@ -272,6 +284,102 @@ const toggleActiveStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get services a staff member is qualified for
+ */
+const getQualifications = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if staff exists
+    const existingStaff = await getStaffById(id);
+    if (!existingStaff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    const qualifications = await getStaffQualifications(id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        staffId: id,
+        ...qualifications,
+      },
+    });
+  } catch (error) {
+    console.error("[GET STAFF QUALIFICATIONS ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch staff qualifications",
+    });
+  }
+};
+
+/**
+ * Replace services a staff member is qualified for.
+ * allServices: true berarti staf boleh menangani semua layanan (termasuk
+ * layanan baru); selain itu hanya layanan di serviceIds (kosong = tidak ada).
+ */
+const updateQualifications = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { serviceIds } = req.body;
+    const allServices =
+      req.body.allServices === true || req.body.allServices === "true";
+
+    if (
+      !allServices &&
+      (!Array.isArray(serviceIds) || serviceIds.some((serviceId) => !serviceId))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "serviceIds must be an array of service IDs",
+      });
+    }
+
+    // Check if staff exists
+    const existingStaff = await getStaffById(id);
+    if (!existingStaff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    const qualifications = await setStaffQualifications(
+      id,
+      [...new Set(serviceIds || [])],
+      allServices
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Staff qualifications updated successfully",
+      data: {
+        staffId: id,
+        ...qualifications,
+      },
+    });
+  } catch (error) {
+    // Handle missing service on connect
+    if (error.code === "P2025") {
+      return res.status(404).json({
+        success: false,
+        message: "Service not found",
+      });
+    }
+
+    console.error("[UPDATE STAFF QUALIFICATIONS ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update staff qualifications",
+    });
+  }
+};
+
 export default {
   createNewStaff,
   getAllStaffMembers,
@@ -279,4 +387,6 @@ export default {
   updateStaffMember,
   deleteStaffMember,
   toggleActiveStatus,
+  getQualifications,
+  updateQualifications,
 };
@@ -0,0 +1,120 @@
+// src/controller/staffReassignmentController.js
+import { getStaffById } from "../repository/staffRepository.js";
+import {
+  getReassignmentProposals,
+  approveReassignment,
+} from "../services/staffReassignmentService.js";
+
+/**
+ * Usulan pengalihan reservasi mendatang milik staf (owner).
+ * Setiap reservasi diusulkan ke sesi kosong staf lain pada time slot yang sama.
+ */
+export const getReassignmentProposalsHandler = async (req, res) => {
+  try {
+    const staff = await getStaffById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    const proposals = await getReassignmentProposals(staff.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Reassignment proposals retrieved successfully",
+      data: {
+        staff: { id: staff.id, name: staff.name, isActive: staff.isActive },
+        proposals,
+      },
+    });
+  } catch (error) {
+    console.error("[GET REASSIGNMENT PROPOSALS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve reassignment proposals",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Setujui pengalihan reservasi (owner).
+ * Body: { assignments: [{ reservationId, sessionId }], reason }
+ * Setiap pengalihan diproses terpisah; hasil gagal dilaporkan per reservasi.
+ */
+export const approveReassignmentsHandler = async (req, res) => {
+  try {
+    const { assignments, reason } = req.body;
+
+    if (
+      !Array.isArray(assignments) ||
+      assignments.length === 0 ||
+      assignments.some((item) => !item?.reservationId || !item?.sessionId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "assignments must be a non-empty array of { reservationId, sessionId }",
+      });
+    }
+
+    const staff = await getStaffById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    const actor = {
+      actorType: "OWNER",
+      actorId: req.owner?.id,
+      reason: reason?.trim() || `Reassigned from ${staff.name}`,
+    };
+
+    const reassigned = [];
+    const failed = [];
+    for (const { reservationId, sessionId } of assignments) {
+      try {
+        const result = await approveReassignment(
+          reservationId,
+          sessionId,
+          actor,
+          staff.id
+        );
+        if (result.error) {
+          failed.push({ reservationId, sessionId, message: result.error });
+          continue;
+        }
+        reassigned.push({
+          reservationId,
+          sessionId,
+          staff: { id: result.staff.id, name: result.staff.name },
+        });
+      } catch (error) {
+        console.error("[APPROVE REASSIGNMENT ERROR]:", error);
+        failed.push({ reservationId, sessionId, message: error.message });
+      }
+    }
+
+    return res
+      .status(failed.length > 0 && reassigned.length === 0 ? 409 : 200)
+      .json({
+        success: reassigned.length > 0,
+        message: `${reassigned.length} reservations reassigned, ${failed.length} failed`,
+        data: {
+          reassigned,
+          failed,
+        },
+      });
+  } catch (error) {
+    console.error("[APPROVE REASSIGNMENTS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to reassign reservations",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
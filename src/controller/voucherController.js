@@ -0,0 +1,438 @@
+// src/controller/voucherController.js
+import {
+  getVouchers,
+  getVoucherById,
+  getVoucherByCode,
+  createVoucher,
+  updateVoucher,
+  countVoucherUsage,
+} from "../repository/voucherRepository.js";
+import { getServiceById } from "../repository/serviceRepository.js";
+import { applyVoucher } from "../services/voucherService.js";
+
+const DISCOUNT_TYPES = ["PERCENTAGE", "FIXED"];
+
+/**
+ * Validasi & parsing input voucher.
+ * @param {Object} body - Request body
+ * @param {Boolean} isUpdate - Jika true, semua field opsional
+ * @returns {{ data?: Object, serviceIds?: Array, categoryIds?: Array, error?: string }}
+ */
+const parseVoucherInput = (body, isUpdate = false) => {
+  const {
+    code,
+    name,
+    description,
+    discountType,
+    discountValue,
+    maxDiscount,
+    minSpend,
+    startDate,
+    endDate,
+    usageLimit,
+    perCustomerLimit,
+    serviceIds,
+    categoryIds,
+  } = body;
+  const data = {};
+
+  if (
+    !isUpdate &&
+    (!code ||
+      !name ||
+      !discountType ||
+      discountValue === undefined ||
+      !startDate ||
+      !endDate)
+  ) {
+    return {
+      error:
+        "Code, name, discountType, discountValue, startDate and endDate are required",
+    };
+  }
+
+  if (code !== undefined) {
+    const normalizedCode = code.trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{3,32}$/.test(normalizedCode)) {
+      return {
+        error:
+          "Code must be 3-32 characters (letters, numbers, dash or underscore)",
+      };
+    }
+    data.code = normalizedCode;
+  }
+  if (name !== undefined) data.name = name.trim();
+  if (description !== undefined) data.description = description?.trim() || null;
+
+  if (discountType !== undefined) {
+    if (!DISCOUNT_TYPES.includes(discountType)) {
+      return {
+        error: "Discount type must be one of: " + DISCOUNT_TYPES.join(", "),
+      };
+    }
+    data.discountType = discountType;
+  }
+
+  if (discountValue !== undefined) {
+    const parsedValue = parseFloat(discountValue);
+    if (isNaN(parsedValue) || parsedValue <= 0) {
+      return { error: "Discount value must be a positive number" };
+    }
+    data.discountValue = parsedValue;
+  }
+
+  for (const [field, value] of [
+    ["maxDiscount", maxDiscount],
+    ["minSpend", minSpend],
+  ]) {
+    if (value === undefined) continue;
+    if (value === null || value === "") {
+      data[field] = null;
+      continue;
+    }
+    const parsedValue = parseFloat(value);
+    if (isNaN(parsedValue) || parsedValue <= 0) {
+      return { error: `${field} must be a positive number` };
+    }
+    data[field] = parsedValue;
+  }
+
+  for (const [field, value] of [
+    ["usageLimit", usageLimit],
+    ["perCustomerLimit", perCustomerLimit],
+  ]) {
+    if (value === undefined) continue;
+    if (value === null || value === "") {
+      data[field] = null;
+      continue;
+    }
+    const parsedValue = parseInt(value, 10);
+    if (isNaN(parsedValue) || parsedValue <= 0) {
+      return { error: `${field} must be a positive number` };
+    }
+    data[field] = parsedValue;
+  }
+
+  for (const [field, value] of [
+    ["startDate", startDate],
+    ["endDate", endDate],
+  ]) {
+    if (value === undefined) continue;
+    const parsedDate = new Date(value);
+    if (isNaN(parsedDate.getTime())) {
+      return { error: `${field} must be a valid date` };
+    }
+    data[field] = parsedDate;
+  }
+
+  if (
+    serviceIds !== undefined &&
+    (!Array.isArray(serviceIds) || serviceIds.some((id) => !id))
+  ) {
+    return { error: "serviceIds must be an array of service IDs" };
+  }
+  if (
+    categoryIds !== undefined &&
+    (!Array.isArray(categoryIds) || categoryIds.some((id) => !id))
+  ) {
+    return { error: "categoryIds must be an array of category IDs" };
+  }
+
+  return { data, serviceIds, categoryIds };
+};
+
+/**
+ * Validasi aturan yang melibatkan beberapa field (setelah digabung dengan
+ * data voucher lama saat update)
+ * @param {Object} voucher - Data voucher lengkap
+ * @returns {string|null} Pesan error atau null
+ */
+const validateVoucherRules = (voucher) => {
+  if (new Date(voucher.endDate) <= new Date(voucher.startDate)) {
+    return "End date must be after start date";
+  }
+  if (voucher.discountType === "PERCENTAGE" && voucher.discountValue > 100) {
+    return "Percentage discount cannot exceed 100";
+  }
+  if (
+    voucher.usageLimit &&
+    voucher.perCustomerLimit &&
+    voucher.perCustomerLimit > voucher.usageLimit
+  ) {
+    return "Per-customer limit cannot exceed the total usage limit";
+  }
+  return null;
+};
+
+/**
+ * Get all vouchers with their usage count (owner)
+ */
+export const getVouchersHandler = async (req, res) => {
+  try {
+    const vouchers = await getVouchers({
+      activeOnly: req.query.active === "true",
+    });
+
+    const data = await Promise.all(
+      vouchers.map(async (voucher) => ({
+        ...voucher,
+        usageCount: await countVoucherUsage(voucher.id),
+      }))
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Vouchers retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("[GET VOUCHERS ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve vouchers",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get voucher by ID (owner)
+ */
+export const getVoucherHandler = async (req, res) => {
+  try {
+    const voucher = await getVoucherById(req.params.id);
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: "Voucher not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Voucher retrieved successfully",
+      data: {
+        ...voucher,
+        usageCount: await countVoucherUsage(voucher.id),
+      },
+    });
+  } catch (error) {
+    console.error("[GET VOUCHER ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve voucher",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a new voucher (owner)
+ */
+export const createVoucherHandler = async (req, res) => {
+  try {
+    const { data, serviceIds, categoryIds, error } = parseVoucherInput(
+      req.body
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const ruleError = validateVoucherRules(data);
+    if (ruleError) {
+      return res.status(400).json({ success: false, message: ruleError });
+    }
+
+    if (await getVoucherByCode(data.code)) {
+      return res.status(409).json({
+        success: false,
+        message: "Voucher code already exists",
+      });
+    }
+
+    const voucher = await createVoucher(data, serviceIds, categoryIds);
+
+    return res.status(201).json({
+      success: true,
+      message: "Voucher created successfully",
+      data: voucher,
+    });
+  } catch (error) {
+    console.error("[CREATE VOUCHER ERROR]:", error);
+    // P2025: service / kategori yang di-connect tidak ditemukan
+    const isNotFound = error.code === "P2025";
+    return res.status(isNotFound ? 404 : 500).json({
+      success: false,
+      message: isNotFound
+        ? "Service or category not found"
+        : "Failed to create voucher",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update a voucher (owner).
+ * Perubahan tidak mempengaruhi pembayaran yang sudah memakai voucher.
+ */
+export const updateVoucherHandler = async (req, res) => {
+  try {
+    const existingVoucher = await getVoucherById(req.params.id);
+    if (!existingVoucher) {
+      return res.status(404).json({
+        success: false,
+        message: "Voucher not found",
+      });
+    }
+
+    const { data, serviceIds, categoryIds, error } = parseVoucherInput(
+      req.body,
+      true
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (req.body.isActive !== undefined) {
+      data.isActive =
+        req.body.isActive === true || req.body.isActive === "true";
+    }
+
+    const ruleError = validateVoucherRules({ ...existingVoucher, ...data });
+    if (ruleError) {
+      return res.status(400).json({ success: false, message: ruleError });
+    }
+
+    if (data.code && data.code !== existingVoucher.code) {
+      if (await getVoucherByCode(data.code)) {
+        return res.status(409).json({
+          success: false,
+          message: "Voucher code already exists",
+        });
+      }
+    }
+
+    const voucher = await updateVoucher(
+      existingVoucher.id,
+      data,
+      serviceIds,
+      categoryIds
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Voucher updated successfully",
+      data: voucher,
+    });
+  } catch (error) {
+    console.error("[UPDATE VOUCHER ERROR]:", error);
+    const isNotFound = error.code === "P2025";
+    return res.status(isNotFound ? 404 : 500).json({
+      success: false,
+      message: isNotFound
+        ? "Service or category not found"
+        : "Failed to update voucher",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Deactivate a voucher (owner).
+ * Voucher tidak dihapus karena masih direferensikan oleh pembayaran.
+ */
+export const deactivateVoucherHandler = async (req, res) => {
+  try {
+    const existingVoucher = await getVoucherById(req.params.id);
+    if (!existingVoucher) {
+      return res.status(404).json({
+        success: false,
+        message: "Voucher not found",
+      });
+    }
+
+    const voucher = await updateVoucher(existingVoucher.id, {
+      isActive: false,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Voucher deactivated successfully",
+      data: voucher,
+    });
+  } catch (error) {
+    console.error("[DEACTIVATE VOUCHER ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to deactivate voucher",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Cek kode voucher sebelum checkout (customer).
+ * Body: code, serviceId, priceTierId (opsional, untuk layanan dengan price tier)
+ */
+export const validateVoucherHandler = async (req, res) => {
+  try {
+    const { code, serviceId, priceTierId } = req.body;
+
+    if (!code || !serviceId) {
+      return res.status(400).json({
+        success: false,
+        message: "Kode voucher dan layanan wajib diisi.",
+      });
+    }
+
+    const service = await getServiceById(serviceId);
+    if (!service || !service.isActive) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Layanan tidak ditemukan." });
+    }
+
+    // Harga mengikuti aturan checkout: harga tier jika dipilih, jika tidak harga default
+    const priceTier = priceTierId
+      ? service.priceTiers.find((tier) => tier.id === priceTierId)
+      : null;
+    const price = priceTier ? priceTier.price : service.price;
+    if (!price) {
+      return res.status(400).json({
+        success: false,
+        message: "Pilih kategori harga (price tier) untuk layanan ini.",
+      });
+    }
+
+    const result = await applyVoucher({
+      code,
+      customerId: req.customer.id,
+      items: [{ serviceId, categoryId: service.categoryId, price }],
+    });
+    if (result.error) {
+      return res
+        .status(result.statusCode)
+        .json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Voucher dapat digunakan.",
+      data: {
+        code: result.voucher.code,
+        name: result.voucher.name,
+        originalAmount: result.originalAmount,
+        discountAmount: result.discountAmount,
+        finalAmount: result.finalAmount,
+      },
+    });
+  } catch (error) {
+    console.error("[VALIDATE VOUCHER ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal memeriksa voucher.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,299 @@
+// src/controller/waitlistController.js
+import {
+  createWaitlistEntry,
+  getWaitlistEntryById,
+  getWaitlistEntries,
+  findActiveWaitlistEntry,
+  updateWaitlistEntry,
+} from "../repository/waitlistRepository.js";
+import { getTimeSlotById } from "../repository/timeSlotRepository.js";
+import {
+  isSessionHeldForAnotherCustomer,
+  releaseSessionHold,
+} from "../repository/sessionRepository.js";
+import { getServiceById } from "../repository/serviceRepository.js";
+import { getBabyById } from "../repository/babyRepository.js";
+import {
+  declineWaitlistOffer,
+  offerFreedSessions,
+  expireWaitlistOffers,
+} from "../services/waitlistService.js";
+
+/**
+ * Join the waitlist for a time slot & service (customer)
+ */
+export const joinWaitlistHandler = async (req, res) => {
+  try {
+    const { timeSlotId, serviceId, babyId, notes } = req.body;
+    const customerId = req.customer.id;
+
+    if (!timeSlotId || !serviceId) {
+      return res.status(400).json({
+        success: false,
+        message: "Time slot dan layanan wajib diisi.",
+      });
+    }
+
+    const [timeSlot, service] = await Promise.all([
+      getTimeSlotById(timeSlotId),
+      getServiceById(serviceId),
+    ]);
+
+    if (!timeSlot) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Time slot tidak ditemukan." });
+    }
+    if (!service || !service.isActive) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Layanan tidak ditemukan." });
+    }
+
+    if (new Date(timeSlot.startTime) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Time slot sudah lewat.",
+      });
+    }
+
+    const timeSlotDuration =
+      (new Date(timeSlot.endTime) - new Date(timeSlot.startTime)) / (1000 * 60);
+    if (timeSlotDuration < service.duration) {
+      return res.status(400).json({
+        success: false,
+        message: "Durasi layanan melebihi durasi time slot ini.",
+      });
+    }
+
+    // Waitlist hanya untuk slot yang penuh
+    for (const session of timeSlot.sessions.filter((s) => !s.isBooked)) {
+      if (!(await isSessionHeldForAnotherCustomer(session.id, customerId))) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Masih ada sesi tersedia pada time slot ini. Silakan langsung melakukan reservasi.",
+        });
+      }
+    }
+
+    if (babyId) {
+      const baby = await getBabyById(babyId);
+      if (!baby || baby.customerId !== customerId) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Profil bayi tidak ditemukan." });
+      }
+    }
+
+    const existingEntry = await findActiveWaitlistEntry({
+      customerId,
+      timeSlotId,
+      serviceId,
+    });
+    if (existingEntry) {
+      return res.status(409).json({
+        success: false,
+        message: "Anda sudah terdaftar di waitlist untuk jadwal ini.",
+      });
+    }
+
+    const entry = await createWaitlistEntry({
+      customerId,
+      serviceId,
+      timeSlotId,
+      babyId: babyId || null,
+      notes: notes?.trim() || null,
+    });
+
+    const queue = await getWaitlistEntries({
+      timeSlotId,
+      status: "WAITING",
+    });
+
+    return res.status(201).json({
+      success: true,
+      message:
+        "Anda berhasil masuk waitlist. Kami akan memberi tahu jika ada sesi kosong.",
+      data: {
+        ...entry,
+        position: queue.findIndex((e) => e.id === entry.id) + 1,
+      },
+    });
+  } catch (error) {
+    console.error("[JOIN WAITLIST ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal masuk waitlist.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get waitlist entries of the logged in customer
+ */
+export const getMyWaitlistHandler = async (req, res) => {
+  try {
+    const entries = await getWaitlistEntries({
+      customerId: req.customer.id,
+      status: req.query.status,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Waitlist berhasil diambil.",
+      data: entries,
+    });
+  } catch (error) {
+    console.error("[GET MY WAITLIST ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal mengambil waitlist.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Leave the waitlist (customer).
+ * Jika customer sedang mendapat penawaran, sesi diteruskan ke antrean berikutnya.
+ */
+export const cancelWaitlistHandler = async (req, res) => {
+  try {
+    const entry = await getWaitlistEntryById(req.params.id);
+
+    if (!entry || entry.customerId !== req.customer.id) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Waitlist tidak ditemukan." });
+    }
+
+    if (!["WAITING", "OFFERED"].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist dengan status ${entry.status} tidak dapat dibatalkan.`,
+      });
+    }
+
+    const updatedEntry = await updateWaitlistEntry(entry.id, {
+      status: "CANCELLED",
+    });
+
+    if (entry.status === "OFFERED" && entry.offeredSessionId) {
+      await releaseSessionHold(entry.offeredSessionId, entry.customerId);
+      await offerFreedSessions([entry.offeredSessionId]);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Anda telah keluar dari waitlist.",
+      data: updatedEntry,
+    });
+  } catch (error) {
+    console.error("[CANCEL WAITLIST ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal membatalkan waitlist.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Decline a waitlist offer so it passes to the next customer
+ */
+export const declineWaitlistOfferHandler = async (req, res) => {
+  try {
+    const entry = await getWaitlistEntryById(req.params.id);
+
+    if (!entry || entry.customerId !== req.customer.id) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Waitlist tidak ditemukan." });
+    }
+
+    if (entry.status !== "OFFERED") {
+      return res.status(400).json({
+        success: false,
+        message: "Tidak ada penawaran aktif untuk waitlist ini.",
+      });
+    }
+
+    await declineWaitlistOffer(entry);
+
+    return res.status(200).json({
+      success: true,
+      message: "Penawaran ditolak. Sesi diteruskan ke antrean berikutnya.",
+    });
+  } catch (error) {
+    console.error("[DECLINE WAITLIST OFFER ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Gagal menolak penawaran.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get waitlist entries (owner). Query: date, timeSlotId, status
+ */
+export const getWaitlistForOwnerHandler = async (req, res) => {
+  try {
+    const { date, timeSlotId, status } = req.query;
+
+    const entries = await getWaitlistEntries({
+      date,
+      timeSlotId,
+      status: status || ["WAITING", "OFFERED"],
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Waitlist retrieved successfully",
+      data: entries,
+    });
+  } catch (error) {
+    console.error("[GET WAITLIST ERROR]:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve waitlist",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Cron endpoint: expire unanswered offers and pass them to the next customer
+ */
+export const runWaitlistExpiryController = async (req, res) => {
+  try {
+    const { secret } = req.query;
+
+    if (
+      process.env.SCHEDULER_SECRET &&
+      secret !== process.env.SCHEDULER_SECRET
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Unauthorized access",
+      });
+    }
+
+    const result = await expireWaitlistOffers();
+
+    res.status(200).json({
+      success: true,
+      message: `Expired ${result.expiredCount} offers, re-offered ${result.reofferedCount} sessions.`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("[WAITLIST EXPIRY CONTROLLER ERROR]:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run waitlist expiry job",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,44 @@
+// middlewares/calendarUploadMiddleware.js
+import multer from "multer";
+
+// File .ics cukup kecil, disimpan di memori lalu langsung diparsing
+const uploadCalendarFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1 * 1024 * 1024 }, // 1MB limit
+  fileFilter: (req, file, cb) => {
+    const isIcsFile =
+      file.mimetype === "text/calendar" ||
+      file.originalname.toLowerCase().endsWith(".ics");
+
+    if (isIcsFile) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error("Not an allowed file type. Only .ics files are allowed."),
+        false
+      );
+    }
+  },
+});
+
+// Middleware for handling iCalendar (.ics) uploads
+const calendarUploadMiddleware = (req, res, next) => {
+  const upload = uploadCalendarFile.single("file");
+
+  upload(req, res, function (error) {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Error uploading file: " + error.message,
+      });
+    }
+
+    if (req.file) {
+      req.calendarContent = req.file.buffer.toString("utf8");
+    }
+
+    next();
+  });
+};
+
+export { calendarUploadMiddleware };
@@ -0,0 +1,91 @@
+// src/repository/addOnRepository.js
+import prisma from "../config/db.js";
+
+const addOnInclude = {
+  services: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+/**
+ * Get all add-ons
+ * @param {Object} options - Filter options
+ * @param {Boolean} options.activeOnly - Only return active add-ons
+ * @param {String} options.serviceId - Only return add-ons available for this service
+ * @returns {Promise<Array>} List of add-ons with their services
+ */
+export const getAddOns = async ({ activeOnly = false, serviceId } = {}) => {
+  return await prisma.addOn.findMany({
+    where: {
+      ...(activeOnly && { isActive: true }),
+      ...(serviceId && { services: { some: { id: serviceId } } }),
+    },
+    include: addOnInclude,
+    orderBy: {
+      name: "asc",
+    },
+  });
+};
+
+/**
+ * Get add-on by ID
+ * @param {String} id - Add-on ID
+ * @returns {Promise<Object|null>} Add-on or null if not found
+ */
+export const getAddOnById = async (id) => {
+  return await prisma.addOn.findUnique({
+    where: { id },
+    include: addOnInclude,
+  });
+};
+
+/**
+ * Get several add-ons by ID
+ * @param {Array<String>} ids - Add-on IDs
+ * @returns {Promise<Array>} Add-ons found (with their services)
+ */
+export const getAddOnsByIds = async (ids) => {
+  return await prisma.addOn.findMany({
+    where: { id: { in: ids } },
+    include: addOnInclude,
+  });
+};
+
+/**
+ * Create a new add-on
+ * @param {Object} addOnData - Add-on data
+ * @param {Array<String>} serviceIds - Services the add-on is available for
+ * @returns {Promise<Object>} Created add-on
+ */
+export const createAddOn = async (addOnData, serviceIds = []) => {
+  return await prisma.addOn.create({
+    data: {
+      ...addOnData,
+      services: { connect: serviceIds.map((id) => ({ id })) },
+    },
+    include: addOnInclude,
+  });
+};
+
+/**
+ * Update add-on by ID
+ * @param {String} id - Add-on ID
+ * @param {Object} addOnData - Updated add-on data
+ * @param {Array<String>} serviceIds - Replace linked services (undefined = unchanged)
+ * @returns {Promise<Object>} Updated add-on
+ */
+export const updateAddOn = async (id, addOnData, serviceIds) => {
+  return await prisma.addOn.update({
+    where: { id },
+    data: {
+      ...addOnData,
+      ...(serviceIds && {
+        services: { set: serviceIds.map((serviceId) => ({ id: serviceId })) },
+      }),
+    },
+    include: addOnInclude,
+  });
+};
@@ -59,7 +59,7 @@ export const getDashboardOverview = async () => {
 };
 
 /**
- * Menghitung statistik reservasi (total, selesai, dibatalkan) dalam rentang waktu.
+ * Menghitung statistik reservasi (total, selesai, dibatalkan, tidak hadir) dalam rentang waktu.
  * @param {Date} startDate - Tanggal mulai.
  * @param {Date} endDate - Tanggal akhir.
  */
@@ -85,6 +85,7 @@ export const getReservationStats = async (startDate, endDate) => {
     confirmed: 0,
     in_progress: 0,
     expired: 0,
+    noShow: 0,
   };
 
   for (const group of statusCounts) {
@@ -0,0 +1,63 @@
+// src/repository/babyRepository.js
+import prisma from "../config/db.js";
+
+/**
+ * Create a new baby profile for a customer
+ * @param {Object} babyData - Baby data (customerId, name, birthDate, gender, notes)
+ * @returns {Promise<Object>} Created baby profile
+ */
+export const createBaby = async (babyData) => {
+  return await prisma.baby.create({
+    data: babyData,
+  });
+};
+
+/**
+ * Get all baby profiles owned by a customer
+ * @param {String} customerId - Customer ID
+ * @returns {Promise<Array>} List of baby profiles
+ */
+export const getBabiesByCustomer = async (customerId) => {
+  return await prisma.baby.findMany({
+    where: { customerId },
+    orderBy: {
+      birthDate: "asc",
+    },
+  });
+};
+
+/**
+ * Get baby profile by ID
+ * @param {String} id - Baby ID
+ * @returns {Promise<Object|null>} Baby profile or null if not found
+ */
+export const getBabyById = async (id) => {
+  return await prisma.baby.findUnique({
+    where: { id },
+  });
+};
+
+/**
+ * Update baby profile by ID
+ * @param {String} id - Baby ID
+ * @param {Object} babyData - Updated baby data
+ * @returns {Promise<Object>} Updated baby profile
+ */
+export const updateBaby = async (id, babyData) => {
+  return await prisma.baby.update({
+    where: { id },
+    data: babyData,
+  });
+};
+
+/**
+ * Delete baby profile by ID.
+ * Reservasi lama tetap menyimpan snapshot nama & umur bayi.
+ * @param {String} id - Baby ID
+ * @returns {Promise<Object>} Deleted baby profile
+ */
+export const deleteBaby = async (id) => {
+  return await prisma.baby.delete({
+    where: { id },
+  });
+};
@@ -0,0 +1,68 @@
+// src/repository/bookingWindowRepository.js
+import prisma from "../config/db.js";
+import { getReservationDuration } from "../services/addOnService.js";
+import { buildBookingWindow } from "../utils/bookingWindowUtils.js";
+
+// Reservasi yang masih memakai waktu staf & resource
+const ACTIVE_BOOKING_STATUSES = ["PENDING", "CONFIRMED", "IN_PROGRESS"];
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get active reservations around a time range as booking windows
+ * (waktu layanan beserta buffer persiapan/pembersihan layanannya)
+ * @param {Object} where - Extra reservation filter, e.g. { staffId: { in: [...] } }
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @param {Object} options - { excludeReservationId }
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Array>} { reservationId, staffId, resourceId, start, end, bufferedStart, bufferedEnd }
+ */
+export const getActiveBookingWindows = async (
+  where,
+  from,
+  to,
+  { excludeReservationId } = {},
+  tx = prisma
+) => {
+  const reservations = await tx.reservation.findMany({
+    where: {
+      ...where,
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      ...(excludeReservationId && { id: { not: excludeReservationId } }),
+      // Layanan & buffer tidak pernah lebih dari satu hari
+      session: {
+        timeSlot: {
+          startTime: {
+            gt: new Date(new Date(from).getTime() - DAY_IN_MS),
+            lt: new Date(new Date(to).getTime() + DAY_IN_MS),
+          },
+        },
+      },
+    },
+    select: {
+      id: true,
+      staffId: true,
+      resourceId: true,
+      service: {
+        select: {
+          duration: true,
+          bufferBeforeMinutes: true,
+          bufferAfterMinutes: true,
+        },
+      },
+      addOns: { select: { extraMinutes: true } },
+      session: { select: { timeSlot: { select: { startTime: true } } } },
+    },
+  });
+
+  return reservations.map((reservation) => ({
+    reservationId: reservation.id,
+    staffId: reservation.staffId,
+    resourceId: reservation.resourceId,
+    ...buildBookingWindow(
+      reservation.session.timeSlot.startTime,
+      getReservationDuration(reservation),
+      reservation.service
+    ),
+  }));
+};
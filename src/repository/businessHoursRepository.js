@@ -0,0 +1,68 @@
+// src/repository/businessHoursRepository.js
+import prisma from "../config/db.js";
+
+// Jam operasional default (sama dengan konfigurasi lama 07.00-15.00, slot 60 menit)
+export const DEFAULT_BUSINESS_HOURS = {
+  isClosed: false,
+  openTime: "07:00",
+  closeTime: "15:00",
+  slotDurationMinutes: 60,
+  breaks: [],
+};
+
+/**
+ * Get the weekly business hours template.
+ * Hari yang belum diatur owner memakai DEFAULT_BUSINESS_HOURS.
+ * @returns {Promise<Array>} 7 entries ordered by dayOfWeek (0 = Minggu ... 6 = Sabtu)
+ */
+export const getWeeklyBusinessHours = async () => {
+  const savedDays = await prisma.businessHours.findMany({
+    orderBy: {
+      dayOfWeek: "asc",
+    },
+  });
+
+  const savedByDay = new Map(savedDays.map((day) => [day.dayOfWeek, day]));
+
+  return Array.from({ length: 7 }, (_, dayOfWeek) => {
+    const saved = savedByDay.get(dayOfWeek);
+    if (!saved) {
+      return { dayOfWeek, ...DEFAULT_BUSINESS_HOURS, isDefault: true };
+    }
+    return { ...saved, breaks: saved.breaks || [], isDefault: false };
+  });
+};
+
+/**
+ * Create or update business hours for several weekdays at once
+ * @param {Array} days - Array of { dayOfWeek, isClosed, openTime, closeTime, slotDurationMinutes, breaks }
+ * @returns {Promise<Array>} Updated weekly template
+ */
+export const upsertBusinessHours = async (days) => {
+  await prisma.$transaction(
+    days.map(({ dayOfWeek, ...data }) =>
+      prisma.businessHours.upsert({
+        where: { dayOfWeek },
+        update: data,
+        create: { dayOfWeek, ...data },
+      })
+    )
+  );
+
+  return await getWeeklyBusinessHours();
+};
+
+/**
+ * Reset weekdays back to the default business hours
+ * @param {Array} daysOfWeek - Array of dayOfWeek numbers
+ * @returns {Promise<Array>} Updated weekly template
+ */
+export const resetBusinessHours = async (daysOfWeek) => {
+  await prisma.businessHours.deleteMany({
+    where: {
+      dayOfWeek: { in: daysOfWeek },
+    },
+  });
+
+  return await getWeeklyBusinessHours();
+};
@@ -25,6 +25,8 @@ export const findPelangganById = async (id) => {
       email: true,
       phoneNumber: true,
       isVerified: true,
+      noShowCount: true,
+      referralCode: true,
       createdAt: true,
     },
   });
@@ -0,0 +1,153 @@
+// src/repository/holidayRepository.js
+import prisma from "../config/db.js";
+
+/**
+ * Normalisasi tanggal menjadi 00:00 UTC (kunci unik tabel Holiday)
+ * @param {Date|String} date - Date to normalise
+ * @returns {Date} Date at 00:00 UTC
+ */
+export const toHolidayDate = (date) => {
+  const parsedDate = new Date(date);
+  return new Date(
+    Date.UTC(
+      parsedDate.getUTCFullYear(),
+      parsedDate.getUTCMonth(),
+      parsedDate.getUTCDate()
+    )
+  );
+};
+
+/**
+ * Get holidays, optionally within a date range
+ * @param {Object} options - Filter options
+ * @param {Date} options.startDate - Start of range (inclusive)
+ * @param {Date} options.endDate - End of range (inclusive)
+ * @returns {Promise<Array>} List of holidays ordered by date
+ */
+export const getHolidays = async ({ startDate, endDate } = {}) => {
+  return await prisma.holiday.findMany({
+    where: {
+      ...((startDate || endDate) && {
+        date: {
+          ...(startDate && { gte: startDate }),
+          ...(endDate && { lte: endDate }),
+        },
+      }),
+    },
+    orderBy: {
+      date: "asc",
+    },
+  });
+};
+
+/**
+ * Get holiday by ID
+ * @param {String} id - Holiday ID
+ * @returns {Promise<Object|null>} Holiday or null if not found
+ */
+export const getHolidayById = async (id) => {
+  return await prisma.holiday.findUnique({
+    where: { id },
+  });
+};
+
+/**
+ * Get holiday on a specific date
+ * @param {Date|String} date - Date to look up
+ * @returns {Promise<Object|null>} Holiday or null if not found
+ */
+export const getHolidayByDate = async (date) => {
+  return await prisma.holiday.findUnique({
+    where: { date: toHolidayDate(date) },
+  });
+};
+
+/**
+ * Create a new holiday
+ * @param {Object} data - { date, name, source, externalUid }
+ * @returns {Promise<Object>} Created holiday
+ */
+export const createHoliday = async (data) => {
+  return await prisma.holiday.create({
+    data: {
+      ...data,
+      date: toHolidayDate(data.date),
+    },
+  });
+};
+
+/**
+ * Import many holidays at once. Tanggal yang sudah terdaftar dilewati.
+ * @param {Array} holidays - Array of { date, name, externalUid }
+ * @returns {Promise<Object>} { created: Array, skipped: Array }
+ */
+export const importHolidays = async (holidays) => {
+  const uniqueHolidays = new Map();
+  for (const holiday of holidays) {
+    const date = toHolidayDate(holiday.date);
+    if (!uniqueHolidays.has(date.getTime())) {
+      uniqueHolidays.set(date.getTime(), { ...holiday, date });
+    }
+  }
+
+  const candidates = [...uniqueHolidays.values()];
+  const existingHolidays = await prisma.holiday.findMany({
+    where: {
+      date: { in: candidates.map((holiday) => holiday.date) },
+    },
+  });
+  const existingDates = new Set(
+    existingHolidays.map((holiday) => holiday.date.getTime())
+  );
+
+  const toCreate = candidates.filter(
+    (holiday) => !existingDates.has(holiday.date.getTime())
+  );
+
+  if (toCreate.length > 0) {
+    await prisma.holiday.createMany({
+      data: toCreate.map((holiday) => ({
+        date: holiday.date,
+        name: holiday.name,
+        source: "ICS_IMPORT",
+        externalUid: holiday.externalUid || null,
+      })),
+      skipDuplicates: true,
+    });
+  }
+
+  const created = await prisma.holiday.findMany({
+    where: {
+      date: { in: toCreate.map((holiday) => holiday.date) },
+    },
+    orderBy: {
+      date: "asc",
+    },
+  });
+
+  return { created, skipped: existingHolidays };
+};
+
+/**
+ * Update holiday by ID
+ * @param {String} id - Holiday ID
+ * @param {Object} data - Updated holiday data
+ * @returns {Promise<Object>} Updated holiday
+ */
+export const updateHoliday = async (id, data) => {
+  return await prisma.holiday.update({
+    where: { id },
+    data,
+  });
+};
+
+/**
+ * Delete holiday by ID
+ * @param {String} id - Holiday ID
+ * @returns {Promise<Object>} Deleted holiday
+ */
+export const deleteHoliday = async (id) => {
+  return await prisma.holiday.delete({
+    where: { id },
+  });
+};
@@ -142,3 +142,68 @@ export const toggleHolidayStatus = async (id, isHoliday) => {
     },
   });
 };
+
+/**
+ * Get reservations that are still upcoming on the given operating schedules
+ * (dipakai untuk melihat reservasi terdampak saat tanggal dijadikan libur)
+ * @param {Array} scheduleIds - Operating schedule IDs
+ * @returns {Promise<Array>} Affected reservations ordered by session start time
+ */
+export const getActiveReservationsBySchedules = async (scheduleIds) => {
+  if (scheduleIds.length === 0) return [];
+
+  return await prisma.reservation.findMany({
+    where: {
+      status: { in: ["PENDING", "CONFIRMED", "IN_PROGRESS"] },
+      session: {
+        timeSlot: {
+          operatingScheduleId: { in: scheduleIds },
+        },
+      },
+    },
+    select: {
+      id: true,
+      status: true,
+      babyName: true,
+      customer: {
+        select: {
+          id: true,
+          name: true,
+          phoneNumber: true,
+          email: true,
+        },
+      },
+      service: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+      staff: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+      session: {
+        select: {
+          id: true,
+          timeSlot: {
+            select: {
+              startTime: true,
+              endTime: true,
+              operatingScheduleId: true,
+            },
+          },
+        },
+      },
+    },
+    orderBy: {
+      session: {
+        timeSlot: {
+          startTime: "asc",
+        },
+      },
+    },
+  });
+};
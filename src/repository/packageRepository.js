@@ -0,0 +1,258 @@
+// src/repository/packageRepository.js
+import prisma from "../config/db.js";
+
+const customerSelect = {
+  id: true,
+  name: true,
+  email: true,
+  phoneNumber: true,
+};
+
+/**
+ * Get all service packages
+ * @param {Object} options - Filter options
+ * @param {Boolean} options.activeOnly - Only return packages that are for sale
+ * @returns {Promise<Array>} List of packages with their service
+ */
+export const getPackages = async ({ activeOnly = false } = {}) => {
+  return await prisma.servicePackage.findMany({
+    where: activeOnly ? { isActive: true } : {},
+    include: {
+      service: {
+        select: {
+          id: true,
+          name: true,
+          duration: true,
+        },
+      },
+    },
+    orderBy: {
+      createdAt: "desc",
+    },
+  });
+};
+
+/**
+ * Get service package by ID
+ * @param {String} id - Package ID
+ * @returns {Promise<Object|null>} Package or null if not found
+ */
+export const getPackageById = async (id) => {
+  return await prisma.servicePackage.findUnique({
+    where: { id },
+    include: {
+      service: true,
+    },
+  });
+};
+
+/**
+ * Create a new service package
+ * @param {Object} packageData - Package data
+ * @returns {Promise<Object>} Created package
+ */
+export const createPackage = async (packageData) => {
+  return await prisma.servicePackage.create({
+    data: packageData,
+  });
+};
+
+/**
+ * Update service package by ID
+ * @param {String} id - Package ID
+ * @param {Object} packageData - Updated package data
+ * @returns {Promise<Object>} Updated package
+ */
+export const updatePackage = async (id, packageData) => {
+  return await prisma.servicePackage.update({
+    where: { id },
+    data: packageData,
+  });
+};
+
+/**
+ * Create a package purchase for a customer (status PENDING sampai dibayar)
+ * @param {Object} purchaseData - Purchase data
+ * @returns {Promise<Object>} Created customer package
+ */
+export const createCustomerPackage = async (purchaseData) => {
+  return await prisma.customerPackage.create({
+    data: purchaseData,
+  });
+};
+
+/**
+ * Update customer package by ID
+ * @param {String} id - Customer package ID
+ * @param {Object} updateData - The data to update
+ * @returns {Promise<Object>} Updated customer package
+ */
+export const updateCustomerPackage = async (id, updateData) => {
+  return await prisma.customerPackage.update({
+    where: { id },
+    data: updateData,
+  });
+};
+
+/**
+ * Get customer package by ID
+ * @param {String} id - Customer package ID
+ * @returns {Promise<Object|null>} Customer package or null if not found
+ */
+export const getCustomerPackageById = async (id) => {
+  return await prisma.customerPackage.findUnique({
+    where: { id },
+    include: {
+      customer: { select: customerSelect },
+      package: {
+        include: {
+          service: true,
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Find a package purchase by its Tripay reference
+ * @param {String} transactionId - The transaction reference from Tripay
+ * @returns {Promise<Object|null>} Customer package or null if not found
+ */
+export const findCustomerPackageByTransactionId = async (transactionId) => {
+  return await prisma.customerPackage.findUnique({
+    where: { transactionId },
+    include: {
+      customer: { select: customerSelect },
+      package: {
+        include: {
+          service: true,
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Get customer packages with filter options
+ * @param {Object} options - Filter options
+ * @param {String} options.customerId - Filter by customer ID
+ * @param {String | Array<String>} options.status - Filter by package status
+ * @returns {Promise<Array>} List of customer packages
+ */
+export const getCustomerPackages = async ({ customerId, status } = {}) => {
+  const where = {};
+  if (customerId) where.customerId = customerId;
+  if (status) where.status = Array.isArray(status) ? { in: status } : status;
+
+  return await prisma.customerPackage.findMany({
+    where,
+    include: {
+      customer: { select: customerSelect },
+      package: {
+        include: {
+          service: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+      },
+    },
+    orderBy: [{ status: "asc" }, { expiresAt: "asc" }],
+  });
+};
+
+/**
+ * Use one credit of an active package.
+ * Update bersyarat agar kredit tidak pernah minus saat ada request bersamaan.
+ * @param {String} id - Customer package ID
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Boolean>} True jika kredit berhasil dipakai
+ */
+export const redeemPackageCredit = async (id, tx = prisma) => {
+  const result = await tx.customerPackage.updateMany({
+    where: {
+      id,
+      status: "ACTIVE",
+      remainingCredits: { gt: 0 },
+      expiresAt: { gt: new Date() },
+    },
+    data: {
+      remainingCredits: { decrement: 1 },
+    },
+  });
+
+  return result.count > 0;
+};
+
+/**
+ * Return a credit to an active package (misalnya saat reservasi dibatalkan).
+ * Paket yang sudah kedaluwarsa tidak mendapat kredit kembali.
+ * @param {String} id - Customer package ID
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Boolean>} True jika kredit dikembalikan
+ */
+export const restorePackageCredit = async (id, tx = prisma) => {
+  const customerPackage = await tx.customerPackage.findUnique({
+    where: { id },
+  });
+
+  if (
+    !customerPackage ||
+    customerPackage.status !== "ACTIVE" ||
+    customerPackage.remainingCredits >= customerPackage.totalCredits
+  ) {
+    return false;
+  }
+
+  await tx.customerPackage.update({
+    where: { id },
+    data: {
+      remainingCredits: { increment: 1 },
+    },
+  });
+
+  return true;
+};
+
+/**
+ * Get active packages whose validity period has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} List of customer packages to expire
+ */
+export const getPackagesToExpire = async (now = new Date()) => {
+  return await prisma.customerPackage.findMany({
+    where: {
+      status: "ACTIVE",
+      expiresAt: { lt: now },
+    },
+    include: {
+      customer: { select: customerSelect },
+      package: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Get unpaid package purchases whose payment window has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} List of pending customer packages
+ */
+export const getUnpaidPackagesToCancel = async (now = new Date()) => {
+  return await prisma.customerPackage.findMany({
+    where: {
+      status: "PENDING",
+      paymentStatus: "PENDING",
+      paymentExpiryDate: { lt: now },
+    },
+    select: {
+      id: true,
+    },
+  });
+};
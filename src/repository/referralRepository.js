@@ -0,0 +1,135 @@
+// src/repository/referralRepository.js
+import prisma from "../config/db.js";
+import { USAGE_PAYMENT_STATUSES } from "./voucherRepository.js";
+
+const customerSummarySelect = {
+  id: true,
+  name: true,
+  email: true,
+  phoneNumber: true,
+};
+
+const rewardVoucherSelect = {
+  id: true,
+  code: true,
+  customerId: true,
+  discountValue: true,
+  endDate: true,
+  isActive: true,
+  payments: {
+    where: { paymentStatus: { in: USAGE_PAYMENT_STATUSES } },
+    select: {
+      id: true,
+      paymentStatus: true,
+      discountAmount: true,
+    },
+  },
+};
+
+/**
+ * Find customer by referral code (case-insensitive, disimpan dalam huruf besar)
+ * @param {String} referralCode - Referral code
+ * @returns {Promise<Object|null>} Customer or null if not found
+ */
+export const findCustomerByReferralCode = async (referralCode) => {
+  return await prisma.customer.findUnique({
+    where: { referralCode: referralCode.trim().toUpperCase() },
+    select: { id: true, name: true, referralCode: true },
+  });
+};
+
+/**
+ * Set referral code for a customer
+ * @param {String} customerId - Customer ID
+ * @param {String} referralCode - Referral code
+ * @returns {Promise<Object>} Updated customer
+ */
+export const setCustomerReferralCode = async (customerId, referralCode) => {
+  return await prisma.customer.update({
+    where: { id: customerId },
+    data: { referralCode },
+    select: { id: true, name: true, referralCode: true },
+  });
+};
+
+/**
+ * Get referral of a referred (new) customer
+ * @param {String} refereeId - Referred customer ID
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Object|null>} Referral or null
+ */
+export const getReferralByReferee = async (refereeId, tx = prisma) => {
+  return await tx.referral.findUnique({
+    where: { refereeId },
+    include: {
+      referrer: { select: customerSummarySelect },
+      referee: { select: customerSummarySelect },
+    },
+  });
+};
+
+/**
+ * Get referrals made by a customer, with the referrer's reward vouchers
+ * @param {String} referrerId - Referrer customer ID
+ * @returns {Promise<Array>} List of referrals
+ */
+export const getReferralsByReferrer = async (referrerId) => {
+  return await prisma.referral.findMany({
+    where: { referrerId },
+    include: {
+      referee: { select: { id: true, name: true } },
+      rewardVouchers: {
+        where: { customerId: referrerId },
+        select: rewardVoucherSelect,
+      },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+/**
+ * Get referrals for the owner report
+ * @param {Object} filters - Filter options
+ * @param {Date} filters.startDate - Referral created from (optional)
+ * @param {Date} filters.endDate - Referral created until (optional)
+ * @param {String} filters.status - ReferralStatus (optional)
+ * @returns {Promise<Array>} List of referrals with both customers and reward vouchers
+ */
+export const getReferralsForReport = async ({
+  startDate,
+  endDate,
+  status,
+} = {}) => {
+  return await prisma.referral.findMany({
+    where: {
+      ...(status && { status }),
+      ...((startDate || endDate) && {
+        createdAt: {
+          ...(startDate && { gte: startDate }),
+          ...(endDate && { lte: endDate }),
+        },
+      }),
+    },
+    include: {
+      referrer: { select: customerSummarySelect },
+      referee: { select: customerSummarySelect },
+      rewardVouchers: { select: rewardVoucherSelect },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+/**
+ * Tandai referral sebagai REWARDED (bersyarat: hanya jika masih PENDING)
+ * @param {String} id - Referral ID
+ * @param {Object} data - rewardAmount, rewardedAt, qualifyingReservationId
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<Boolean>} true jika referral berhasil diklaim
+ */
+export const markReferralRewarded = async (id, data, tx = prisma) => {
+  const result = await tx.referral.updateMany({
+    where: { id, status: "PENDING" },
+    data: { ...data, status: "REWARDED" },
+  });
+  return result.count > 0;
+};
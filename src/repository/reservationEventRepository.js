@@ -0,0 +1,42 @@
+// src/repository/reservationEventRepository.js
+import prisma from "../config/db.js";
+
+/**
+ * Record a single reservation event (audit trail)
+ * @param {Object} eventData - { reservationId, type, actorType, actorId, oldValue, newValue, reason }
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Object>} Created event
+ */
+export const createReservationEvent = async (eventData, tx = prisma) => {
+  return await tx.reservationEvent.create({
+    data: eventData,
+  });
+};
+
+/**
+ * Record several reservation events at once (misalnya seluruh anggota grup)
+ * @param {Array<Object>} events - List of event data
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Object>} Count of created events
+ */
+export const createReservationEvents = async (events, tx = prisma) => {
+  if (events.length === 0) return { count: 0 };
+
+  return await tx.reservationEvent.createMany({
+    data: events,
+  });
+};
+
+/**
+ * Get the timeline of a reservation (oldest first)
+ * @param {String} reservationId - Reservation ID
+ * @returns {Promise<Array>} List of reservation events
+ */
+export const getReservationEvents = async (reservationId) => {
+  return await prisma.reservationEvent.findMany({
+    where: { reservationId },
+    orderBy: {
+      createdAt: "asc",
+    },
+  });
+};
@@ -1,5 +1,12 @@
 // src/repository/reservationRepository.js
 import prisma from "../config/db.js";
+import { createReservationEvent } from "./reservationEventRepository.js";
+import {
+  bookExtraSessions,
+  releaseExtraSessions,
+} from "./sessionRepository.js";
+import { reserveResource } from "./resourceRepository.js";
+import { getReservationDuration } from "../services/addOnService.js";
 
 /**
  * Creates a new reservation in the database
@@ -184,6 +191,7 @@ export const getReservationById = async (id) => {
       },
       payment: true,
       rating: true,
+      addOns: true,
     },
   });
 };
@@ -313,32 +321,6 @@ export const getReservations = async (options = {}) => {
   };
 };
 
-/**
- * Update reservation status
- * @param {String} id - The reservation ID
- * @param {String} status - The new status
- * @returns {Promise<Object>} The updated reservation
- */
-export const updateReservationStatus = async (id, status) => {
-  return await prisma.reservation.update({
-    where: { id },
-    data: { status },
-    include: {
-      customer: {
-        select: {
-          id: true,
-          name: true,
-          email: true,
-          phoneNumber: true,
-        },
-      },
-      service: true,
-      staff: true,
-      session: true,
-      payment: true,
-    },
-  });
-};
 /**
  * Updates reservation details and associated customer info
  * @param {String} id - The reservation ID to update
@@ -510,6 +492,38 @@ export const getPaymentByReservationId = async (reservationId) => {
   });
 };
 
+/**
+ * Get the shared payment of a reservation group (disimpan pada reservasi lead)
+ * @param {String} groupId - The reservation group ID
+ * @returns {Promise<Object|null>} The payment or null if not found
+ */
+export const getPaymentByGroupId = async (groupId) => {
+  return await prisma.payment.findFirst({
+    where: { reservation: { groupId } },
+    include: {
+      reservation: {
+        include: {
+          customer: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              phoneNumber: true,
+            },
+          },
+          service: true,
+          staff: true,
+          session: {
+            include: {
+              timeSlot: true,
+            },
+          },
+        },
+      },
+    },
+  });
+};
+
 /**
  * Get payment by ID
  * @param {String} id - The payment ID
@@ -658,28 +672,6 @@ export const batchUpdatePaymentStatus = async (
   }
 };
 
-// Function untuk update multiple reservations sekaligus
-export const batchUpdateReservationStatus = async (reservationIds, status) => {
-  try {
-    const result = await prisma.reservation.updateMany({
-      where: {
-        id: {
-          in: reservationIds,
-        },
-      },
-      data: {
-        status: status,
-        updatedAt: new Date(),
-      },
-    });
-
-    return result;
-  } catch (error) {
-    console.error("[REPOSITORY ERROR] batchUpdateReservationStatus:", error);
-    throw error;
-  }
-};
-
 // Function untuk get payment statistics
 export const getPaymentStats = async () => {
   try {
@@ -837,13 +829,32 @@ export const getUpcomingReservations = async (options = {}) => {
  * This is an atomic transaction.
  * @param {String} reservationId - The ID of the reservation to reschedule.
  * @param {String} newSessionId - The ID of the new session.
- * @returns {Promise<Object>} The updated reservation object.
+ * @param {Object} priceChange - Optional { babyAge, priceTierId, totalPrice, priceDifference }
+ *   jika umur / price tier berubah pada tanggal sesi baru
+ * @param {Object} actor - Optional { actorType, actorId, reason } for the audit trail
+ * @param {Array} extraSessions - Sesi lanjutan pada jadwal baru (lihat findConsecutiveSessions)
+ * @returns {Promise<Object>} The updated reservation object, with freedSessionIds
  */
-export const rescheduleReservation = async (reservationId, newSessionId) => {
+export const rescheduleReservation = async (
+  reservationId,
+  newSessionId,
+  priceChange = null,
+  actor = null,
+  extraSessions = []
+) => {
   return await prisma.$transaction(async (tx) => {
     // 1. Dapatkan data reservasi lama dan sesi baru
     const reservation = await tx.reservation.findUnique({
       where: { id: reservationId },
+      include: {
+        service: true,
+        addOns: true,
+        session: {
+          include: {
+            timeSlot: true,
+          },
+        },
+      },
     });
 
     if (!reservation) {
@@ -852,14 +863,21 @@ export const rescheduleReservation = async (reservationId, newSessionId) => {
 
     const newSession = await tx.session.findUnique({
       where: { id: newSessionId },
+      include: {
+        timeSlot: true,
+      },
     });
 
     if (!newSession) {
       throw new Error("Sesi baru tidak ditemukan.");
     }
 
-    // 2. Validasi: Pastikan sesi baru belum di-book
-    if (newSession.isBooked) {
+    // 2. Validasi: Pastikan sesi baru belum di-book (sesi lanjutan milik
+    // reservasi ini sendiri boleh dipakai)
+    if (
+      newSession.isBooked &&
+      newSession.extendedReservationId !== reservationId
+    ) {
       throw new Error("Sesi yang dipilih sudah dipesan oleh orang lain.");
     }
 
@@ -872,17 +890,28 @@ export const rescheduleReservation = async (reservationId, newSessionId) => {
 
     const oldSessionId = reservation.sessionId;
 
-    // 4. Update sesi lama: bebaskan slot
+    // 4. Update sesi lama: bebaskan slot (beserta sesi lanjutannya)
     await tx.session.update({
       where: { id: oldSessionId },
       data: { isBooked: false },
     });
+    const releasedSessionIds = await releaseExtraSessions([reservationId], tx);
+
+    // Ruangan/peralatan dipilih ulang untuk jadwal baru
+    const resourceId = await reserveResource(
+      reservation.serviceId,
+      newSession.timeSlot.startTime,
+      getReservationDuration(reservation),
+      { excludeReservationId: reservationId },
+      tx
+    );
 
     // 5. Update sesi baru: tandai sebagai sudah di-book
     await tx.session.update({
       where: { id: newSessionId },
-      data: { isBooked: true },
+      data: { isBooked: true, heldByCustomerId: null, holdExpiresAt: null },
     });
+    await bookExtraSessions(reservationId, extraSessions, tx);
 
     // 6. Update reservasi itu sendiri: arahkan ke sesi dan staff baru
     const updatedReservation = await tx.reservation.update({
@@ -890,9 +919,15 @@ export const rescheduleReservation = async (reservationId, newSessionId) => {
       data: {
         sessionId: newSessionId,
         staffId: newSession.staffId, // Penting: update juga staffId jika staff di sesi baru berbeda
+        resourceId,
         rescheduleCount: {
           increment: 1,
         },
+        ...(priceChange && {
+          babyAge: priceChange.babyAge,
+          priceTierId: priceChange.priceTierId,
+          totalPrice: priceChange.totalPrice,
+        }),
       },
       include: {
         // Include data lengkap untuk response
@@ -908,9 +943,293 @@ export const rescheduleReservation = async (reservationId, newSessionId) => {
             },
           },
         },
+        payment: true,
+      },
+    });
+
+    // 7. Sesuaikan pembayaran jika harga berubah
+    if (priceChange?.priceDifference) {
+      await applyReschedulePriceDifference(
+        reservation,
+        priceChange.priceDifference,
+        tx
+      );
+    }
+
+    // 8. Catat di audit trail
+    if (actor) {
+      await createReservationEvent(
+        {
+          reservationId,
+          type: "RESCHEDULED",
+          actorType: actor.actorType,
+          actorId: actor.actorId || null,
+          oldValue: {
+            sessionId: oldSessionId,
+            staffId: reservation.staffId,
+            startTime: reservation.session.timeSlot.startTime,
+            totalPrice: reservation.totalPrice,
+          },
+          newValue: {
+            sessionId: newSessionId,
+            staffId: newSession.staffId,
+            startTime: newSession.timeSlot.startTime,
+            totalPrice: updatedReservation.totalPrice,
+          },
+          reason: actor.reason || null,
+        },
+        tx
+      );
+    }
+
+    // Sesi lama yang kini kosong (untuk ditawarkan ke waitlist)
+    const bookedSessionIds = [
+      newSessionId,
+      ...extraSessions.map((session) => session.id),
+    ];
+    const freedSessionIds = [oldSessionId, ...releasedSessionIds].filter(
+      (id) => !bookedSessionIds.includes(id)
+    );
+
+    return { ...updatedReservation, freedSessionIds };
+  });
+};
+
+/**
+ * Moves a reservation to another staff member's session in the same time slot
+ * (dipakai saat staf tidak tersedia). Tidak menambah rescheduleCount customer.
+ * @param {String} reservationId - The reservation to move
+ * @param {String} newSessionId - Free session of the new staff member
+ * @param {Array} extraSessions - Extra sessions of the new staff member (see findConsecutiveSessions)
+ * @param {Object} actor - { actorType, actorId, reason } for the audit trail
+ * @returns {Promise<Object>} Updated reservation
+ */
+export const reassignReservationStaff = async (
+  reservationId,
+  newSessionId,
+  extraSessions = [],
+  actor = null
+) => {
+  return await prisma.$transaction(async (tx) => {
+    const reservation = await tx.reservation.findUnique({
+      where: { id: reservationId },
+      include: {
+        session: true,
+      },
+    });
+
+    if (!reservation) {
+      throw new Error("Reservation not found");
+    }
+    if (!["PENDING", "CONFIRMED"].includes(reservation.status)) {
+      throw new Error(
+        `Reservation with status ${reservation.status} cannot be reassigned`
+      );
+    }
+
+    // Klaim sesi baru secara kondisional agar tidak bentrok dengan booking lain
+    const claimed = await tx.session.updateMany({
+      where: {
+        id: newSessionId,
+        timeSlotId: reservation.session.timeSlotId,
+        isBooked: false,
+      },
+      data: { isBooked: true, heldByCustomerId: null, holdExpiresAt: null },
+    });
+    if (claimed.count === 0) {
+      throw new Error("The proposed session is no longer available");
+    }
+
+    await tx.session.update({
+      where: { id: reservation.sessionId },
+      data: { isBooked: false },
+    });
+    await releaseExtraSessions([reservationId], tx);
+    await bookExtraSessions(reservationId, extraSessions, tx);
+
+    const newSession = await tx.session.findUnique({
+      where: { id: newSessionId },
+    });
+
+    const updatedReservation = await tx.reservation.update({
+      where: { id: reservationId },
+      data: {
+        sessionId: newSessionId,
+        staffId: newSession.staffId,
+      },
+      include: {
+        customer: true,
+        service: true,
+        staff: true,
+        session: {
+          include: {
+            timeSlot: true,
+          },
+        },
       },
     });
 
+    if (actor) {
+      await createReservationEvent(
+        {
+          reservationId,
+          type: "STAFF_REASSIGNED",
+          actorType: actor.actorType,
+          actorId: actor.actorId || null,
+          oldValue: {
+            sessionId: reservation.sessionId,
+            staffId: reservation.staffId,
+          },
+          newValue: {
+            sessionId: newSessionId,
+            staffId: newSession.staffId,
+          },
+          reason: actor.reason || null,
+        },
+        tx
+      );
+    }
+
     return updatedReservation;
   });
 };
+
+/**
+ * Applies a reschedule price difference to the payment covering a reservation.
+ * Belum dibayar: tagihan disesuaikan. Sudah dibayar: selisih kurang dicatat
+ * sebagai refund, selisih lebih dicatat untuk dibayar di tempat.
+ * @param {Object} reservation - The reservation (id, groupId)
+ * @param {Number} priceDifference - New price minus old price
+ * @param {Object} tx - Prisma client / transaction client
+ */
+const applyReschedulePriceDifference = async (
+  reservation,
+  priceDifference,
+  tx
+) => {
+  if (reservation.groupId) {
+    await tx.reservationGroup.update({
+      where: { id: reservation.groupId },
+      data: { totalPrice: { increment: priceDifference } },
+    });
+  }
+
+  const payment = await tx.payment.findFirst({
+    where: reservation.groupId
+      ? { reservation: { groupId: reservation.groupId } }
+      : { reservationId: reservation.id },
+  });
+
+  if (!payment) return;
+
+  if (payment.paymentStatus === "PENDING") {
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: { amount: { increment: priceDifference } },
+    });
+    return;
+  }
+
+  if (!["PAID", "PARTIALLY_REFUNDED"].includes(payment.paymentStatus)) return;
+
+  if (priceDifference < 0) {
+    const totalRefunded = (payment.refundAmount || 0) - priceDifference;
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        paymentStatus:
+          totalRefunded >= payment.amount ? "REFUNDED" : "PARTIALLY_REFUNDED",
+        refundAmount: totalRefunded,
+        refundedAt: new Date(),
+      },
+    });
+    return;
+  }
+
+  const note = `Selisih harga reschedule Rp ${priceDifference.toLocaleString("id-ID")} dibayar di tempat.`;
+  await tx.payment.update({
+    where: { id: payment.id },
+    data: { notes: payment.notes ? `${payment.notes}\n${note}` : note },
+  });
+};
+
+/**
+ * Get all reservations covered by the payment of a reservation.
+ * Booking grup dibayar dengan satu Payment (milik reservasi lead), sehingga
+ * perubahan status pembayaran berlaku untuk seluruh reservasi di grup.
+ * @param {Object} reservation - Reservation (id, sessionId, groupId, status, ...)
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Array>} List of reservations (fields needed by the lifecycle service)
+ */
+export const getReservationsCoveredByPayment = async (
+  reservation,
+  tx = prisma
+) => {
+  const select = {
+    id: true,
+    sessionId: true,
+    status: true,
+    customerId: true,
+    groupId: true,
+    customerPackageId: true,
+    reservationType: true,
+  };
+
+  if (!reservation.groupId) {
+    return await tx.reservation.findMany({
+      where: { id: reservation.id },
+      select,
+    });
+  }
+
+  // Anggota grup yang sudah dibatalkan satu per satu tidak ikut diubah
+  return await tx.reservation.findMany({
+    where: { groupId: reservation.groupId, status: { not: "CANCELLED" } },
+    select,
+  });
+};
+
+/**
+ * Get reservation group by ID with its reservations and the group payment
+ * @param {String} id - The reservation group ID
+ * @returns {Promise<Object|null>} The group or null if not found
+ */
+export const getReservationGroupById = async (id) => {
+  const group = await prisma.reservationGroup.findUnique({
+    where: { id },
+    include: {
+      customer: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          phoneNumber: true,
+        },
+      },
+      reservations: {
+        include: {
+          service: true,
+          staff: true,
+          session: {
+            include: {
+              timeSlot: {
+                include: {
+                  operatingSchedule: true,
+                },
+              },
+            },
+          },
+          payment: true,
+        },
+        orderBy: { createdAt: "asc" },
+      },
+    },
+  });
+
+  if (!group) return null;
+
+  return {
+    ...group,
+    payment: group.reservations.find((r) => r.payment)?.payment || null,
+  };
+};
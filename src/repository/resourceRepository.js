@@ -0,0 +1,255 @@
+// src/repository/resourceRepository.js
+import prisma from "../config/db.js";
+import { getActiveBookingWindows } from "./bookingWindowRepository.js";
+import {
+  buildBookingWindow,
+  countConcurrentConflicts,
+} from "../utils/bookingWindowUtils.js";
+
+// Reservasi yang masih menempati resource
+const RESOURCE_USING_STATUSES = ["PENDING", "CONFIRMED", "IN_PROGRESS"];
+
+export const RESOURCE_UNAVAILABLE_MESSAGE =
+  "Ruangan atau peralatan untuk layanan ini sudah dipesan penuh pada jadwal tersebut. Silakan pilih jadwal lain.";
+
+const resourceInclude = {
+  services: {
+    select: {
+      id: true,
+      name: true,
+    },
+    orderBy: {
+      name: "asc",
+    },
+  },
+};
+
+/**
+ * Get all resources
+ * @param {Object} options - Filter options
+ * @param {Boolean} options.isActive - Filter by active status
+ * @param {String} options.serviceId - Only resources compatible with a service
+ * @returns {Promise<Array>} List of resources with their services
+ */
+export const getResources = async ({ isActive, serviceId } = {}) => {
+  return await prisma.resource.findMany({
+    where: {
+      ...(isActive !== undefined && { isActive }),
+      ...(serviceId && { services: { some: { id: serviceId } } }),
+    },
+    include: resourceInclude,
+    orderBy: {
+      name: "asc",
+    },
+  });
+};
+
+/**
+ * Get resource by ID
+ * @param {String} id - Resource ID
+ * @returns {Promise<Object|null>} Resource or null if not found
+ */
+export const getResourceById = async (id) => {
+  return await prisma.resource.findUnique({
+    where: { id },
+    include: resourceInclude,
+  });
+};
+
+/**
+ * Create a resource
+ * @param {Object} data - Resource data
+ * @param {Array} serviceIds - Compatible services
+ * @returns {Promise<Object>} Created resource
+ */
+export const createResource = async (data, serviceIds = []) => {
+  return await prisma.resource.create({
+    data: {
+      ...data,
+      services: {
+        connect: serviceIds.map((id) => ({ id })),
+      },
+    },
+    include: resourceInclude,
+  });
+};
+
+/**
+ * Update a resource
+ * @param {String} id - Resource ID
+ * @param {Object} data - Updated fields
+ * @param {Array} serviceIds - Compatible services (undefined = unchanged)
+ * @returns {Promise<Object>} Updated resource
+ */
+export const updateResource = async (id, data, serviceIds) => {
+  return await prisma.resource.update({
+    where: { id },
+    data: {
+      ...data,
+      ...(serviceIds && {
+        services: {
+          set: serviceIds.map((serviceId) => ({ id: serviceId })),
+        },
+      }),
+    },
+    include: resourceInclude,
+  });
+};
+
+/**
+ * Delete a resource (reservasi lama tetap ada dengan resourceId null)
+ * @param {String} id - Resource ID
+ * @returns {Promise<Object>} Deleted resource
+ */
+export const deleteResource = async (id) => {
+  return await prisma.resource.delete({
+    where: { id },
+  });
+};
+
+/**
+ * Count active reservations using a resource
+ * @param {String} id - Resource ID
+ * @returns {Promise<Number>} Number of reservations
+ */
+export const countActiveReservationsForResource = async (id) => {
+  return await prisma.reservation.count({
+    where: {
+      resourceId: id,
+      status: { in: RESOURCE_USING_STATUSES },
+    },
+  });
+};
+
+/**
+ * Siapkan pemilih resource untuk sebuah layanan dalam rentang waktu.
+ * Layanan tanpa resource yang cocok tidak membutuhkan resource. Resource
+ * ikut terblokir selama buffer persiapan/pembersihan layanan.
+ * @param {String} serviceId - Service ID
+ * @param {Date} from - Earliest booking start that may be checked
+ * @param {Date} to - Latest booking end that may be checked
+ * @param {Object} options - { excludeReservationId }
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Function>} (start, duration) => { resourceId } or null if no compatible resource is free
+ */
+export const buildResourceAllocator = async (
+  serviceId,
+  from,
+  to,
+  options = {},
+  tx = prisma
+) => {
+  const service = await tx.service.findUnique({
+    where: { id: serviceId },
+    select: {
+      bufferBeforeMinutes: true,
+      bufferAfterMinutes: true,
+      resources: {
+        orderBy: { name: "asc" },
+      },
+    },
+  });
+  const resources = service?.resources || [];
+  if (resources.length === 0) return () => ({ resourceId: null });
+
+  const activeResources = resources.filter((resource) => resource.isActive);
+  const bookings = await getActiveBookingWindows(
+    { resourceId: { in: activeResources.map((resource) => resource.id) } },
+    from,
+    to,
+    options,
+    tx
+  );
+
+  return (start, duration) => {
+    const window = buildBookingWindow(start, duration, service);
+    const resource = activeResources.find(
+      (candidate) =>
+        countConcurrentConflicts(
+          window,
+          bookings.filter((booking) => booking.resourceId === candidate.id)
+        ) < candidate.capacity
+    );
+    return resource ? { resourceId: resource.id } : null;
+  };
+};
+
+/**
+ * Cari resource yang cocok dan masih kosong untuk sebuah booking
+ * @param {String} serviceId - Service ID
+ * @param {Date} start - Service start time
+ * @param {Number} duration - Service duration incl. add-ons (minutes)
+ * @param {Object} options - { excludeReservationId }
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Object|null>} { resourceId } (null resourceId if the service needs none), or null if unavailable
+ */
+export const findAvailableResource = async (
+  serviceId,
+  start,
+  duration,
+  options = {},
+  tx = prisma
+) => {
+  const allocate = await buildResourceAllocator(
+    serviceId,
+    start,
+    start,
+    options,
+    tx
+  );
+
+  return allocate(start, duration);
+};
+
+/**
+ * Kunci baris resource yang cocok untuk sebuah layanan sampai transaksi
+ * selesai. Booking bersamaan yang memakai resource yang sama menunggu
+ * giliran, sehingga pemakaian yang dihitung sudah termasuk booking tersebut.
+ * Diurutkan berdasarkan ID agar tidak terjadi deadlock.
+ * @param {String} serviceId - Service ID
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<void>}
+ */
+const lockServiceResources = async (serviceId, tx) => {
+  await tx.$queryRaw`
+    SELECT r."id" FROM "public"."Resource" r
+    JOIN "public"."_ServiceResources" sr ON sr."A" = r."id"
+    WHERE sr."B" = ${serviceId}
+    ORDER BY r."id"
+    FOR UPDATE OF r`;
+};
+
+/**
+ * Pilih resource untuk reservasi yang sedang dibuat/dipindah. Dipanggil di
+ * dalam transaksi booking: resource dikunci dulu agar dua booking bersamaan
+ * tidak sama-sama melihat kapasitas masih tersisa
+ * @param {String} serviceId - Service ID
+ * @param {Date} start - Service start time
+ * @param {Number} duration - Service duration incl. add-ons (minutes)
+ * @param {Object} options - { excludeReservationId }
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<String|null>} Resource ID (null if the service needs none)
+ * @throws {Error} If no compatible resource is free
+ */
+export const reserveResource = async (
+  serviceId,
+  start,
+  duration,
+  options = {},
+  tx = prisma
+) => {
+  await lockServiceResources(serviceId, tx);
+
+  const allocation = await findAvailableResource(
+    serviceId,
+    start,
+    duration,
+    options,
+    tx
+  );
+  if (!allocation) {
+    throw new Error(RESOURCE_UNAVAILABLE_MESSAGE);
+  }
+
+  return allocation.resourceId;
+};
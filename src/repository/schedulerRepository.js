@@ -1,174 +1,348 @@
 // schedulerRepository.js - FIXED VERSION
+import { createHash } from "node:crypto";
 import prisma from "../config/db.js";
 import { addDays, setHours, setMinutes, parseISO, addMinutes } from "date-fns";
+import { getWeeklyBusinessHours } from "./businessHoursRepository.js";
+import { getHolidays, toHolidayDate } from "./holidayRepository.js";
+import { buildHolidayNote } from "../services/holidayService.js";
+import {
+  buildStaffAvailabilityChecker,
+  buildStaffUnavailabilityResolver,
+} from "../services/staffAvailabilityService.js";
+import { timeToMinutes } from "../utils/timeUtils.js";
+
+/**
+ * Ubah timeConfig lama ({ startHour, endHour, slotDurationMinutes }) menjadi
+ * template mingguan dengan jam yang sama untuk setiap hari
+ * @param {Object} timeConfig - Legacy time configuration
+ * @returns {Array} 7 business hours entries
+ */
+const buildTemplateFromTimeConfig = (timeConfig) => {
+  const pad = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+  return Array.from({ length: 7 }, (_, dayOfWeek) => ({
+    dayOfWeek,
+    isClosed: false,
+    openTime: pad(timeConfig.startHour),
+    closeTime: pad(timeConfig.endHour),
+    slotDurationMinutes: timeConfig.slotDurationMinutes || 60,
+    breaks: [],
+  }));
+};
+
+/**
+ * Hitung rentang slot (dalam menit lokal) untuk satu hari sesuai jam operasional.
+ * Slot yang bertabrakan dengan jam istirahat dilewati, dan slot berikutnya
+ * dimulai setelah istirahat selesai.
+ * @param {Object} businessDay - Business hours entry for the day
+ * @returns {Array} Array of { start, end } in minutes since local midnight
+ */
+const buildDailySlotRanges = (businessDay) => {
+  const openMinutes = timeToMinutes(businessDay.openTime);
+  const closeMinutes = timeToMinutes(businessDay.closeTime);
+  const duration = businessDay.slotDurationMinutes;
+  const breaks = (businessDay.breaks || [])
+    .map((breakTime) => ({
+      start: timeToMinutes(breakTime.start),
+      end: timeToMinutes(breakTime.end),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const ranges = [];
+  let cursor = openMinutes;
+
+  while (cursor + duration <= closeMinutes) {
+    const slotEnd = cursor + duration;
+    const overlappingBreak = breaks.find(
+      (breakTime) => cursor < breakTime.end && slotEnd > breakTime.start
+    );
+
+    if (overlappingBreak) {
+      cursor = overlappingBreak.end;
+      continue;
+    }
+
+    ranges.push({ start: cursor, end: slotEnd });
+    cursor = slotEnd;
+  }
+
+  return ranges;
+};
+
+/**
+ * Nama hari libur dari kalender (tabel Holiday) dalam rentang generate
+ * @param {Date} startDate - First day of the range
+ * @param {Number} numberOfDays - Number of days in the range
+ * @returns {Promise<Map>} Date string (YYYY-MM-DD) -> holiday name
+ */
+const getCalendarHolidayNames = async (startDate, numberOfDays) => {
+  const rangeStart = toHolidayDate(startDate);
+  const calendarHolidays = await getHolidays({
+    startDate: rangeStart,
+    endDate: addDays(rangeStart, numberOfDays),
+  });
+
+  return new Map(
+    calendarHolidays.map((holiday) => [
+      holiday.date.toISOString().split("T")[0],
+      holiday.name,
+    ])
+  );
+};
+
+/**
+ * Tentukan apakah sebuah hari libur beserta catatan dan penyebabnya
+ * @param {Date} currentDate - Day to check
+ * @param {Set} holidaySet - Extra holiday date strings from the request
+ * @param {Map} calendarHolidayNames - Holidays from the Holiday table
+ * @param {Array} weeklyHours - Weekly business hours template
+ * @returns {Object} { isHoliday, notes, conflicts }
+ */
+const resolveDayStatus = (
+  currentDate,
+  holidaySet,
+  calendarHolidayNames,
+  weeklyHours
+) => {
+  const dateString = currentDate.toISOString().split("T")[0];
+  const calendarHolidayName = calendarHolidayNames.get(dateString);
+  const isRequestedHoliday = holidaySet.has(dateString);
+  // Hari yang ditandai tutup pada template mingguan dibuat sebagai hari libur
+  const isClosedDay = weeklyHours[currentDate.getUTCDay()].isClosed;
+
+  let notes = null;
+  if (calendarHolidayName) {
+    notes = buildHolidayNote(calendarHolidayName);
+  } else if (isRequestedHoliday) {
+    notes = "Automatically marked as holiday";
+  } else if (isClosedDay) {
+    notes = "Closed (weekly business hours)";
+  }
+
+  const conflicts = [];
+  if (calendarHolidayName) {
+    conflicts.push({
+      type: "HOLIDAY",
+      source: "CALENDAR",
+      name: calendarHolidayName,
+    });
+  }
+  if (isRequestedHoliday) {
+    conflicts.push({ type: "HOLIDAY", source: "REQUEST" });
+  }
+  if (isClosedDay) {
+    conflicts.push({ type: "HOLIDAY", source: "WEEKLY_CLOSED" });
+  }
+
+  return { isHoliday: conflicts.length > 0, notes, conflicts };
+};
+
+/**
+ * Hitung waktu slot (UTC) untuk satu tanggal jadwal sesuai jam operasional.
+ * Jam lokal dikonversi ke UTC: WIB 07:00 (UTC+7) menjadi 00:00 UTC
+ * @param {Date} date - Operating schedule date
+ * @param {Array} weeklyHours - Weekly business hours template
+ * @param {Number} timeZoneOffset - Timezone offset in hours
+ * @returns {Array} Array of { startTime, endTime }
+ */
+const buildScheduleSlotTimes = (date, weeklyHours, timeZoneOffset) => {
+  const scheduleDate = new Date(date);
+  const businessDay = weeklyHours[scheduleDate.getUTCDay()];
+  if (businessDay.isClosed) return [];
+
+  const dayStartUTC = Date.UTC(
+    scheduleDate.getUTCFullYear(),
+    scheduleDate.getUTCMonth(),
+    scheduleDate.getUTCDate()
+  );
+
+  return buildDailySlotRanges(businessDay).map((range) => ({
+    startTime: new Date(
+      dayStartUTC + (range.start - timeZoneOffset * 60) * 60 * 1000
+    ),
+    endTime: new Date(
+      dayStartUTC + (range.end - timeZoneOffset * 60) * 60 * 1000
+    ),
+  }));
+};
+
+/**
+ * Kunci pembanding time slot berdasarkan waktunya
+ * @param {Object} slot - { startTime, endTime }
+ * @returns {String} Slot key
+ */
+const toSlotKey = (slot) =>
+  `${new Date(slot.startTime).getTime()}-${new Date(slot.endTime).getTime()}`;
+
+/**
+ * Ambil jadwal operasional dalam rentang generate dengan satu query
+ * @param {Date} startDate - First day of the range
+ * @param {Number} numberOfDays - Number of days in the range
+ * @param {Object} include - Prisma include for the schedules
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Array>} Operating schedules ordered by date
+ */
+const getSchedulesInRange = async (
+  startDate,
+  numberOfDays,
+  include = undefined,
+  tx = prisma
+) => {
+  const rangeStart = toHolidayDate(startDate);
+
+  return await tx.operatingSchedule.findMany({
+    where: {
+      date: {
+        gte: rangeStart,
+        lt: addDays(rangeStart, numberOfDays),
+      },
+    },
+    include,
+    orderBy: { date: "asc" },
+  });
+};
 
 /**
  * Generate operating schedules for the next 7 days
  * @param {Date} startDate - The start date to generate schedules from
  * @param {Number} numberOfDays - Number of days to generate schedules for
- * @param {Array} holidayDates - Array of dates to mark as holidays
+ * @param {Array} holidayDates - Array of extra dates to mark as holidays (the Holiday table is always applied)
+ * @param {Array} businessHours - Weekly business hours template (loaded from the database if omitted)
  * @returns {Array} Created operating schedules
  */
 export const generateOperatingSchedules = async (
   startDate = new Date(),
   numberOfDays = 7,
-  holidayDates = []
+  holidayDates = [],
+  businessHours = null
 ) => {
-  const schedules = [];
+  const weeklyHours = businessHours || (await getWeeklyBusinessHours());
   const holidaySet = new Set(
     holidayDates.map((date) => new Date(date).toISOString().split("T")[0])
   );
 
+  // Hari libur dari kalender (tabel Holiday) dalam rentang generate
+  const calendarHolidayNames = await getCalendarHolidayNames(
+    startDate,
+    numberOfDays
+  );
+
+  // Jadwal yang sudah ada dimuat sekali untuk seluruh rentang
+  const existingSchedules = await getSchedulesInRange(startDate, numberOfDays);
+  const existingDates = new Set(
+    existingSchedules.map(
+      (schedule) => schedule.date.toISOString().split("T")[0]
+    )
+  );
+
+  const schedulesToCreate = [];
   for (let i = 0; i < numberOfDays; i++) {
     const currentDate = addDays(startDate, i);
-    const dateString = currentDate.toISOString().split("T")[0];
-    const isHoliday = holidaySet.has(dateString);
-
-    // Check if schedule already exists for this day
-    const existingSchedule = await prisma.operatingSchedule.findFirst({
-      where: {
-        date: {
-          gte: new Date(`${dateString}T00:00:00.000Z`),
-          lt: new Date(`${dateString}T23:59:59.999Z`),
-        },
-      },
-    });
+    if (existingDates.has(currentDate.toISOString().split("T")[0])) continue;
 
-    if (existingSchedule) {
-      schedules.push(existingSchedule);
-      continue;
-    }
+    const { isHoliday, notes } = resolveDayStatus(
+      currentDate,
+      holidaySet,
+      calendarHolidayNames,
+      weeklyHours
+    );
+    schedulesToCreate.push({ date: currentDate, isHoliday, notes });
+  }
 
-    // Create new schedule
-    const newSchedule = await prisma.operatingSchedule.create({
-      data: {
-        date: currentDate,
-        isHoliday,
-        notes: isHoliday ? "Automatically marked as holiday" : null,
-      },
-    });
+  if (schedulesToCreate.length === 0) return existingSchedules;
 
-    schedules.push(newSchedule);
-  }
+  await prisma.operatingSchedule.createMany({
+    data: schedulesToCreate,
+    skipDuplicates: true,
+  });
 
-  return schedules;
+  return await getSchedulesInRange(startDate, numberOfDays);
 };
 
 /**
  * Generate time slots for operating schedules with proper time zone handling
  * @param {Array} operatingSchedules - Array of operating schedule objects
- * @param {Object} timeConfig - Configuration for time slots
+ * @param {Object} timeConfig - Optional legacy config { startHour, endHour, slotDurationMinutes }
+ *   applied to every day. When omitted the weekly business hours template is used.
  * @param {Number} timeZoneOffset - Timezone offset in hours (from environment variable)
  * @returns {Object} Created time slots grouped by operatingScheduleId
  */
 export const generateTimeSlots = async (
   operatingSchedules,
-  timeConfig = {
-    startHour: 7, // 7 AM WIB (00:00 UTC)
-    endHour: 15, // 3 PM WIB (08:00 UTC)
-    slotDurationMinutes: 60, // 1 hour slots
-  },
+  timeConfig = null,
   timeZoneOffset = parseInt(process.env.TIMEZONE_OFFSET || "7") // Default to Indonesia time (UTC+7)
 ) => {
   const timeSlotsBySchedule = {};
+  const weeklyHours = timeConfig
+    ? buildTemplateFromTimeConfig(timeConfig)
+    : await getWeeklyBusinessHours();
 
-  for (const schedule of operatingSchedules) {
-    // Skip if it's a holiday
-    if (schedule.isHoliday) {
-      timeSlotsBySchedule[schedule.id] = [];
-      continue;
-    }
-
-    const slotsToCreate = [];
-    const scheduleDate = new Date(schedule.date);
-
-    // FIXED: Define the proper UTC hour range that corresponds to WIB time range
-    // When WIB is 7:00-15:00 (UTC+7), UTC should be 00:00-08:00
-    const utcStartHour = timeConfig.startHour - timeZoneOffset; // 7 - 7 = 0
-    const utcEndHour = timeConfig.endHour - timeZoneOffset; // 15 - 7 = 8
-
-    // Loop through each hour in the UTC range
-    for (let utcHour = utcStartHour; utcHour < utcEndHour; utcHour++) {
-      // Create the slot directly in UTC time
-      const slotDate = new Date(scheduleDate);
-      // Set the UTC hours directly
-      slotDate.setUTCHours(utcHour, 0, 0, 0);
-
-      const startTimeUTC = slotDate;
-
-      // Calculate end time (add slot duration)
-      const endTimeUTC = new Date(startTimeUTC);
-      endTimeUTC.setMinutes(
-        endTimeUTC.getMinutes() + timeConfig.slotDurationMinutes
-      );
+  // Skip holidays
+  const workingSchedules = operatingSchedules.filter((schedule) => {
+    timeSlotsBySchedule[schedule.id] = [];
+    return !schedule.isHoliday;
+  });
+  if (workingSchedules.length === 0) return timeSlotsBySchedule;
 
-      // Check if time slot already exists
-      const existingTimeSlot = await prisma.timeSlot.findFirst({
-        where: {
-          operatingScheduleId: schedule.id,
-          startTime: {
-            gte: startTimeUTC,
-            lt: new Date(startTimeUTC.getTime() + 1000), // Within 1 second
-          },
-          endTime: {
-            gte: endTimeUTC,
-            lt: new Date(endTimeUTC.getTime() + 1000), // Within 1 second
-          },
-        },
-      });
+  const scheduleIds = workingSchedules.map((schedule) => schedule.id);
+  const existingTimeSlots = await prisma.timeSlot.findMany({
+    where: { operatingScheduleId: { in: scheduleIds } },
+  });
+  const existingKeys = new Set(
+    existingTimeSlots.map(
+      (slot) => `${slot.operatingScheduleId}:${toSlotKey(slot)}`
+    )
+  );
 
-      if (!existingTimeSlot) {
-        slotsToCreate.push({
-          startTime: startTimeUTC,
-          endTime: endTimeUTC,
-        });
-      }
-    }
+  const slotsToCreate = workingSchedules.flatMap((schedule) =>
+    buildScheduleSlotTimes(schedule.date, weeklyHours, timeZoneOffset)
+      .filter((slot) => !existingKeys.has(`${schedule.id}:${toSlotKey(slot)}`))
+      .map((slot) => ({
+        operatingScheduleId: schedule.id,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+      }))
+  );
 
-    if (slotsToCreate.length > 0) {
-      await prisma.timeSlot.createMany({
-        data: slotsToCreate.map((slot) => ({
-          operatingScheduleId: schedule.id,
-          startTime: slot.startTime,
-          endTime: slot.endTime,
-        })),
-        skipDuplicates: true,
-      });
+  let timeSlots = existingTimeSlots;
+  if (slotsToCreate.length > 0) {
+    await prisma.timeSlot.createMany({
+      data: slotsToCreate,
+      skipDuplicates: true,
+    });
 
-      // Fetch created time slots
-      const fetchedTimeSlots = await prisma.timeSlot.findMany({
-        where: {
-          operatingScheduleId: schedule.id,
-        },
-      });
+    timeSlots = await prisma.timeSlot.findMany({
+      where: { operatingScheduleId: { in: scheduleIds } },
+    });
+  }
 
-      timeSlotsBySchedule[schedule.id] = fetchedTimeSlots;
-    } else {
-      // Get existing time slots
-      const existingTimeSlots = await prisma.timeSlot.findMany({
-        where: {
-          operatingScheduleId: schedule.id,
-        },
-      });
-      timeSlotsBySchedule[schedule.id] = existingTimeSlots;
-    }
+  for (const timeSlot of timeSlots) {
+    timeSlotsBySchedule[timeSlot.operatingScheduleId].push(timeSlot);
   }
 
   return timeSlotsBySchedule;
 };
 
 /**
- * Generate sessions for time slots
+ * Generate sessions for time slots.
+ * Staf yang sedang cuti atau di luar jam kerjanya tidak dibuatkan sesi.
  * @param {Object} timeSlotsBySchedule - Time slots grouped by schedule ID
+ * @param {Number} timeZoneOffset - Timezone offset in hours (for staff working hours)
+ * @param {Object} options - { staffIds }: only create sessions for these staff (default: all active staff)
  * @returns {Object} Created sessions grouped by timeSlotId
  */
-export const generateSessions = async (timeSlotsBySchedule) => {
+export const generateSessions = async (
+  timeSlotsBySchedule,
+  timeZoneOffset = parseInt(process.env.TIMEZONE_OFFSET || "7"), // Default to Indonesia time (UTC+7)
+  { staffIds } = {}
+) => {
   const sessionsByTimeSlot = {};
 
   // Get all active staff
   const activeStaff = await prisma.staff.findMany({
     where: {
       isActive: true,
+      ...(staffIds && { id: { in: staffIds } }),
     },
   });
 
@@ -176,101 +350,740 @@ export const generateSessions = async (timeSlotsBySchedule) => {
     throw new Error("No active staff available to create sessions");
   }
 
-  for (const scheduleId in timeSlotsBySchedule) {
-    const timeSlots = timeSlotsBySchedule[scheduleId];
+  const timeSlots = Object.values(timeSlotsBySchedule).flat();
+  if (timeSlots.length === 0) return sessionsByTimeSlot;
 
-    for (const timeSlot of timeSlots) {
-      const sessionsToCreate = [];
+  const isStaffAvailable = await buildStaffAvailabilityChecker(
+    activeStaff.map((staff) => staff.id),
+    timeSlots,
+    timeZoneOffset
+  );
 
-      // Check for existing sessions for each staff
-      for (const staff of activeStaff) {
-        const existingSession = await prisma.session.findFirst({
-          where: {
-            timeSlotId: timeSlot.id,
-            staffId: staff.id,
+  const timeSlotIds = timeSlots.map((timeSlot) => timeSlot.id);
+  const existingSessions = await prisma.session.findMany({
+    where: { timeSlotId: { in: timeSlotIds } },
+    select: { timeSlotId: true, staffId: true },
+  });
+  const existingKeys = new Set(
+    existingSessions.map(
+      (session) => `${session.timeSlotId}:${session.staffId}`
+    )
+  );
+
+  const sessionsToCreate = timeSlots.flatMap((timeSlot) =>
+    activeStaff
+      .filter(
+        (staff) =>
+          isStaffAvailable(staff.id, timeSlot) &&
+          !existingKeys.has(`${timeSlot.id}:${staff.id}`)
+      )
+      .map((staff) => ({
+        timeSlotId: timeSlot.id,
+        staffId: staff.id,
+        isBooked: false,
+      }))
+  );
+
+  if (sessionsToCreate.length > 0) {
+    await prisma.session.createMany({
+      data: sessionsToCreate,
+      skipDuplicates: true,
+    });
+  }
+
+  // Fetch all sessions for the time slots
+  const sessions = await prisma.session.findMany({
+    where: { timeSlotId: { in: timeSlotIds } },
+    include: {
+      staff: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          profilePicture: true,
+        },
+      },
+    },
+  });
+
+  for (const timeSlotId of timeSlotIds) {
+    sessionsByTimeSlot[timeSlotId] = [];
+  }
+  for (const session of sessions) {
+    sessionsByTimeSlot[session.timeSlotId].push(session);
+  }
+
+  return sessionsByTimeSlot;
+};
+
+/**
+ * Sidik jari rencana generate. Rencana yang dihitung ulang dengan parameter
+ * yang sama hanya menghasilkan planId yang sama jika data di database belum
+ * berubah sejak preview.
+ * @param {Object} plan - { days, reservationConflicts }
+ * @returns {String} Plan ID
+ */
+const buildPlanId = (plan) =>
+  createHash("sha256").update(JSON.stringify(plan)).digest("hex");
+
+// Reservasi yang masih membutuhkan slotnya
+const ACTIVE_RESERVATION_STATUSES = ["PENDING", "CONFIRMED", "IN_PROGRESS"];
+// Antrean waitlist yang masih menunggu sesi pada slotnya
+const ACTIVE_WAITLIST_STATUSES = ["WAITING", "OFFERED"];
+
+const reservationConflictSelect = {
+  id: true,
+  status: true,
+  customer: { select: { name: true } },
+  service: { select: { name: true } },
+  staff: { select: { id: true, name: true } },
+};
+
+/**
+ * Sesi masih dipakai jika sudah dipesan, pernah dipakai reservasi (riwayat
+ * reservasi menahan sesinya), atau sedang di-hold customer
+ * @param {Object} session - Session with reservation & hold fields
+ * @param {Date} now - Current time
+ * @returns {Boolean}
+ */
+const isSessionInUse = (session, now) =>
+  session.isBooked ||
+  !!session.reservation ||
+  (!!session.heldByCustomerId && session.holdExpiresAt > now);
+
+/**
+ * Filter Prisma untuk sesi yang boleh dihapus (kebalikan isSessionInUse)
+ * @param {Date} now - Current time
+ * @returns {Object} Session where clause
+ */
+const removableSessionWhere = (now) => ({
+  isBooked: false,
+  reservation: { is: null },
+  OR: [{ heldByCustomerId: null }, { holdExpiresAt: { lte: now } }],
+});
+
+/**
+ * Rencanakan generate jadwal tanpa menulis ke database (dry run).
+ * Untuk setiap tanggal, time slot dan staf dicatat apa yang akan dibuat
+ * (CREATE), yang sudah ada (EXISTING), dan yang dilewati (SKIPPED) karena
+ * staf cuti, libur, atau di luar jam kerjanya.
+ *
+ * Dengan reconcile, jadwal yang sudah ada disamakan dengan konfigurasi:
+ * hari yang kini libur ditutup (UPDATE), slot di luar template dan sesi staf
+ * yang tidak tersedia dihapus (DELETE) jika belum dipakai, atau dipertahankan
+ * (KEEP) dan reservasi aktif serta antrean waitlist-nya dicatat di
+ * reservationConflicts. Hari yang
+ * sudah ditutup (misalnya manual oleh owner) hanya dibuka kembali jika
+ * tanggalnya ada di reopenDates.
+ * @param {Date} startDate - Start date for schedule generation
+ * @param {Number} days - Number of days to generate
+ * @param {Array} holidayDates - Dates to mark as holidays
+ * @param {Object} timeConfig - Optional legacy time slot configuration (defaults to weekly business hours)
+ * @param {Number} timeZoneOffset - Timezone offset in hours
+ * @param {Object} options - { reconcile, reopenDates }
+ * @returns {Promise<Object>} { planId, parameters, summary, reservationConflicts, days }
+ */
+export const planFullSchedule = async (
+  startDate = new Date(),
+  days = 7,
+  holidayDates = [],
+  timeConfig = null,
+  timeZoneOffset = parseInt(process.env.TIMEZONE_OFFSET || "7"), // Default to Indonesia time (UTC+7)
+  { reconcile = false, reopenDates = [] } = {}
+) => {
+  const now = new Date();
+  const businessHours = timeConfig
+    ? buildTemplateFromTimeConfig(timeConfig)
+    : await getWeeklyBusinessHours();
+  const holidaySet = new Set(
+    holidayDates.map((date) => new Date(date).toISOString().split("T")[0])
+  );
+  const reopenSet = new Set(
+    reopenDates.map((date) => new Date(date).toISOString().split("T")[0])
+  );
+  const calendarHolidayNames = await getCalendarHolidayNames(startDate, days);
+
+  // Jadwal, time slot, dan sesi yang sudah ada dalam rentang dimuat sekali
+  const existingSchedules = await getSchedulesInRange(startDate, days, {
+    timeSlots: {
+      include: {
+        sessions: {
+          select: {
+            id: true,
+            staffId: true,
+            isBooked: true,
+            heldByCustomerId: true,
+            holdExpiresAt: true,
+            staff: { select: { name: true } },
+            reservation: { select: reservationConflictSelect },
+            extendedReservation: { select: reservationConflictSelect },
+          },
+        },
+        // Waitlist ikut terhapus bersama slotnya (onDelete: Cascade)
+        waitlistEntries: {
+          where: { status: { in: ACTIVE_WAITLIST_STATUSES } },
+          select: {
+            id: true,
+            status: true,
+            customer: { select: { name: true } },
+            service: { select: { name: true } },
           },
+        },
+      },
+      orderBy: { startTime: "asc" },
+    },
+  });
+  const scheduleByDate = new Map(
+    existingSchedules.map((schedule) => [
+      schedule.date.toISOString().split("T")[0],
+      schedule,
+    ])
+  );
+
+  const activeStaff = await prisma.staff.findMany({
+    where: { isActive: true },
+    select: { id: true, name: true },
+    orderBy: [{ name: "asc" }, { id: "asc" }],
+  });
+  const activeStaffIds = new Set(activeStaff.map((staff) => staff.id));
+
+  const reservationConflicts = new Map();
+  const plannedDays = [];
+  for (let i = 0; i < days; i++) {
+    const currentDate = addDays(startDate, i);
+    const dateString = currentDate.toISOString().split("T")[0];
+    const status = resolveDayStatus(
+      currentDate,
+      holidaySet,
+      calendarHolidayNames,
+      businessHours
+    );
+    const existingSchedule = scheduleByDate.get(dateString);
+
+    // Tanpa reconcile, jadwal yang sudah ada tidak diubah (termasuk status
+    // liburnya); dengan reconcile, hari yang kini libur ikut ditutup, tetapi
+    // hari yang sudah ditutup hanya dibuka jika diminta lewat reopenDates
+    let action = "CREATE";
+    let isHoliday = status.isHoliday;
+    const conflicts = [...status.conflicts];
+    if (existingSchedule) {
+      isHoliday = existingSchedule.isHoliday;
+      if (reconcile) {
+        isHoliday =
+          status.isHoliday ||
+          (existingSchedule.isHoliday && !reopenSet.has(dateString));
+      }
+      action = isHoliday !== existingSchedule.isHoliday ? "UPDATE" : "EXISTING";
+
+      if (isHoliday && !status.isHoliday) {
+        conflicts.push({
+          type: "HOLIDAY",
+          source: "SCHEDULE",
+          notes: existingSchedule.notes,
         });
+      }
+    }
+
+    const existingSlots = new Map(
+      (existingSchedule?.timeSlots || []).map((slot) => [toSlotKey(slot), slot])
+    );
+    const templateSlots = isHoliday
+      ? []
+      : buildScheduleSlotTimes(
+          existingSchedule?.date || currentDate,
+          businessHours,
+          timeZoneOffset
+        );
+    const templateKeys = new Set(templateSlots.map(toSlotKey));
+    const obsoleteSlots = (existingSchedule?.timeSlots || []).filter(
+      (slot) => !templateKeys.has(toSlotKey(slot))
+    );
 
-        if (!existingSession) {
-          sessionsToCreate.push({
-            timeSlotId: timeSlot.id,
+    const timeSlots = [
+      ...templateSlots.map((slot) => {
+        const existingSlot = existingSlots.get(toSlotKey(slot));
+        return {
+          action: existingSlot ? "EXISTING" : "CREATE",
+          timeSlotId: existingSlot?.id || null,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          inTemplate: true,
+          existingSessions: existingSlot?.sessions || [],
+        };
+      }),
+      // Tanpa reconcile, slot lama di luar template tetap dilengkapi sesinya
+      // seperti generate biasa; dengan reconcile, slot tersebut dihapus
+      // kecuali masih dipakai atau masih ada antrean waitlist
+      ...(reconcile || !isHoliday ? obsoleteSlots : []).map((slot) => {
+        const isInUse =
+          slot.waitlistEntries.length > 0 ||
+          slot.sessions.some((session) => isSessionInUse(session, now));
+        let slotAction = "EXISTING";
+        if (reconcile) {
+          slotAction = isInUse ? "KEEP" : "DELETE";
+
+          // Antrean waitlist pada slot lama tidak dihapus, owner yang memutuskan
+          for (const entry of slot.waitlistEntries) {
+            reservationConflicts.set(entry.id, {
+              type: "WAITLIST",
+              waitlistEntryId: entry.id,
+              status: entry.status,
+              customerName: entry.customer.name,
+              serviceName: entry.service.name,
+              date: dateString,
+              timeSlotId: slot.id,
+              startTime: slot.startTime,
+              endTime: slot.endTime,
+              reason: isHoliday ? "DAY_CLOSED" : "NOT_IN_SCHEDULE",
+            });
+          }
+        }
+
+        return {
+          action: slotAction,
+          timeSlotId: slot.id,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          inTemplate: false,
+          ...(reconcile && {
+            reason: isHoliday ? "DAY_CLOSED" : "NOT_IN_SCHEDULE",
+          }),
+          existingSessions: slot.sessions,
+        };
+      }),
+    ].sort((a, b) => a.startTime - b.startTime);
+
+    plannedDays.push({
+      date: dateString,
+      action,
+      operatingScheduleId: existingSchedule?.id || null,
+      scheduleDate: existingSchedule?.date || currentDate,
+      isHoliday,
+      notes: action === "EXISTING" ? existingSchedule.notes : status.notes,
+      conflicts,
+      timeSlots,
+    });
+  }
+
+  const getUnavailability = await buildStaffUnavailabilityResolver(
+    activeStaff.map((staff) => staff.id),
+    plannedDays.flatMap((day) => day.timeSlots),
+    timeZoneOffset
+  );
+
+  const summary = {
+    operatingSchedules: { create: 0, existing: 0, update: 0 },
+    timeSlots: { create: 0, existing: 0, keep: 0, delete: 0 },
+    sessions: { create: 0, existing: 0, skipped: 0, delete: 0 },
+    holidays: 0,
+    reservationConflicts: 0,
+  };
+
+  // Reservasi aktif pada sesi yang tidak lagi sesuai jadwal
+  const addReservationConflicts = (day, timeSlot, session, reason) => {
+    for (const reservation of [
+      session.reservation,
+      session.extendedReservation,
+    ]) {
+      if (
+        !reservation ||
+        !ACTIVE_RESERVATION_STATUSES.includes(reservation.status) ||
+        reservationConflicts.has(reservation.id)
+      ) {
+        continue;
+      }
+
+      reservationConflicts.set(reservation.id, {
+        type: "RESERVATION",
+        reservationId: reservation.id,
+        status: reservation.status,
+        customerName: reservation.customer.name,
+        serviceName: reservation.service.name,
+        staffId: reservation.staff.id,
+        staffName: reservation.staff.name,
+        date: day.date,
+        timeSlotId: timeSlot.timeSlotId,
+        startTime: timeSlot.startTime,
+        endTime: timeSlot.endTime,
+        reason,
+      });
+    }
+  };
+
+  for (const day of plannedDays) {
+    summary.operatingSchedules[day.action.toLowerCase()] += 1;
+    if (day.isHoliday) summary.holidays += 1;
+
+    day.timeSlots = day.timeSlots.map(({ existingSessions, ...timeSlot }) => {
+      summary.timeSlots[timeSlot.action.toLowerCase()] += 1;
+
+      const toExistingEntry = (session, sessionAction, reason) => ({
+        action: sessionAction,
+        staffId: session.staffId,
+        staffName: session.staff.name,
+        sessionId: session.id,
+        isBooked: session.isBooked,
+        ...(reason && { reason }),
+      });
+
+      let sessions;
+      if (!timeSlot.inTemplate && reconcile) {
+        // Slot lama: sesi kosong dihapus, sesi terpakai dipertahankan
+        sessions = existingSessions.map((session) => {
+          if (!isSessionInUse(session, now)) {
+            return toExistingEntry(session, "DELETE", timeSlot.reason);
+          }
+          addReservationConflicts(day, timeSlot, session, timeSlot.reason);
+          return toExistingEntry(session, "EXISTING");
+        });
+      } else {
+        sessions = activeStaff.map((staff) => {
+          const existingSession = existingSessions.find(
+            (session) => session.staffId === staff.id
+          );
+          const unavailability = getUnavailability(staff.id, timeSlot);
+
+          if (existingSession) {
+            if (!reconcile || !unavailability) {
+              return toExistingEntry(existingSession, "EXISTING");
+            }
+            if (!isSessionInUse(existingSession, now)) {
+              return {
+                ...toExistingEntry(existingSession, "DELETE"),
+                ...unavailability,
+              };
+            }
+            addReservationConflicts(
+              day,
+              timeSlot,
+              existingSession,
+              unavailability.reason
+            );
+            return {
+              ...toExistingEntry(existingSession, "EXISTING"),
+              ...unavailability,
+            };
+          }
+
+          if (unavailability) {
+            return {
+              action: "SKIPPED",
+              staffId: staff.id,
+              staffName: staff.name,
+              ...unavailability,
+            };
+          }
+
+          return {
+            action: "CREATE",
             staffId: staff.id,
-            isBooked: false,
-          });
+            staffName: staff.name,
+          };
+        });
+
+        // Sesi staf yang sudah tidak aktif
+        if (reconcile) {
+          for (const session of existingSessions) {
+            if (activeStaffIds.has(session.staffId)) continue;
+
+            if (!isSessionInUse(session, now)) {
+              sessions.push(
+                toExistingEntry(session, "DELETE", "STAFF_INACTIVE")
+              );
+              continue;
+            }
+            addReservationConflicts(day, timeSlot, session, "STAFF_INACTIVE");
+            sessions.push(
+              toExistingEntry(session, "EXISTING", "STAFF_INACTIVE")
+            );
+          }
+        }
+      }
+
+      for (const session of sessions) {
+        summary.sessions[session.action.toLowerCase()] += 1;
+      }
+
+      return { ...timeSlot, sessions };
+    });
+  }
+  summary.reservationConflicts = reservationConflicts.size;
+
+  return {
+    planId: buildPlanId({
+      days: plannedDays,
+      reservationConflicts: [...reservationConflicts.values()],
+    }),
+    parameters: {
+      startDate: new Date(startDate).toISOString(),
+      days,
+      holidayDates,
+      timeConfig,
+      timeZoneOffset,
+      reconcile,
+      reopenDates,
+    },
+    summary,
+    reservationConflicts: [...reservationConflicts.values()],
+    days: plannedDays,
+  };
+};
+
+/**
+ * Jalankan rencana dari planFullSchedule di dalam satu transaksi: item CREATE
+ * dibuat per jenis data dengan satu createMany, item UPDATE/DELETE (reconcile)
+ * diperbarui/dihapus. Item yang ternyata sudah dibuat proses lain dilewati
+ * (skipDuplicates), dan slot/sesi yang sudah terpakai tidak ikut dihapus.
+ * @param {Object} plan - Plan returned by planFullSchedule
+ * @returns {Promise<Object>} { created, updated, deleted } counts per data type
+ */
+export const applySchedulePlan = async (plan) => {
+  const now = new Date();
+  const updatedDays = plan.days.filter((day) => day.action === "UPDATE");
+  const deletedSlotIds = plan.days.flatMap((day) =>
+    day.timeSlots
+      .filter((timeSlot) => timeSlot.action === "DELETE")
+      .map((timeSlot) => timeSlot.timeSlotId)
+  );
+  const deletedSessionIds = plan.days.flatMap((day) =>
+    day.timeSlots
+      .filter((timeSlot) => timeSlot.action !== "DELETE")
+      .flatMap((timeSlot) =>
+        timeSlot.sessions
+          .filter((session) => session.action === "DELETE")
+          .map((session) => session.sessionId)
+      )
+  );
+  const newDays = plan.days.filter((day) => day.action === "CREATE");
+  const newSlots = plan.days.flatMap((day) =>
+    day.timeSlots
+      .filter((timeSlot) => timeSlot.action === "CREATE")
+      .map((timeSlot) => ({ day, timeSlot }))
+  );
+  const newSessions = plan.days.flatMap((day) =>
+    day.timeSlots.flatMap((timeSlot) =>
+      timeSlot.sessions
+        .filter((session) => session.action === "CREATE")
+        .map((session) => ({ day, timeSlot, session }))
+    )
+  );
+
+  return await prisma.$transaction(
+    async (tx) => {
+      const created = { operatingSchedules: 0, timeSlots: 0, sessions: 0 };
+      const updated = { operatingSchedules: 0 };
+      const deleted = { timeSlots: 0, sessions: 0 };
+
+      for (const day of updatedDays) {
+        await tx.operatingSchedule.update({
+          where: { id: day.operatingScheduleId },
+          data: { isHoliday: day.isHoliday, notes: day.notes },
+        });
+        updated.operatingSchedules += 1;
+      }
+
+      // Sesi ikut terhapus bersama slotnya (onDelete: Cascade)
+      if (deletedSlotIds.length > 0) {
+        const { count } = await tx.timeSlot.deleteMany({
+          where: {
+            id: { in: deletedSlotIds },
+            sessions: { every: removableSessionWhere(now) },
+            waitlistEntries: {
+              none: { status: { in: ACTIVE_WAITLIST_STATUSES } },
+            },
+          },
+        });
+        deleted.timeSlots = count;
+      }
+      if (deletedSessionIds.length > 0) {
+        const { count } = await tx.session.deleteMany({
+          where: {
+            id: { in: deletedSessionIds },
+            ...removableSessionWhere(now),
+          },
+        });
+        deleted.sessions = count;
+      }
+
+      const scheduleIdByDate = new Map(
+        plan.days
+          .filter((day) => day.operatingScheduleId)
+          .map((day) => [day.date, day.operatingScheduleId])
+      );
+      if (newDays.length > 0) {
+        const { count } = await tx.operatingSchedule.createMany({
+          data: newDays.map((day) => ({
+            date: day.scheduleDate,
+            isHoliday: day.isHoliday,
+            notes: day.notes,
+          })),
+          skipDuplicates: true,
+        });
+        created.operatingSchedules = count;
+
+        const schedules = await getSchedulesInRange(
+          plan.parameters.startDate,
+          plan.parameters.days,
+          undefined,
+          tx
+        );
+        for (const schedule of schedules) {
+          scheduleIdByDate.set(
+            schedule.date.toISOString().split("T")[0],
+            schedule.id
+          );
         }
       }
 
-      if (sessionsToCreate.length > 0) {
-        await prisma.session.createMany({
-          data: sessionsToCreate,
+      if (newSlots.length > 0) {
+        const { count } = await tx.timeSlot.createMany({
+          data: newSlots.map(({ day, timeSlot }) => ({
+            operatingScheduleId: scheduleIdByDate.get(day.date),
+            startTime: timeSlot.startTime,
+            endTime: timeSlot.endTime,
+          })),
           skipDuplicates: true,
         });
+        created.timeSlots = count;
       }
 
-      // Fetch all sessions for this time slot
-      const sessions = await prisma.session.findMany({
-        where: {
-          timeSlotId: timeSlot.id,
-        },
-        include: {
-          staff: {
+      if (newSessions.length > 0) {
+        // ID time slot yang baru dibuat dibutuhkan untuk sesinya
+        const slotIdByKey = new Map();
+        if (newSlots.length > 0) {
+          const scheduleSlots = await tx.timeSlot.findMany({
+            where: {
+              operatingScheduleId: {
+                in: [
+                  ...new Set(
+                    newSlots.map(({ day }) => scheduleIdByDate.get(day.date))
+                  ),
+                ],
+              },
+            },
             select: {
               id: true,
-              name: true,
-              email: true,
-              profilePicture: true,
+              operatingScheduleId: true,
+              startTime: true,
+              endTime: true,
             },
-          },
-        },
-      });
+          });
+          for (const slot of scheduleSlots) {
+            slotIdByKey.set(
+              `${slot.operatingScheduleId}:${toSlotKey(slot)}`,
+              slot.id
+            );
+          }
+        }
 
-      sessionsByTimeSlot[timeSlot.id] = sessions;
-    }
-  }
+        const { count } = await tx.session.createMany({
+          data: newSessions.map(({ day, timeSlot, session }) => ({
+            timeSlotId:
+              timeSlot.timeSlotId ||
+              slotIdByKey.get(
+                `${scheduleIdByDate.get(day.date)}:${toSlotKey(timeSlot)}`
+              ),
+            staffId: session.staffId,
+            isBooked: false,
+          })),
+          skipDuplicates: true,
+        });
+        created.sessions = count;
+      }
 
-  return sessionsByTimeSlot;
+      return { created, updated, deleted };
+    },
+    // Rentang panjang (mis. satu bulan) menulis ribuan sesi sekaligus
+    { timeout: 30000 }
+  );
 };
 
 /**
- * Generate full schedule (operating schedules, time slots, and sessions)
+ * Generate full schedule (operating schedules, time slots, and sessions).
+ * Data yang sudah ada dimuat sekali, selisihnya dihitung di memori
+ * (planFullSchedule), lalu ditulis dengan createMany dalam satu transaksi.
  * @param {Date} startDate - Start date for schedule generation
  * @param {Number} days - Number of days to generate
  * @param {Array} holidayDates - Dates to mark as holidays
- * @param {Object} timeConfig - Time slot configuration
+ * @param {Object} timeConfig - Optional legacy time slot configuration (defaults to weekly business hours)
  * @param {Number} timeZoneOffset - Timezone offset from environment variable
- * @returns {Object} Generated schedules, time slots, and sessions
+ * @param {Object} options - { dryRun, reconcile, reopenDates }: dryRun returns the plan from
+ *   planFullSchedule without writing; reconcile also updates/removes existing data that no longer
+ *   matches the config (closed days in reopenDates are opened again)
+ * @returns {Object} Generated schedules, time slots, and sessions with created counts, reservation
+ *   conflicts and timing in milliseconds (or the plan on dry run)
  */
 export const generateFullSchedule = async (
   startDate = new Date(),
   days = 7,
   holidayDates = [],
-  timeConfig = {
-    startHour: 7, // 7 AM WIB (00:00 UTC)
-    endHour: 15, // 3 PM WIB (08:00 UTC)
-    slotDurationMinutes: 60,
-  },
-  timeZoneOffset = parseInt(process.env.TIMEZONE_OFFSET || "7") // Default to Indonesia time (UTC+7)
+  timeConfig = null,
+  timeZoneOffset = parseInt(process.env.TIMEZONE_OFFSET || "7"), // Default to Indonesia time (UTC+7)
+  { dryRun = false, reconcile = false, reopenDates = [] } = {}
 ) => {
-  // Generate operating schedules
-  const operatingSchedules = await generateOperatingSchedules(
+  const startedAt = Date.now();
+  const plan = await planFullSchedule(
     startDate,
     days,
-    holidayDates
-  );
-
-  // Generate time slots for each operating schedule with proper time zone handling
-  const timeSlotsBySchedule = await generateTimeSlots(
-    operatingSchedules,
+    holidayDates,
     timeConfig,
-    timeZoneOffset
+    timeZoneOffset,
+    { reconcile, reopenDates }
   );
+  if (dryRun) return plan;
+
+  const plannedAt = Date.now();
+  const { created, updated, deleted } = await applySchedulePlan(plan);
+  const appliedAt = Date.now();
 
-  // Generate sessions for each time slot
-  const sessionsByTimeSlot = await generateSessions(timeSlotsBySchedule);
+  // Hasil akhir dimuat dengan satu query
+  const schedules = await getSchedulesInRange(startDate, days, {
+    timeSlots: {
+      include: {
+        sessions: {
+          include: {
+            staff: {
+              select: {
+                id: true,
+                name: true,
+                email: true,
+                profilePicture: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: { startTime: "asc" },
+    },
+  });
+
+  const operatingSchedules = [];
+  const timeSlotsBySchedule = {};
+  const sessionsByTimeSlot = {};
+  for (const { timeSlots, ...schedule } of schedules) {
+    operatingSchedules.push(schedule);
+    timeSlotsBySchedule[schedule.id] = [];
+    if (schedule.isHoliday) continue;
+
+    for (const { sessions, ...timeSlot } of timeSlots) {
+      timeSlotsBySchedule[schedule.id].push(timeSlot);
+      sessionsByTimeSlot[timeSlot.id] = sessions;
+    }
+  }
 
   return {
     operatingSchedules,
     timeSlotsBySchedule,
     sessionsByTimeSlot,
+    summary: plan.summary,
+    created,
+    updated,
+    deleted,
+    reservationConflicts: plan.reservationConflicts,
+    timing: {
+      planMs: plannedAt - startedAt,
+      applyMs: appliedAt - plannedAt,
+      totalMs: Date.now() - startedAt,
+    },
   };
 };
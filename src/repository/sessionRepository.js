@@ -1,5 +1,69 @@
 // src/repository/sessionRepository.js
+import { addMinutes } from "date-fns";
 import prisma from "../config/db.js";
+import { qualifiedForServiceWhere } from "./staffRepository.js";
+import { buildResourceAllocator } from "./resourceRepository.js";
+import { getActiveBookingWindows } from "./bookingWindowRepository.js";
+import {
+  buildBookingWindow,
+  getBookingConflict,
+} from "../utils/bookingWindowUtils.js";
+
+/**
+ * Checks whether a session can be used for a booking
+ * @param {Object} session - The session
+ * @param {Object} options - Booking context
+ * @param {String} options.customerId - Customer booking (their own hold counts as free)
+ * @param {String} options.reservationId - Reservation being rescheduled (its own extra sessions count as free)
+ * @returns {Boolean} True if the session is free
+ */
+const isSessionFree = (session, { customerId, reservationId } = {}) => {
+  if (session.isBooked) {
+    return !!reservationId && session.extendedReservationId === reservationId;
+  }
+
+  return (
+    !session.heldByCustomerId ||
+    session.heldByCustomerId === customerId ||
+    new Date(session.holdExpiresAt) <= new Date()
+  );
+};
+
+/**
+ * Collects the sessions of one staff member in the time slots directly
+ * following a time slot until the service window is covered
+ * @param {Object} timeSlot - Time slot of the first session
+ * @param {Array} followingSlots - Later time slots (sorted, with sessions)
+ * @param {String} staffId - Staff handling the service
+ * @param {Date} windowEnd - When the service ends
+ * @param {Object} options - See isSessionFree
+ * @returns {Array|null} Extra sessions, or null if the window cannot be covered
+ */
+const collectConsecutiveSessions = (
+  timeSlot,
+  followingSlots,
+  staffId,
+  windowEnd,
+  options
+) => {
+  const extraSessions = [];
+  let cursor = new Date(timeSlot.endTime);
+
+  for (const slot of followingSlots) {
+    if (cursor >= windowEnd) break;
+    if (new Date(slot.startTime) < cursor) continue;
+    // Ada jeda (misalnya istirahat) di antara time slot
+    if (new Date(slot.startTime).getTime() !== cursor.getTime()) return null;
+
+    const session = slot.sessions.find((s) => s.staffId === staffId);
+    if (!session || !isSessionFree(session, options)) return null;
+
+    extraSessions.push(session);
+    cursor = new Date(slot.endTime);
+  }
+
+  return cursor >= windowEnd ? extraSessions : null;
+};
 
 /**
  * Creates a new session in the database
@@ -155,12 +219,15 @@ export const deleteSession = async (id) => {
 };
 
 /**
- * Gets available sessions for a specific date that are not booked
+ * Gets available sessions for a specific date that are not booked.
+ * Jika layanan lebih panjang dari satu time slot, sesi hanya ditampilkan bila
+ * staff yang sama juga kosong pada time slot berikutnya (extraSessionIds).
  * @param {String} date - The date to check in ISO format (YYYY-MM-DD)
  * @param {Number} duration - Service duration in minutes
+ * @param {String} serviceId - Only sessions of staff qualified for this service (optional)
  * @returns {Promise<Array>} List of available sessions
  */
-export const getAvailableSessions = async (date, duration) => {
+export const getAvailableSessions = async (date, duration, serviceId) => {
   const filterDate = new Date(date);
   filterDate.setHours(0, 0, 0, 0); // Set to start of day
 
@@ -183,6 +250,12 @@ export const getAvailableSessions = async (date, duration) => {
           sessions: {
             where: {
               isBooked: false, // Only include sessions that are not booked
+              // Exclude sessions held for another customer (expired holds are free)
+              OR: [
+                { holdExpiresAt: null },
+                { holdExpiresAt: { lte: new Date() } },
+              ],
+              ...(serviceId && { staff: qualifiedForServiceWhere(serviceId) }),
             },
             include: {
               staff: true,
@@ -200,36 +273,215 @@ export const getAvailableSessions = async (date, duration) => {
     return []; // No operating schedule found for this date
   }
 
+  const { timeSlots } = operatingSchedule;
+  if (timeSlots.length === 0) return [];
+  const dayStart = timeSlots[0].startTime;
+  const dayEnd = timeSlots[timeSlots.length - 1].endTime;
+
+  // Sesi hanya ditawarkan jika ruangan/peralatan yang cocok juga kosong
+  const allocateResource = serviceId
+    ? await buildResourceAllocator(serviceId, dayStart, dayEnd)
+    : () => ({ resourceId: null });
+
+  // Buffer persiapan/pembersihan (layanan ini maupun reservasi lain)
+  // memblokir staf di sekitar reservasinya
+  const service = serviceId
+    ? await prisma.service.findUnique({
+        where: { id: serviceId },
+        select: { bufferBeforeMinutes: true, bufferAfterMinutes: true },
+      })
+    : null;
+  const staffBookings = await getActiveBookingWindows(
+    {
+      staffId: {
+        in: [
+          ...new Set(
+            timeSlots.flatMap((timeSlot) =>
+              timeSlot.sessions.map((session) => session.staffId)
+            )
+          ),
+        ],
+      },
+    },
+    dayStart,
+    dayEnd
+  );
+
   // Filter time slots based on the service duration
-  // Only include time slots that can accommodate the service duration
+  // Layanan yang lebih panjang dari time slot memakai sesi staff yang sama
+  // pada time slot berikutnya
   const availableSessions = [];
 
-  operatingSchedule.timeSlots.forEach((timeSlot) => {
-    // Calculate time slot duration in minutes
-    const startTime = new Date(timeSlot.startTime);
-    const endTime = new Date(timeSlot.endTime);
-    const timeSlotDuration = (endTime - startTime) / (1000 * 60); // Convert to minutes
-
-    // Only include if time slot is long enough for the service
-    if (timeSlotDuration >= duration && timeSlot.sessions.length > 0) {
-      timeSlot.sessions.forEach((session) => {
-        availableSessions.push({
-          ...session,
-          timeSlot: {
-            ...timeSlot,
-            operatingSchedule: {
-              id: operatingSchedule.id,
-              date: operatingSchedule.date,
-            },
+  timeSlots.forEach((timeSlot, index) => {
+    const windowEnd = addMinutes(new Date(timeSlot.startTime), duration);
+    const followingSlots = timeSlots.slice(index + 1);
+    const window = buildBookingWindow(
+      timeSlot.startTime,
+      duration,
+      service || {}
+    );
+
+    timeSlot.sessions.forEach((session) => {
+      const extraSessions = collectConsecutiveSessions(
+        timeSlot,
+        followingSlots,
+        session.staffId,
+        windowEnd,
+        {}
+      );
+      if (!extraSessions) return;
+
+      const blockedByBuffer = staffBookings.some(
+        (booking) =>
+          booking.staffId === session.staffId &&
+          getBookingConflict(window, booking)
+      );
+      if (blockedByBuffer) return;
+
+      const allocation = allocateResource(timeSlot.startTime, duration);
+      if (!allocation) return;
+
+      availableSessions.push({
+        ...session,
+        timeSlot: {
+          ...timeSlot,
+          operatingSchedule: {
+            id: operatingSchedule.id,
+            date: operatingSchedule.date,
           },
-        });
+        },
+        extraSessionIds: extraSessions.map((extra) => extra.id),
+        resourceId: allocation.resourceId,
+        serviceEndTime: windowEnd,
       });
-    }
+    });
   });
 
   return availableSessions;
 };
 
+/**
+ * Finds the extra sessions (same staff, directly following time slots) a
+ * booking needs when the service is longer than the session's time slot
+ * @param {Object} session - The first session (with timeSlot)
+ * @param {Number} duration - Service duration in minutes
+ * @param {Object} options - { customerId, reservationId }, see isSessionFree,
+ *   and service ({ bufferBeforeMinutes, bufferAfterMinutes }) for its buffers
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Array|null>} Extra sessions (empty if one slot is enough), or null if unavailable
+ */
+export const findConsecutiveSessions = async (
+  session,
+  duration,
+  options = {},
+  tx = prisma
+) => {
+  // Reservasi lain staf ini (beserta buffer-nya) tidak boleh bentrok dengan
+  // layanan ini beserta buffer-nya
+  const window = buildBookingWindow(
+    session.timeSlot.startTime,
+    duration,
+    options.service
+  );
+  const staffBookings = await getActiveBookingWindows(
+    { staffId: session.staffId },
+    window.bufferedStart,
+    window.bufferedEnd,
+    { excludeReservationId: options.reservationId },
+    tx
+  );
+  if (staffBookings.some((booking) => getBookingConflict(window, booking))) {
+    return null;
+  }
+
+  const windowEnd = addMinutes(new Date(session.timeSlot.startTime), duration);
+  if (new Date(session.timeSlot.endTime) >= windowEnd) return [];
+
+  const followingSlots = await tx.timeSlot.findMany({
+    where: {
+      operatingScheduleId: session.timeSlot.operatingScheduleId,
+      startTime: {
+        gte: session.timeSlot.endTime,
+        lt: windowEnd,
+      },
+    },
+    include: {
+      sessions: {
+        where: { staffId: session.staffId },
+      },
+    },
+    orderBy: {
+      startTime: "asc",
+    },
+  });
+
+  return collectConsecutiveSessions(
+    session.timeSlot,
+    followingSlots,
+    session.staffId,
+    windowEnd,
+    options
+  );
+};
+
+/**
+ * Books the extra sessions of a reservation (conditional: fails if one of
+ * them was booked in the meantime)
+ * @param {String} reservationId - The reservation using the sessions
+ * @param {Array} extraSessions - Result of findConsecutiveSessions
+ * @param {Object} tx - Prisma transaction client
+ */
+export const bookExtraSessions = async (
+  reservationId,
+  extraSessions,
+  tx = prisma
+) => {
+  if (extraSessions.length === 0) return;
+
+  const result = await tx.session.updateMany({
+    where: {
+      id: { in: extraSessions.map((session) => session.id) },
+      OR: [{ isBooked: false }, { extendedReservationId: reservationId }],
+    },
+    data: {
+      isBooked: true,
+      extendedReservationId: reservationId,
+      heldByCustomerId: null,
+      holdExpiresAt: null,
+    },
+  });
+  if (result.count !== extraSessions.length) {
+    throw new Error("Sesi lanjutan sudah dipesan oleh pengguna lain.");
+  }
+};
+
+/**
+ * Frees the extra sessions of reservations
+ * @param {Array<String>} reservationIds - Reservation IDs
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Array<String>>} IDs of the freed sessions
+ */
+export const releaseExtraSessions = async (reservationIds, tx = prisma) => {
+  const extraSessions = await tx.session.findMany({
+    where: { extendedReservationId: { in: reservationIds } },
+    select: { id: true },
+  });
+  if (extraSessions.length === 0) return [];
+
+  const sessionIds = extraSessions.map((session) => session.id);
+  await tx.session.updateMany({
+    where: { id: { in: sessionIds } },
+    data: {
+      isBooked: false,
+      extendedReservationId: null,
+      heldByCustomerId: null,
+      holdExpiresAt: null,
+    },
+  });
+
+  return sessionIds;
+};
+
 /**
  * Updates booking status of a session
  * @param {String} id - The session ID
@@ -247,6 +499,77 @@ export const updateSessionBookingStatus = async (id, isBooked) => {
   });
 };
 
+/**
+ * Places a temporary hold on a free session for a customer.
+ * Hold yang sudah lewat dianggap lepas, sehingga tidak perlu job pembersihan.
+ * @param {String} id - The session ID
+ * @param {String} customerId - The customer holding the session
+ * @param {Date} expiresAt - When the hold is released automatically
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Boolean>} True if the hold was placed
+ */
+export const holdSession = async (id, customerId, expiresAt, tx = prisma) => {
+  const result = await tx.session.updateMany({
+    where: {
+      id,
+      isBooked: false,
+      OR: [
+        { heldByCustomerId: null },
+        { heldByCustomerId: customerId },
+        { holdExpiresAt: { lte: new Date() } },
+      ],
+    },
+    data: {
+      heldByCustomerId: customerId,
+      holdExpiresAt: expiresAt,
+    },
+  });
+
+  return result.count > 0;
+};
+
+/**
+ * Releases the hold on a session
+ * @param {String} id - The session ID
+ * @param {String} customerId - Only release if held by this customer (optional)
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Boolean>} True if a hold was released
+ */
+export const releaseSessionHold = async (id, customerId, tx = prisma) => {
+  const result = await tx.session.updateMany({
+    where: {
+      id,
+      ...(customerId && { heldByCustomerId: customerId }),
+    },
+    data: {
+      heldByCustomerId: null,
+      holdExpiresAt: null,
+    },
+  });
+
+  return result.count > 0;
+};
+
+/**
+ * Checks whether a session is currently held for a different customer
+ * (hold checkout atau penawaran waitlist yang belum kedaluwarsa)
+ * @param {String} id - The session ID
+ * @param {String} customerId - The customer trying to book
+ * @returns {Promise<Boolean>} True if held for someone else
+ */
+export const isSessionHeldForAnotherCustomer = async (id, customerId) => {
+  const session = await prisma.session.findUnique({
+    where: { id },
+    select: { heldByCustomerId: true, holdExpiresAt: true },
+  });
+
+  return (
+    !!session?.heldByCustomerId &&
+    session.heldByCustomerId !== customerId &&
+    session.holdExpiresAt > new Date()
+  );
+};
+
 /**
  * Gets sessions by staff ID
  * @param {String} staffId - The staff ID
@@ -0,0 +1,127 @@
+// src/repository/staffAvailabilityRepository.js
+import prisma from "../config/db.js";
+
+/**
+ * Get leaves of a staff member, optionally only those overlapping a range
+ * @param {String} staffId - Staff ID
+ * @param {Object} options - Filter options
+ * @param {Date} options.from - Only leaves ending after this time
+ * @param {Date} options.to - Only leaves starting before this time
+ * @returns {Promise<Array>} Leaves ordered by start time
+ */
+export const getStaffLeaves = async (staffId, { from, to } = {}) => {
+  return await prisma.staffLeave.findMany({
+    where: {
+      staffId,
+      ...(from && { endTime: { gt: from } }),
+      ...(to && { startTime: { lt: to } }),
+    },
+    orderBy: {
+      startTime: "asc",
+    },
+  });
+};
+
+/**
+ * Get leaves of several staff members overlapping a time range
+ * @param {Array} staffIds - Staff IDs
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Overlapping leaves
+ */
+export const getLeavesInRange = async (staffIds, from, to) => {
+  return await prisma.staffLeave.findMany({
+    where: {
+      staffId: { in: staffIds },
+      startTime: { lt: to },
+      endTime: { gt: from },
+    },
+  });
+};
+
+/**
+ * Get a leave by ID
+ * @param {String} id - Leave ID
+ * @returns {Promise<Object|null>} Leave or null if not found
+ */
+export const getStaffLeaveById = async (id) => {
+  return await prisma.staffLeave.findUnique({
+    where: { id },
+  });
+};
+
+/**
+ * Create a leave for a staff member
+ * @param {Object} leaveData - { staffId, startTime, endTime, reason }
+ * @returns {Promise<Object>} Created leave
+ */
+export const createStaffLeave = async (leaveData) => {
+  return await prisma.staffLeave.create({
+    data: leaveData,
+  });
+};
+
+/**
+ * Delete a leave
+ * @param {String} id - Leave ID
+ * @returns {Promise<Object>} Deleted leave
+ */
+export const deleteStaffLeave = async (id) => {
+  return await prisma.staffLeave.delete({
+    where: { id },
+  });
+};
+
+/**
+ * Get weekly working hours of a staff member
+ * @param {String} staffId - Staff ID
+ * @returns {Promise<Array>} Working hours ordered by dayOfWeek (hari tanpa data tidak dikembalikan)
+ */
+export const getStaffWorkingHours = async (staffId) => {
+  return await prisma.staffWorkingHours.findMany({
+    where: { staffId },
+    orderBy: {
+      dayOfWeek: "asc",
+    },
+  });
+};
+
+/**
+ * Get weekly working hours of several staff members
+ * @param {Array} staffIds - Staff IDs
+ * @returns {Promise<Array>} Working hours
+ */
+export const getWorkingHoursForStaff = async (staffIds) => {
+  return await prisma.staffWorkingHours.findMany({
+    where: {
+      staffId: { in: staffIds },
+    },
+  });
+};
+
+/**
+ * Replace the weekly working hours of a staff member.
+ * Hari yang tidak dikirim dihapus sehingga kembali mengikuti jam operasional.
+ * @param {String} staffId - Staff ID
+ * @param {Array} days - Array of { dayOfWeek, isOff, startTime, endTime }
+ * @returns {Promise<Array>} Updated working hours
+ */
+export const replaceStaffWorkingHours = async (staffId, days) => {
+  await prisma.$transaction([
+    prisma.staffWorkingHours.deleteMany({
+      where: {
+        staffId,
+        dayOfWeek: { notIn: days.map((day) => day.dayOfWeek) },
+      },
+    }),
+    ...days.map(({ dayOfWeek, ...data }) =>
+      prisma.staffWorkingHours.upsert({
+        where: { staffId_dayOfWeek: { staffId, dayOfWeek } },
+        update: data,
+        create: { staffId, dayOfWeek, ...data },
+      })
+    ),
+  ]);
+
+  return await getStaffWorkingHours(staffId);
+};
@@ -18,7 +18,7 @@ export const createStaff = async (staffData) => {
  * @returns {Promise<Array>} List of staff members
  */
 export const getAllStaff = async (options = {}) => {
-  const { isActive } = options;
+  const { isActive, serviceId } = options;
 
   const queryOptions = {
     where: {},
@@ -32,6 +32,11 @@ export const getAllStaff = async (options = {}) => {
     queryOptions.where.isActive = isActive;
   }
 
+  // Filter staff qualified for a service if specified
+  if (serviceId) {
+    Object.assign(queryOptions.where, qualifiedForServiceWhere(serviceId));
+  }
+
   return await prisma.staff.findMany(queryOptions);
 };
 
@@ -44,6 +49,12 @@ export const getStaffById = async (id) => {
   return await prisma.staff.findUnique({
     where: { id },
     include: {
+      qualifiedServices: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
       sessions: {
         take: 10,
         orderBy: {
@@ -90,3 +101,93 @@ export const toggleStaffActiveStatus = async (id, isActive) => {
     data: { isActive },
   });
 };
+
+/**
+ * Prisma filter for staff qualified to perform a service.
+ * Staf dengan qualifiedForAllServices boleh menangani semua layanan; staf
+ * lainnya hanya layanan di daftar kualifikasinya (kosong = tidak ada).
+ * @param {String} serviceId - Service ID
+ * @returns {Object} Staff where clause
+ */
+export const qualifiedForServiceWhere = (serviceId) => ({
+  OR: [
+    { qualifiedForAllServices: true },
+    { qualifiedServices: { some: { id: serviceId } } },
+  ],
+});
+
+/**
+ * Check whether a staff member may perform a service
+ * @param {String} staffId - Staff ID
+ * @param {String} serviceId - Service ID
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Boolean>} True if qualified
+ */
+export const isStaffQualifiedForService = async (
+  staffId,
+  serviceId,
+  tx = prisma
+) => {
+  const staff = await tx.staff.findFirst({
+    where: {
+      id: staffId,
+      ...qualifiedForServiceWhere(serviceId),
+    },
+    select: { id: true },
+  });
+
+  return !!staff;
+};
+
+/**
+ * Get the services a staff member is qualified for
+ * @param {String} staffId - Staff ID
+ * @returns {Promise<Object>} { allServices, services } (services is ignored when allServices is true)
+ */
+export const getStaffQualifications = async (staffId) => {
+  const staff = await prisma.staff.findUnique({
+    where: { id: staffId },
+    select: {
+      qualifiedForAllServices: true,
+      qualifiedServices: {
+        select: {
+          id: true,
+          name: true,
+        },
+        orderBy: {
+          name: "asc",
+        },
+      },
+    },
+  });
+
+  return {
+    allServices: staff?.qualifiedForAllServices ?? false,
+    services: staff?.qualifiedServices || [],
+  };
+};
+
+/**
+ * Replace the services a staff member is qualified for
+ * @param {String} staffId - Staff ID
+ * @param {Array} serviceIds - Service IDs (empty array = no services)
+ * @param {Boolean} allServices - Qualified for every service, including new ones (serviceIds is cleared)
+ * @returns {Promise<Object>} Updated qualifications { allServices, services }
+ */
+export const setStaffQualifications = async (
+  staffId,
+  serviceIds,
+  allServices = false
+) => {
+  await prisma.staff.update({
+    where: { id: staffId },
+    data: {
+      qualifiedForAllServices: allServices,
+      qualifiedServices: {
+        set: allServices ? [] : serviceIds.map((id) => ({ id })),
+      },
+    },
+  });
+
+  return await getStaffQualifications(staffId);
+};
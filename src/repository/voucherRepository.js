@@ -0,0 +1,155 @@
+// src/repository/voucherRepository.js
+import prisma from "../config/db.js";
+
+// Pembayaran dengan status ini dihitung sebagai pemakaian voucher.
+// Pembayaran yang kedaluwarsa / gagal otomatis mengembalikan kuotanya.
+export const USAGE_PAYMENT_STATUSES = ["PENDING", "PAID", "PARTIALLY_REFUNDED"];
+
+const voucherInclude = {
+  services: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  categories: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  customer: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+/**
+ * Get all vouchers
+ * @param {Object} options - Filter options
+ * @param {Boolean} options.activeOnly - Only return active vouchers
+ * @returns {Promise<Array>} List of vouchers with their restrictions
+ */
+export const getVouchers = async ({ activeOnly = false } = {}) => {
+  return await prisma.voucher.findMany({
+    where: activeOnly ? { isActive: true } : {},
+    include: voucherInclude,
+    orderBy: {
+      createdAt: "desc",
+    },
+  });
+};
+
+/**
+ * Get voucher by ID
+ * @param {String} id - Voucher ID
+ * @returns {Promise<Object|null>} Voucher or null if not found
+ */
+export const getVoucherById = async (id) => {
+  return await prisma.voucher.findUnique({
+    where: { id },
+    include: voucherInclude,
+  });
+};
+
+/**
+ * Get voucher by code (case-insensitive, disimpan dalam huruf besar)
+ * @param {String} code - Voucher code
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Object|null>} Voucher or null if not found
+ */
+export const getVoucherByCode = async (code, tx = prisma) => {
+  return await tx.voucher.findUnique({
+    where: { code: code.trim().toUpperCase() },
+    include: voucherInclude,
+  });
+};
+
+/**
+ * Create a new voucher
+ * @param {Object} voucherData - Voucher data
+ * @param {Array<String>} serviceIds - Restrict to these services (optional)
+ * @param {Array<String>} categoryIds - Restrict to these categories (optional)
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Object>} Created voucher
+ */
+export const createVoucher = async (
+  voucherData,
+  serviceIds = [],
+  categoryIds = [],
+  tx = prisma
+) => {
+  return await tx.voucher.create({
+    data: {
+      ...voucherData,
+      services: { connect: serviceIds.map((id) => ({ id })) },
+      categories: { connect: categoryIds.map((id) => ({ id })) },
+    },
+    include: voucherInclude,
+  });
+};
+
+/**
+ * Update voucher by ID
+ * @param {String} id - Voucher ID
+ * @param {Object} voucherData - Updated voucher data
+ * @param {Array<String>} serviceIds - Replace service restriction (undefined = unchanged)
+ * @param {Array<String>} categoryIds - Replace category restriction (undefined = unchanged)
+ * @returns {Promise<Object>} Updated voucher
+ */
+export const updateVoucher = async (
+  id,
+  voucherData,
+  serviceIds,
+  categoryIds
+) => {
+  return await prisma.voucher.update({
+    where: { id },
+    data: {
+      ...voucherData,
+      ...(serviceIds && {
+        services: { set: serviceIds.map((serviceId) => ({ id: serviceId })) },
+      }),
+      ...(categoryIds && {
+        categories: {
+          set: categoryIds.map((categoryId) => ({ id: categoryId })),
+        },
+      }),
+    },
+    include: voucherInclude,
+  });
+};
+
+/**
+ * Lock a voucher row until the transaction ends, so concurrent checkouts
+ * with the same voucher count its usage one after another
+ * @param {String} voucherId - Voucher ID
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<void>}
+ */
+export const lockVoucher = async (voucherId, tx) => {
+  await tx.$queryRaw`SELECT "id" FROM "public"."Voucher" WHERE "id" = ${voucherId} FOR UPDATE`;
+};
+
+/**
+ * Count how many times a voucher has been used
+ * @param {String} voucherId - Voucher ID
+ * @param {String} customerId - Only count usage by this customer (optional)
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Number>} Usage count
+ */
+export const countVoucherUsage = async (
+  voucherId,
+  customerId = null,
+  tx = prisma
+) => {
+  return await tx.payment.count({
+    where: {
+      voucherId,
+      paymentStatus: { in: USAGE_PAYMENT_STATUSES },
+      ...(customerId && { reservation: { customerId } }),
+    },
+  });
+};
@@ -0,0 +1,174 @@
+// src/repository/waitlistRepository.js
+import prisma from "../config/db.js";
+
+const waitlistInclude = {
+  customer: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      phoneNumber: true,
+    },
+  },
+  service: {
+    select: {
+      id: true,
+      name: true,
+      duration: true,
+    },
+  },
+  timeSlot: {
+    include: {
+      operatingSchedule: true,
+    },
+  },
+  offeredSession: {
+    include: {
+      staff: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Create a new waitlist entry
+ * @param {Object} entryData - Waitlist data (customerId, serviceId, timeSlotId, babyId, notes)
+ * @returns {Promise<Object>} Created waitlist entry
+ */
+export const createWaitlistEntry = async (entryData) => {
+  return await prisma.waitlistEntry.create({
+    data: entryData,
+    include: waitlistInclude,
+  });
+};
+
+/**
+ * Get waitlist entry by ID
+ * @param {String} id - Waitlist entry ID
+ * @returns {Promise<Object|null>} Waitlist entry or null if not found
+ */
+export const getWaitlistEntryById = async (id) => {
+  return await prisma.waitlistEntry.findUnique({
+    where: { id },
+    include: waitlistInclude,
+  });
+};
+
+/**
+ * Get waitlist entries with filter options
+ * @param {Object} options - Filter options
+ * @param {String} options.customerId - Filter by customer ID
+ * @param {String} options.timeSlotId - Filter by time slot ID
+ * @param {String | Array<String>} options.status - Filter by status
+ * @param {Date} options.date - Filter by operating schedule date
+ * @returns {Promise<Array>} List of waitlist entries (oldest first)
+ */
+export const getWaitlistEntries = async (options = {}) => {
+  const { customerId, timeSlotId, status, date } = options;
+  const where = {};
+
+  if (customerId) where.customerId = customerId;
+  if (timeSlotId) where.timeSlotId = timeSlotId;
+  if (status) where.status = Array.isArray(status) ? { in: status } : status;
+
+  if (date) {
+    const startOfDay = new Date(date);
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(startOfDay);
+    endOfDay.setDate(endOfDay.getDate() + 1);
+
+    where.timeSlot = {
+      operatingSchedule: {
+        date: {
+          gte: startOfDay,
+          lt: endOfDay,
+        },
+      },
+    };
+  }
+
+  return await prisma.waitlistEntry.findMany({
+    where,
+    include: waitlistInclude,
+    orderBy: {
+      createdAt: "asc",
+    },
+  });
+};
+
+/**
+ * Find an active (WAITING / OFFERED) entry of a customer for a slot & service
+ * @param {Object} params - { customerId, timeSlotId, serviceId }
+ * @returns {Promise<Object|null>} Waitlist entry or null
+ */
+export const findActiveWaitlistEntry = async ({
+  customerId,
+  timeSlotId,
+  serviceId,
+}) => {
+  return await prisma.waitlistEntry.findFirst({
+    where: {
+      customerId,
+      timeSlotId,
+      serviceId,
+      status: { in: ["WAITING", "OFFERED"] },
+    },
+  });
+};
+
+/**
+ * Update waitlist entry by ID
+ * @param {String} id - Waitlist entry ID
+ * @param {Object} updateData - The data to update
+ * @returns {Promise<Object>} Updated waitlist entry
+ */
+export const updateWaitlistEntry = async (id, updateData) => {
+  return await prisma.waitlistEntry.update({
+    where: { id },
+    data: updateData,
+    include: waitlistInclude,
+  });
+};
+
+/**
+ * Get the first customer still waiting for a time slot (FIFO)
+ * @param {String} timeSlotId - Time slot ID
+ * @param {Array} serviceIds - Only entries for these services (optional)
+ * @returns {Promise<Object|null>} Waitlist entry or null
+ */
+export const getNextWaitingEntry = async (timeSlotId, serviceIds) => {
+  return await prisma.waitlistEntry.findFirst({
+    where: {
+      timeSlotId,
+      status: "WAITING",
+      ...(serviceIds && { serviceId: { in: serviceIds } }),
+    },
+    include: waitlistInclude,
+    orderBy: {
+      createdAt: "asc",
+    },
+  });
+};
+
+/**
+ * Get offers whose acceptance window has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} List of waitlist entries
+ */
+export const getExpiredOffers = async (now = new Date()) => {
+  return await prisma.waitlistEntry.findMany({
+    where: {
+      status: "OFFERED",
+      offerExpiresAt: { lt: now },
+    },
+    select: {
+      id: true,
+      customerId: true,
+      offeredSessionId: true,
+    },
+  });
+};
@@ -0,0 +1,25 @@
+// src/routes/addOnRoutes.js
+import express from "express";
+import {
+  getActiveAddOnsHandler,
+  getAllAddOnsHandler,
+  getAddOnHandler,
+  createAddOnHandler,
+  updateAddOnHandler,
+  deactivateAddOnHandler,
+} from "../controller/addOnController.js";
+import { ownerAuth } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Owner routes
+router.get("/owner", ownerAuth, getAllAddOnsHandler);
+router.post("/", ownerAuth, createAddOnHandler);
+router.put("/:id", ownerAuth, updateAddOnHandler);
+router.delete("/:id", ownerAuth, deactivateAddOnHandler);
+
+// Public routes
+router.get("/", getActiveAddOnsHandler);
+router.get("/:id", getAddOnHandler);
+
+export default router;
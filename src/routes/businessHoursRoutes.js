@@ -0,0 +1,17 @@
+// src/routes/businessHoursRoutes.js
+import express from "express";
+import {
+  getBusinessHoursHandler,
+  updateBusinessHoursHandler,
+  resetBusinessDayHandler,
+} from "../controller/businessHoursController.js";
+import { ownerAuth } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Owner routes
+router.get("/", ownerAuth, getBusinessHoursHandler);
+router.put("/", ownerAuth, updateBusinessHoursHandler);
+router.delete("/:dayOfWeek", ownerAuth, resetBusinessDayHandler);
+
+export default router;
@@ -1,6 +1,7 @@
 // customerRoutes.js
 import express from "express";
 import customerController from "../controller/customerController.js";
+import babyController from "../controller/babyController.js";
 import { customerAuth, errorHandler } from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
@@ -23,5 +24,12 @@ router.post(
   customerController.updatePlayerIdHandler
 );
 
+// Profil bayi milik customer
+router.get("/babies", babyController.getMyBabies);
+router.post("/babies", babyController.createBabyProfile);
+router.get("/babies/:id", babyController.getBabyProfile);
+router.put("/babies/:id", babyController.updateBabyProfile);
+router.delete("/babies/:id", babyController.deleteBabyProfile);
+
 router.use(errorHandler);
 export default router;
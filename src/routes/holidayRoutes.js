@@ -0,0 +1,27 @@
+// src/routes/holidayRoutes.js
+import express from "express";
+import {
+  getHolidaysHandler,
+  createHolidayHandler,
+  importHolidaysHandler,
+  updateHolidayHandler,
+  deleteHolidayHandler,
+} from "../controller/holidayController.js";
+import { ownerAuth } from "../middlewares/authMiddleware.js";
+import { calendarUploadMiddleware } from "../middlewares/calendarUploadMiddleware.js";
+
+const router = express.Router();
+
+// Owner routes
+router.get("/", ownerAuth, getHolidaysHandler);
+router.post("/", ownerAuth, createHolidayHandler);
+router.post(
+  "/import",
+  ownerAuth,
+  calendarUploadMiddleware,
+  importHolidaysHandler
+);
+router.put("/:id", ownerAuth, updateHolidayHandler);
+router.delete("/:id", ownerAuth, deleteHolidayHandler);
+
+export default router;
@@ -0,0 +1,38 @@
+// src/routes/packageRoutes.js
+import express from "express";
+import {
+  getActivePackagesHandler,
+  getAllPackagesHandler,
+  getPackageHandler,
+  createPackageHandler,
+  updatePackageHandler,
+  deactivatePackageHandler,
+  purchasePackageHandler,
+  getMyPackagesHandler,
+  getCustomerCreditsHandler,
+  runPackageExpiryController,
+} from "../controller/packageController.js";
+import { customerAuth, ownerAuth } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Cron: kedaluwarsakan paket & pembelian yang tidak dibayar
+router.get("/cron/expire", runPackageExpiryController);
+
+// Customer routes
+router.get("/my", customerAuth, getMyPackagesHandler);
+router.post("/:id/purchase", customerAuth, purchasePackageHandler);
+
+// Owner routes
+router.get("/owner", ownerAuth, getAllPackagesHandler);
+router.get("/owner/credits", ownerAuth, getCustomerCreditsHandler);
+router.get("/owner/credits/:customerId", ownerAuth, getCustomerCreditsHandler);
+router.post("/", ownerAuth, createPackageHandler);
+router.put("/:id", ownerAuth, updatePackageHandler);
+router.delete("/:id", ownerAuth, deactivatePackageHandler);
+
+// Public routes
+router.get("/", getActivePackagesHandler);
+router.get("/:id", getPackageHandler);
+
+export default router;
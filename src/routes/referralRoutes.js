@@ -0,0 +1,17 @@
+// src/routes/referralRoutes.js
+import express from "express";
+import {
+  getMyReferralHandler,
+  getReferralReportHandler,
+} from "../controller/referralController.js";
+import { customerAuth, ownerAuth } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Customer routes
+router.get("/my", customerAuth, getMyReferralHandler);
+
+// Owner routes
+router.get("/report", ownerAuth, getReferralReportHandler);
+
+export default router;
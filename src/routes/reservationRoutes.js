@@ -21,6 +21,13 @@ import {
   confirmManualWithProofHandler,
   rescheduleReservationHandler,
   runPaymentExpiryController,
+  createGroupReservation,
+  getReservationGroupHandler,
+  cancelReservationGroupHandler,
+  getCancellationPreviewHandler,
+  getRescheduleOptionsHandler,
+  getReservationTimelineHandler,
+  cancelReservationByCustomerHandler,
 } from "../controller/reservationController.js";
 import {
   customerAuth,
@@ -48,6 +55,12 @@ router.post(
 router.get("/customer", customerAuth, getFilteredReservations);
 router.get("/payment-methods", customerAuth, getAvailablePaymentMethods);
 router.post("/", customerAuth, createNewReservation);
+router.post("/group", customerAuth, createGroupReservation);
+router.get(
+  "/customer/group/:groupId",
+  customerAuth,
+  getReservationGroupHandler
+);
 router.get("/customer/:id", customerAuth, getReservation);
 router.get("/payment/:reservationId", customerAuth, getPaymentDetails);
 router.post(
@@ -56,11 +69,26 @@ router.post(
   paymentProofUploadMiddleware,
   createManualPayment
 );
+router.get(
+  "/customer/:id/reschedule-options",
+  customerAuth,
+  getRescheduleOptionsHandler
+);
 router.put(
   "/customer/:id/reschedule",
   customerAuth,
   rescheduleReservationHandler
 );
+router.get(
+  "/customer/:id/cancel-preview",
+  customerAuth,
+  getCancellationPreviewHandler
+);
+router.put(
+  "/customer/:id/cancel",
+  customerAuth,
+  cancelReservationByCustomerHandler
+);
 
 // Owner routes
 router.get("/owner", ownerAuth, getFilteredReservations);
@@ -78,6 +106,13 @@ router.post(
 router.get("/owner/upcoming", ownerAuth, getUpcomingReservationsHandler); // New route for owner's upcoming reservations (can be filtered by staffId via query param)
 
 router.get("/owner/:id", ownerAuth, getReservation);
+router.get("/owner/:id/timeline", ownerAuth, getReservationTimelineHandler);
+router.get("/owner/group/:groupId", ownerAuth, getReservationGroupHandler);
+router.put(
+  "/owner/group/:groupId/cancel",
+  ownerAuth,
+  cancelReservationGroupHandler
+);
 router.get(
   "/owner/dashboard/upcoming-by-day",
   ownerAuth,
@@ -0,0 +1,21 @@
+// src/routes/resourceRoutes.js
+import express from "express";
+import {
+  getResourcesHandler,
+  getResourceByIdHandler,
+  createResourceHandler,
+  updateResourceHandler,
+  deleteResourceHandler,
+} from "../controller/resourceController.js";
+import { ownerAuth } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Owner routes: ruangan & peralatan beserta layanan yang membutuhkannya
+router.get("/", ownerAuth, getResourcesHandler);
+router.get("/:id", ownerAuth, getResourceByIdHandler);
+router.post("/", ownerAuth, createResourceHandler);
+router.put("/:id", ownerAuth, updateResourceHandler);
+router.delete("/:id", ownerAuth, deleteResourceHandler);
+
+export default router;
@@ -2,6 +2,7 @@
 import express from "express";
 import {
   generateSchedule,
+  applyScheduleGeneration,
   runScheduledGeneration,
   generateScheduleComponents,
   runH1ReminderController,
@@ -22,6 +23,7 @@ router.get("/cron/send-reminders", runH1ReminderController);
 router.use(ownerAuth);
 
 router.post("/generate", generateSchedule);
+router.post("/generate/apply", applyScheduleGeneration);
 router.post("/generate/components", generateScheduleComponents);
 
 export default router;
@@ -1,7 +1,7 @@
 // src/routes/sessionRoutes.js
 import express from "express";
 import * as sessionController from "../controller/sessionController.js";
-import { ownerAuth } from "../middlewares/authMiddleware.js";
+import { ownerAuth, customerAuth } from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
 
@@ -16,10 +16,15 @@ router.put(
   sessionController.updateSessionBookingStatus,
 );
 
+// Customer routes: hold a session during checkout
+router.post("/:id/hold", customerAuth, sessionController.holdSession);
+router.delete("/:id/hold", customerAuth, sessionController.releaseSessionHold);
+
 // Routes accessible to both owner and customers
 // Customers can view available sessions, staff can view their schedule
 router.get("/", sessionController.getAllSessions);
 router.get("/available", sessionController.getAvailableSessions);
+router.get("/available-time-slots", sessionController.getAvailableTimeSlots);
 router.get("/:id", sessionController.getSessionById);
 router.get("/staff/:staffId", sessionController.getSessionsByStaff);
 
@@ -1,6 +1,17 @@
 // src/routes/staffRoutes.js
 import express from "express";
 import staffController from "../controller/staffController.js";
+import {
+  getStaffLeavesHandler,
+  createStaffLeaveHandler,
+  deleteStaffLeaveHandler,
+  getStaffWorkingHoursHandler,
+  updateStaffWorkingHoursHandler,
+} from "../controller/staffAvailabilityController.js";
+import {
+  getReassignmentProposalsHandler,
+  approveReassignmentsHandler,
+} from "../controller/staffReassignmentController.js";
 import { ownerAuth } from "../middlewares/authMiddleware.js";
 import { uploadStaffProfile } from "../utils/cloudinary.js";
 
@@ -24,7 +35,7 @@ router.post(
  * @route   GET /api/staff
  * @desc    Get all staff members
  * @access  Public (Customer)
- * @query   isActive
+ * @query   isActive, serviceId (only staff qualified for the service)
  */
 router.get("/", staffController.getAllStaffMembers);
 
@@ -68,4 +79,81 @@ router.delete("/:id", ownerAuth, staffController.deleteStaffMember);
  */
 router.patch("/:id/status", ownerAuth, staffController.toggleActiveStatus);
 
+/**
+ * @route   GET /api/staff/:id/services
+ * @desc    Get services the staff member is qualified for (allServices = every service)
+ * @access  Private (Owner)
+ * @param   id
+ */
+router.get("/:id/services", ownerAuth, staffController.getQualifications);
+
+/**
+ * @route   PUT /api/staff/:id/services
+ * @desc    Replace services the staff member is qualified for
+ * @access  Private (Owner)
+ * @param   id
+ * @body    serviceIds (empty array = no services), allServices (true = every service, including new ones)
+ */
+router.put("/:id/services", ownerAuth, staffController.updateQualifications);
+
+/**
+ * @route   GET /api/staff/:id/leaves
+ * @desc    Get leaves of a staff member
+ * @access  Private (Owner)
+ * @param   id
+ * @query   from, to
+ */
+router.get("/:id/leaves", ownerAuth, getStaffLeavesHandler);
+
+/**
+ * @route   POST /api/staff/:id/leaves
+ * @desc    Add a leave (full or partial days); removes free sessions and lists booked ones
+ * @access  Private (Owner)
+ * @param   id
+ * @body    startDate, endDate, startTime, endTime, reason
+ */
+router.post("/:id/leaves", ownerAuth, createStaffLeaveHandler);
+
+/**
+ * @route   DELETE /api/staff/:id/leaves/:leaveId
+ * @desc    Cancel a leave and recreate the staff member's sessions
+ * @access  Private (Owner)
+ * @param   id, leaveId
+ */
+router.delete("/:id/leaves/:leaveId", ownerAuth, deleteStaffLeaveHandler);
+
+/**
+ * @route   GET /api/staff/:id/working-hours
+ * @desc    Get weekly working hours of a staff member
+ * @access  Private (Owner)
+ * @param   id
+ */
+router.get("/:id/working-hours", ownerAuth, getStaffWorkingHoursHandler);
+
+/**
+ * @route   PUT /api/staff/:id/working-hours
+ * @desc    Replace weekly working hours of a staff member
+ * @access  Private (Owner)
+ * @param   id
+ * @body    days: [{ dayOfWeek, isOff, startTime, endTime }]
+ */
+router.put("/:id/working-hours", ownerAuth, updateStaffWorkingHoursHandler);
+
+/**
+ * @route   GET /api/staff/:id/reassignments
+ * @desc    Propose another staff member for each upcoming booking of this staff member
+ * @access  Private (Owner)
+ * @param   id
+ */
+router.get("/:id/reassignments", ownerAuth, getReassignmentProposalsHandler);
+
+/**
+ * @route   POST /api/staff/:id/reassignments
+ * @desc    Approve reassignments (moves reservations and notifies customers)
+ * @access  Private (Owner)
+ * @param   id
+ * @body    assignments: [{ reservationId, sessionId }], reason
+ */
+router.post("/:id/reassignments", ownerAuth, approveReassignmentsHandler);
+
 export default router;
@@ -0,0 +1,25 @@
+// src/routes/voucherRoutes.js
+import express from "express";
+import {
+  getVouchersHandler,
+  getVoucherHandler,
+  createVoucherHandler,
+  updateVoucherHandler,
+  deactivateVoucherHandler,
+  validateVoucherHandler,
+} from "../controller/voucherController.js";
+import { customerAuth, ownerAuth } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Customer routes
+router.post("/validate", customerAuth, validateVoucherHandler);
+
+// Owner routes
+router.get("/", ownerAuth, getVouchersHandler);
+router.get("/:id", ownerAuth, getVoucherHandler);
+router.post("/", ownerAuth, createVoucherHandler);
+router.put("/:id", ownerAuth, updateVoucherHandler);
+router.delete("/:id", ownerAuth, deactivateVoucherHandler);
+
+export default router;
@@ -0,0 +1,27 @@
+// src/routes/waitlistRoutes.js
+import express from "express";
+import {
+  joinWaitlistHandler,
+  getMyWaitlistHandler,
+  cancelWaitlistHandler,
+  declineWaitlistOfferHandler,
+  getWaitlistForOwnerHandler,
+  runWaitlistExpiryController,
+} from "../controller/waitlistController.js";
+import { customerAuth, ownerAuth } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Cron: kedaluwarsakan penawaran dan teruskan ke antrean berikutnya
+router.get("/cron/expire-offers", runWaitlistExpiryController);
+
+// Owner routes
+router.get("/owner", ownerAuth, getWaitlistForOwnerHandler);
+
+// Customer routes
+router.post("/", customerAuth, joinWaitlistHandler);
+router.get("/my", customerAuth, getMyWaitlistHandler);
+router.post("/:id/decline", customerAuth, declineWaitlistOfferHandler);
+router.delete("/:id", customerAuth, cancelWaitlistHandler);
+
+export default router;
@@ -0,0 +1,82 @@
+// src/services/addOnService.js
+import { getAddOnsByIds } from "../repository/addOnRepository.js";
+
+/**
+ * Validasi add-on yang dipilih untuk sebuah layanan
+ * @param {Object} service - Layanan yang dipesan
+ * @param {Array<String>} addOnIds - ID add-on yang dipilih (opsional)
+ * @returns {Promise<Object>} { addOns, addOnsPrice, extraMinutes } atau { error, statusCode }
+ */
+export const resolveAddOns = async (service, addOnIds = []) => {
+  if (!addOnIds || addOnIds.length === 0) {
+    return { addOns: [], addOnsPrice: 0, extraMinutes: 0 };
+  }
+  if (!Array.isArray(addOnIds)) {
+    return { error: "Format add-on tidak valid.", statusCode: 400 };
+  }
+
+  const uniqueIds = [...new Set(addOnIds)];
+  const addOns = await getAddOnsByIds(uniqueIds);
+
+  if (addOns.length !== uniqueIds.length) {
+    return { error: "Add-on tidak ditemukan.", statusCode: 404 };
+  }
+
+  const unavailable = addOns.find(
+    (addOn) =>
+      !addOn.isActive ||
+      !addOn.services.some((linked) => linked.id === service.id)
+  );
+  if (unavailable) {
+    return {
+      error: `Add-on ${unavailable.name} tidak tersedia untuk layanan ${service.name}.`,
+      statusCode: 400,
+    };
+  }
+
+  return {
+    addOns,
+    addOnsPrice: addOns.reduce((sum, addOn) => sum + addOn.price, 0),
+    extraMinutes: addOns.reduce((sum, addOn) => sum + addOn.extraMinutes, 0),
+  };
+};
+
+/**
+ * Data nested create ReservationAddOn (harga & durasi disimpan saat ini)
+ * @param {Array<Object>} addOns - Hasil resolveAddOns
+ * @returns {Object} Field reservasi untuk prisma create
+ */
+export const buildReservationAddOnsData = (addOns) => {
+  if (addOns.length === 0) return {};
+
+  return {
+    addOns: {
+      create: addOns.map((addOn) => ({
+        addOnId: addOn.id,
+        name: addOn.name,
+        price: addOn.price,
+        extraMinutes: addOn.extraMinutes,
+      })),
+    },
+  };
+};
+
+/**
+ * Total harga add-on yang tersimpan pada reservasi
+ * @param {Object} reservation - Reservasi dengan addOns
+ * @returns {number}
+ */
+export const getReservationAddOnsPrice = (reservation) =>
+  (reservation.addOns || []).reduce((sum, addOn) => sum + addOn.price, 0);
+
+/**
+ * Durasi total reservasi: durasi layanan ditambah menit tambahan add-on
+ * @param {Object} reservation - Reservasi dengan service & addOns
+ * @returns {number} Durasi dalam menit
+ */
+export const getReservationDuration = (reservation) =>
+  reservation.service.duration +
+  (reservation.addOns || []).reduce(
+    (sum, addOn) => sum + addOn.extraMinutes,
+    0
+  );
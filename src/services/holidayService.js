@@ -0,0 +1,121 @@
+// src/services/holidayService.js
+import prisma from "../config/db.js";
+import { toHolidayDate } from "../repository/holidayRepository.js";
+import { getActiveReservationsBySchedules } from "../repository/operatingScheduleRepository.js";
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Catatan jadwal operasional untuk hari libur dari kalender
+ * @param {String} name - Holiday name
+ * @returns {String} Schedule notes
+ */
+export const buildHolidayNote = (name) => `Holiday: ${name}`;
+
+/**
+ * Cari jadwal operasional yang jatuh pada tanggal libur (berdasarkan tanggal UTC)
+ * @param {Object} holiday - Holiday record
+ * @returns {Promise<Array>} Operating schedules on that date
+ */
+const findSchedulesOnHoliday = async (holiday) => {
+  const dayStart = toHolidayDate(holiday.date);
+
+  return await prisma.operatingSchedule.findMany({
+    where: {
+      date: {
+        gte: dayStart,
+        lt: new Date(dayStart.getTime() + DAY_IN_MS),
+      },
+    },
+  });
+};
+
+/**
+ * Tandai jadwal operasional yang sudah ada sebagai libur dan kumpulkan
+ * reservasi aktif yang terdampak. Reservasi tidak dibatalkan otomatis,
+ * owner yang memutuskan reschedule atau pembatalan.
+ * @param {Array} holidays - Holiday records
+ * @returns {Promise<Object>} { markedSchedules, affectedReservations }
+ */
+export const applyHolidaysToSchedules = async (holidays) => {
+  const markedSchedules = [];
+  const scheduleIds = [];
+
+  for (const holiday of holidays) {
+    const schedules = await findSchedulesOnHoliday(holiday);
+
+    for (const schedule of schedules) {
+      scheduleIds.push(schedule.id);
+      if (schedule.isHoliday) continue;
+
+      const updatedSchedule = await prisma.operatingSchedule.update({
+        where: { id: schedule.id },
+        data: {
+          isHoliday: true,
+          notes: buildHolidayNote(holiday.name),
+        },
+      });
+      markedSchedules.push(updatedSchedule);
+    }
+  }
+
+  const affectedReservations =
+    await getActiveReservationsBySchedules(scheduleIds);
+
+  return { markedSchedules, affectedReservations };
+};
+
+/**
+ * Kembalikan jadwal yang ditandai libur oleh kalender menjadi hari kerja
+ * (dipakai saat hari libur dihapus). Jadwal yang diubah manual tidak disentuh.
+ * @param {Object} holiday - Deleted holiday record
+ * @returns {Promise<Array>} Operating schedules reopened
+ */
+export const releaseHolidayFromSchedules = async (holiday) => {
+  const schedules = await findSchedulesOnHoliday(holiday);
+  const reopenedSchedules = [];
+
+  for (const schedule of schedules) {
+    if (
+      !schedule.isHoliday ||
+      schedule.notes !== buildHolidayNote(holiday.name)
+    ) {
+      continue;
+    }
+
+    const updatedSchedule = await prisma.operatingSchedule.update({
+      where: { id: schedule.id },
+      data: {
+        isHoliday: false,
+        notes: null,
+      },
+    });
+    reopenedSchedules.push(updatedSchedule);
+  }
+
+  return reopenedSchedules;
+};
+
+/**
+ * Perbarui catatan jadwal saat nama hari libur diubah
+ * @param {Object} holiday - Holiday record before the update
+ * @param {String} newName - New holiday name
+ * @returns {Promise<Object>} Prisma batch result
+ */
+export const renameHolidayOnSchedules = async (holiday, newName) => {
+  const dayStart = toHolidayDate(holiday.date);
+
+  return await prisma.operatingSchedule.updateMany({
+    where: {
+      date: {
+        gte: dayStart,
+        lt: new Date(dayStart.getTime() + DAY_IN_MS),
+      },
+      isHoliday: true,
+      notes: buildHolidayNote(holiday.name),
+    },
+    data: {
+      notes: buildHolidayNote(newName),
+    },
+  });
+};
@@ -0,0 +1,56 @@
+// src/services/noShowPolicyService.js
+import { addMinutes } from "date-fns";
+import {
+  NO_SHOW_POLICY,
+  NO_SHOW_THRESHOLD,
+  NO_SHOW_PREPAYMENT_WINDOW_MINUTES,
+} from "../config/paymentConfig.js";
+
+/**
+ * Ambil aturan no-show yang berlaku (untuk ditampilkan ke customer/owner)
+ * @returns {Object} { policy, threshold, prepaymentWindowMinutes }
+ */
+export const getNoShowPolicy = () => ({
+  policy: NO_SHOW_POLICY,
+  threshold: NO_SHOW_THRESHOLD,
+  prepaymentWindowMinutes: NO_SHOW_PREPAYMENT_WINDOW_MINUTES,
+});
+
+/**
+ * Tentukan pembatasan reservasi online untuk customer berdasarkan jumlah
+ * ketidakhadirannya
+ * @param {Object} customer - Customer (noShowCount)
+ * @returns {Object} { action: NONE|REQUIRE_PREPAYMENT|BLOCK_ONLINE_BOOKING, noShowCount, threshold }
+ */
+export const evaluateNoShowPolicy = (customer) => {
+  const noShowCount = customer?.noShowCount || 0;
+  const isPenalized =
+    NO_SHOW_POLICY !== "NONE" && noShowCount >= NO_SHOW_THRESHOLD;
+
+  return {
+    action: isPenalized ? NO_SHOW_POLICY : "NONE",
+    noShowCount,
+    threshold: NO_SHOW_THRESHOLD,
+  };
+};
+
+/**
+ * Batasi tanggal kedaluwarsa pembayaran jika customer wajib prabayar
+ * @param {Date} expiryDate - Tanggal kedaluwarsa sesuai metode pembayaran
+ * @param {Object} penalty - Hasil evaluateNoShowPolicy
+ * @param {Date} from - Waktu mulai (default: sekarang)
+ * @returns {Date} Tanggal kedaluwarsa yang berlaku
+ */
+export const applyPrepaymentWindow = (
+  expiryDate,
+  penalty,
+  from = new Date()
+) => {
+  if (penalty.action !== "REQUIRE_PREPAYMENT") return expiryDate;
+
+  const prepaymentDeadline = addMinutes(
+    from,
+    NO_SHOW_PREPAYMENT_WINDOW_MINUTES
+  );
+  return prepaymentDeadline < expiryDate ? prepaymentDeadline : expiryDate;
+};
@@ -0,0 +1,157 @@
+// src/services/packageService.js
+import { addDays } from "date-fns";
+import prisma from "../config/db.js";
+import {
+  updateCustomerPackage,
+  getPackagesToExpire,
+  getUnpaidPackagesToCancel,
+} from "../repository/packageRepository.js";
+import {
+  createNotificationForAllOwners,
+  createNotificationForCustomer,
+} from "./notificationService.js";
+
+/**
+ * Terapkan status pembayaran Tripay ke pembelian paket.
+ * Saat lunas, paket menjadi ACTIVE dan masa berlaku dihitung sejak tanggal bayar.
+ * @param {Object} customerPackage - Customer package (include package & customer)
+ * @param {String} tripayStatus - Status dari Tripay (PAID, EXPIRED, FAILED, REFUND)
+ * @param {Object} tripayData - Payload callback / detail transaksi Tripay
+ * @returns {Promise<Object>} The (possibly updated) customer package
+ */
+export const applyPackagePaymentStatus = async (
+  customerPackage,
+  tripayStatus,
+  tripayData
+) => {
+  // Idempotency: hanya pembelian yang masih menunggu pembayaran yang diproses
+  if (customerPackage.paymentStatus !== "PENDING") {
+    return customerPackage;
+  }
+
+  const now = new Date();
+  let updateData;
+
+  switch (tripayStatus.toUpperCase()) {
+    case "PAID":
+      updateData = {
+        paymentStatus: "PAID",
+        paymentDate: now,
+        status: "ACTIVE",
+        activatedAt: now,
+        expiresAt: addDays(now, customerPackage.package.validityDays),
+      };
+      break;
+    case "EXPIRED":
+      updateData = { paymentStatus: "EXPIRED", status: "CANCELLED" };
+      break;
+    case "FAILED":
+      updateData = { paymentStatus: "FAILED", status: "CANCELLED" };
+      break;
+    case "REFUND":
+      updateData = { paymentStatus: "REFUNDED", status: "CANCELLED" };
+      break;
+    default:
+      console.log(`[PACKAGE CALLBACK WARN] Unhandled status: ${tripayStatus}`);
+      return customerPackage;
+  }
+
+  const updatedPackage = await updateCustomerPackage(customerPackage.id, {
+    ...updateData,
+    tripayResponse: tripayData,
+  });
+
+  if (updateData.status === "ACTIVE") {
+    try {
+      const { customer, package: servicePackage } = customerPackage;
+
+      await createNotificationForAllOwners(
+        {
+          title: "Pembelian Paket",
+          message: `Lunas: ${servicePackage.name} - ${customer.name}`,
+          type: "PACKAGE_PURCHASED",
+          referenceId: customerPackage.id,
+        },
+        { sendPush: true }
+      );
+
+      await createNotificationForCustomer(
+        {
+          recipientId: customer.id,
+          title: "Paket Aktif",
+          message: `Paket ${servicePackage.name} aktif dengan ${
+            customerPackage.totalCredits
+          } kredit, berlaku hingga ${updatedPackage.expiresAt.toLocaleDateString(
+            "id-ID",
+            { timeZone: "Asia/Jakarta" }
+          )}.`,
+          type: "PACKAGE_ACTIVE",
+          referenceId: customerPackage.id,
+        },
+        { sendPush: true }
+      );
+    } catch (notifError) {
+      console.error("[NOTIF ERROR]", notifError.message);
+    }
+  }
+
+  return updatedPackage;
+};
+
+/**
+ * Kedaluwarsakan paket aktif yang masa berlakunya habis dan batalkan
+ * pembelian paket yang tidak dibayar sampai batas waktu.
+ * Fungsi ini dipanggil oleh endpoint cron.
+ * @returns {Promise<Object>} { expiredCount, cancelledCount }
+ */
+export const expireCustomerPackages = async () => {
+  const now = new Date();
+
+  const [packagesToExpire, unpaidPackages] = await Promise.all([
+    getPackagesToExpire(now),
+    getUnpaidPackagesToCancel(now),
+  ]);
+
+  if (packagesToExpire.length > 0) {
+    await prisma.customerPackage.updateMany({
+      where: { id: { in: packagesToExpire.map((p) => p.id) } },
+      data: { status: "EXPIRED" },
+    });
+  }
+
+  if (unpaidPackages.length > 0) {
+    await prisma.customerPackage.updateMany({
+      where: { id: { in: unpaidPackages.map((p) => p.id) } },
+      data: { status: "CANCELLED", paymentStatus: "EXPIRED" },
+    });
+  }
+
+  // Beri tahu customer yang kehilangan sisa kredit
+  for (const customerPackage of packagesToExpire) {
+    if (customerPackage.remainingCredits === 0) continue;
+
+    try {
+      await createNotificationForCustomer(
+        {
+          recipientId: customerPackage.customer.id,
+          title: "Paket Kedaluwarsa",
+          message: `Masa berlaku paket ${customerPackage.package.name} telah habis. ${customerPackage.remainingCredits} kredit tidak dapat digunakan lagi.`,
+          type: "PACKAGE_EXPIRED",
+          referenceId: customerPackage.id,
+        },
+        { sendPush: true }
+      );
+    } catch (notifError) {
+      console.error("[NOTIF ERROR]", notifError.message);
+    }
+  }
+
+  console.log(
+    `[PACKAGE EXPIRY] Expired: ${packagesToExpire.length}, Cancelled unpaid: ${unpaidPackages.length}`
+  );
+
+  return {
+    expiredCount: packagesToExpire.length,
+    cancelledCount: unpaidPackages.length,
+  };
+};
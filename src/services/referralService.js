@@ -0,0 +1,156 @@
+// src/services/referralService.js
+import { randomBytes } from "node:crypto";
+import { addDays } from "date-fns";
+import prisma from "../config/db.js";
+import {
+  findCustomerByReferralCode,
+  setCustomerReferralCode,
+  getReferralByReferee,
+  markReferralRewarded,
+} from "../repository/referralRepository.js";
+import { createVoucher } from "../repository/voucherRepository.js";
+import { createNotificationForCustomer } from "./notificationService.js";
+
+// Program referral: saat reservasi pertama customer baru selesai (COMPLETED),
+// customer baru dan pemberi referral masing-masing mendapat voucher pribadi
+// senilai REFERRAL_REWARD_AMOUNT yang berlaku REFERRAL_REWARD_VALID_DAYS hari
+export const REFERRAL_REWARD_AMOUNT = parseFloat(
+  process.env.REFERRAL_REWARD_AMOUNT || "25000"
+);
+export const REFERRAL_REWARD_VALID_DAYS = parseInt(
+  process.env.REFERRAL_REWARD_VALID_DAYS || "90",
+  10
+);
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString("id-ID")}`;
+
+/**
+ * Buat kode referral unik dari nama customer, misalnya "SITI4F9A2C"
+ * @param {String} name - Nama customer
+ * @returns {Promise<String>} Kode referral yang belum dipakai
+ */
+export const generateReferralCode = async (name) => {
+  const prefix =
+    (name || "")
+      .toUpperCase()
+      .replace(/[^A-Z]/g, "")
+      .slice(0, 4) || "EMA";
+
+  for (;;) {
+    const code = prefix + randomBytes(3).toString("hex").toUpperCase();
+    if (!(await findCustomerByReferralCode(code))) return code;
+  }
+};
+
+/**
+ * Ambil kode referral customer, buat baru jika belum punya (customer lama
+ * terdaftar sebelum program referral ada)
+ * @param {Object} customer - Customer (id, name, referralCode)
+ * @returns {Promise<String>} Kode referral
+ */
+export const ensureReferralCode = async (customer) => {
+  if (customer.referralCode) return customer.referralCode;
+
+  const referralCode = await generateReferralCode(customer.name);
+  await setCustomerReferralCode(customer.id, referralCode);
+  return referralCode;
+};
+
+/**
+ * Cek apakah customer masih bisa direferensikan: belum pernah memakai kode
+ * referral dan belum punya reservasi yang selesai (misalnya akun manual yang
+ * diklaim saat registrasi)
+ * @param {String} customerId - Customer ID
+ * @returns {Promise<Boolean>}
+ */
+export const canBeReferred = async (customerId) => {
+  const [referral, completedCount] = await Promise.all([
+    getReferralByReferee(customerId),
+    prisma.reservation.count({
+      where: { customerId, status: "COMPLETED" },
+    }),
+  ]);
+  return !referral && completedCount === 0;
+};
+
+/**
+ * Berikan hadiah referral saat reservasi pertama customer baru selesai.
+ * Dipanggil di dalam transaksi perubahan status ke COMPLETED; referral
+ * hanya diklaim sekali sehingga aman dari transisi yang berjalan bersamaan.
+ * @param {Object} reservation - Reservasi yang selesai (id, customerId)
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<Object|null>} Referral beserta voucher hadiahnya, atau null
+ */
+export const rewardReferral = async (reservation, tx = prisma) => {
+  const referral = await getReferralByReferee(reservation.customerId, tx);
+  if (!referral || referral.status !== "PENDING") return null;
+
+  const now = new Date();
+  const isClaimed = await markReferralRewarded(
+    referral.id,
+    {
+      rewardAmount: REFERRAL_REWARD_AMOUNT,
+      rewardedAt: now,
+      qualifyingReservationId: reservation.id,
+    },
+    tx
+  );
+  if (!isClaimed) return null;
+
+  const rewardVouchers = [];
+  for (const customer of [referral.referrer, referral.referee]) {
+    rewardVouchers.push(
+      await createVoucher(
+        {
+          code: `REF-${randomBytes(4).toString("hex").toUpperCase()}`,
+          name: "Hadiah Referral",
+          description:
+            customer.id === referral.referrer.id
+              ? `Terima kasih telah mengajak ${referral.referee.name}`
+              : `Hadiah bergabung melalui referral ${referral.referrer.name}`,
+          discountType: "FIXED",
+          discountValue: REFERRAL_REWARD_AMOUNT,
+          startDate: now,
+          endDate: addDays(now, REFERRAL_REWARD_VALID_DAYS),
+          usageLimit: 1,
+          perCustomerLimit: 1,
+          customerId: customer.id,
+          referralId: referral.id,
+        },
+        [],
+        [],
+        tx
+      )
+    );
+  }
+
+  return { ...referral, status: "REWARDED", rewardVouchers };
+};
+
+/**
+ * Kirim notifikasi voucher hadiah referral ke kedua pihak
+ * @param {Object} referral - Hasil rewardReferral
+ */
+export const notifyReferralReward = async (referral) => {
+  for (const voucher of referral.rewardVouchers) {
+    const isReferrer = voucher.customerId === referral.referrer.id;
+    const message = isReferrer
+      ? `${referral.referee.name} telah menyelesaikan reservasi pertamanya. Anda mendapat voucher ${formatRupiah(voucher.discountValue)} dengan kode ${voucher.code}.`
+      : `Terima kasih telah bergabung melalui referral ${referral.referrer.name}. Anda mendapat voucher ${formatRupiah(voucher.discountValue)} dengan kode ${voucher.code}.`;
+
+    try {
+      await createNotificationForCustomer(
+        {
+          recipientId: voucher.customerId,
+          title: "Hadiah Referral",
+          message,
+          type: "REFERRAL_REWARDED",
+          referenceId: referral.id,
+        },
+        { sendPush: true }
+      );
+    } catch (error) {
+      console.error("[REFERRAL NOTIFICATION ERROR]:", error);
+    }
+  }
+};
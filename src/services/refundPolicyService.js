@@ -0,0 +1,51 @@
+// src/services/refundPolicyService.js
+import {
+  REFUND_FULL_HOURS,
+  REFUND_PARTIAL_HOURS,
+  REFUND_PARTIAL_PERCENT,
+} from "../config/paymentConfig.js";
+
+/**
+ * Ambil aturan refund yang berlaku (untuk ditampilkan ke customer)
+ * @returns {Object} { fullRefundHours, partialRefundHours, partialRefundPercent }
+ */
+export const getRefundPolicy = () => ({
+  fullRefundHours: REFUND_FULL_HOURS,
+  partialRefundHours: REFUND_PARTIAL_HOURS,
+  partialRefundPercent: REFUND_PARTIAL_PERCENT,
+});
+
+/**
+ * Hitung refund untuk pembatalan berdasarkan sisa waktu sebelum sesi dimulai
+ * @param {Object} params
+ * @param {Number} params.paidAmount - Jumlah yang sudah dibayar (0 jika belum bayar)
+ * @param {Date} params.sessionStartTime - Waktu mulai sesi
+ * @param {Date} params.now - Waktu pembatalan (default: sekarang)
+ * @returns {Object} { refundType, refundPercent, refundAmount, hoursBeforeSession }
+ */
+export const calculateRefund = ({
+  paidAmount,
+  sessionStartTime,
+  now = new Date(),
+}) => {
+  const hoursBeforeSession =
+    (new Date(sessionStartTime).getTime() - now.getTime()) / (1000 * 60 * 60);
+
+  let refundType = "NONE";
+  let refundPercent = 0;
+
+  if (hoursBeforeSession >= REFUND_FULL_HOURS) {
+    refundType = "FULL";
+    refundPercent = 100;
+  } else if (hoursBeforeSession >= REFUND_PARTIAL_HOURS) {
+    refundType = "PARTIAL";
+    refundPercent = REFUND_PARTIAL_PERCENT;
+  }
+
+  return {
+    refundType,
+    refundPercent,
+    refundAmount: Math.round(((paidAmount || 0) * refundPercent) / 100),
+    hoursBeforeSession: Math.max(0, Math.floor(hoursBeforeSession)),
+  };
+};
@@ -0,0 +1,759 @@
+// src/services/reservationLifecycleService.js
+import { randomBytes } from "node:crypto";
+import { addDays } from "date-fns";
+import prisma from "../config/db.js";
+import { getReservationsCoveredByPayment } from "../repository/reservationRepository.js";
+import { releaseExtraSessions } from "../repository/sessionRepository.js";
+import { restorePackageCredit } from "../repository/packageRepository.js";
+import { createReservationEvents } from "../repository/reservationEventRepository.js";
+import { offerFreedSessions } from "./waitlistService.js";
+import { evaluateNoShowPolicy } from "./noShowPolicyService.js";
+import { rewardReferral, notifyReferralReward } from "./referralService.js";
+import {
+  createNotificationForAllOwners,
+  createNotificationForCustomer,
+} from "./notificationService.js";
+
+/**
+ * Siklus hidup reservasi. Semua perubahan status reservasi wajib melalui
+ * modul ini agar transisi tervalidasi dan efek sampingnya (pembebasan sesi,
+ * kredit paket, token rating, penghitung no-show, hadiah referral, audit
+ * trail, waitlist & notifikasi) konsisten.
+ */
+
+// Transisi status yang diizinkan
+export const RESERVATION_TRANSITIONS = {
+  PENDING: ["CONFIRMED", "CANCELLED", "EXPIRED"],
+  // CONFIRMED -> PENDING: bukti pembayaran manual diunggah ulang dan
+  // menunggu verifikasi lagi
+  CONFIRMED: ["IN_PROGRESS", "CANCELLED", "PENDING", "NO_SHOW"],
+  IN_PROGRESS: ["COMPLETED", "CANCELLED", "NO_SHOW"],
+  COMPLETED: [],
+  CANCELLED: [],
+  EXPIRED: [],
+  NO_SHOW: [],
+};
+
+// Status akhir yang membebaskan sesi untuk dipesan orang lain
+const SESSION_FREEING_STATUSES = ["CANCELLED", "EXPIRED"];
+
+const DEFAULT_CANCEL_REASON =
+  "Dibatalkan oleh pihak kami. Silakan hubungi kami untuk informasi lebih lanjut.";
+const EXPIRED_REASON = "Waktu pembayaran telah melewati batas yang ditentukan.";
+
+/**
+ * Cek apakah perubahan status diizinkan
+ * @param {string} currentStatus - Status saat ini
+ * @param {string} newStatus - Status tujuan
+ * @returns {boolean}
+ */
+export const isValidStatusTransition = (currentStatus, newStatus) => {
+  return RESERVATION_TRANSITIONS[currentStatus]?.includes(newStatus) ?? false;
+};
+
+/**
+ * Cek apakah error berasal dari transisi status yang tidak diizinkan
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isInvalidTransitionError = (error) => {
+  return error?.message?.startsWith("Cannot change status") ?? false;
+};
+
+const hasSessionStarted = async (sessionId, tx) => {
+  const session = await tx.session.findUnique({
+    where: { id: sessionId },
+    include: { timeSlot: true },
+  });
+  return !!session && new Date(session.timeSlot.startTime) <= new Date();
+};
+
+const generateRatingToken = () => {
+  const token = randomBytes(20).toString("hex");
+  const expiresAt = addDays(new Date(), 3);
+  return { token, expiresAt };
+};
+
+const generateWhatsAppLink = (phone, name, link) => {
+  if (!phone) return null;
+
+  // Format nomor HP ke 62
+  let formattedPhone = phone.toString().replace(/\D/g, ""); // Hapus karakter non-angka
+  if (formattedPhone.startsWith("0")) {
+    formattedPhone = "62" + formattedPhone.slice(1);
+  } else if (!formattedPhone.startsWith("62")) {
+    // Asumsi jika tidak mulai 0 atau 62, tambahkan 62 (jaga-jaga)
+    formattedPhone = "62" + formattedPhone;
+  }
+
+  // Isi pesan WA (Nama Spa sudah diperbaiki)
+  const message = `Halo Kak ${name}, terima kasih sudah berkunjung ke Ema Mom Kids Baby Spa!%0A%0AMohon kesediaannya untuk memberikan rating pelayanan kami melalui link berikut:%0A${link}%0A%0ATerima kasih!`;
+
+  return `https://wa.me/${formattedPhone}?text=${message}`;
+};
+
+/**
+ * Terapkan perubahan status di dalam transaksi database.
+ * Efek samping database (pembebasan sesi, kredit paket, token rating,
+ * penghitung no-show, hadiah referral, audit trail) dijalankan di sini; efek samping luar (waitlist & notifikasi)
+ * dijalankan oleh runReservationSideEffects setelah transaksi selesai.
+ * @param {Array<Object>} reservations - Reservasi (id, status, sessionId, customerId, groupId, customerPackageId, reservationType)
+ * @param {string} toStatus - Status tujuan
+ * @param {Object} options
+ * @param {Object} options.actor - { actorType, actorId } untuk audit trail
+ * @param {string} options.reason - Alasan perubahan (audit trail)
+ * @param {boolean} options.strict - true: lempar error jika transisi tidak valid, false: lewati
+ * @param {boolean} options.restoreCredit - Kembalikan kredit paket saat dibatalkan (default true)
+ * @param {Object} options.data - Field tambahan yang ikut di-update (misalnya cancelledAt)
+ * @param {Object} options.details - Data tambahan untuk newValue audit trail
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<Array>} Reservasi yang benar-benar berubah (dengan fromStatus)
+ */
+export const applyReservationTransition = async (
+  reservations,
+  toStatus,
+  {
+    actor,
+    reason = null,
+    strict = true,
+    restoreCredit = true,
+    data = {},
+    details = {},
+  } = {},
+  tx = prisma
+) => {
+  const transitioned = [];
+
+  for (const reservation of reservations) {
+    if (reservation.status === toStatus) continue;
+
+    if (!isValidStatusTransition(reservation.status, toStatus)) {
+      if (strict) {
+        throw new Error(
+          `Cannot change status from ${reservation.status} to ${toStatus}`
+        );
+      }
+      console.warn(
+        `[LIFECYCLE] Skipping reservation ${reservation.id}: ${reservation.status} -> ${toStatus} is not allowed`
+      );
+      continue;
+    }
+
+    // NO_SHOW hanya boleh dicatat setelah sesi dimulai
+    if (
+      toStatus === "NO_SHOW" &&
+      !(await hasSessionStarted(reservation.sessionId, tx))
+    ) {
+      if (strict) {
+        throw new Error(
+          `Cannot change status from ${reservation.status} to NO_SHOW before the session starts`
+        );
+      }
+      continue;
+    }
+
+    const updateData = { ...data, status: toStatus };
+    if (toStatus === "COMPLETED" && reservation.reservationType === "MANUAL") {
+      const { token, expiresAt } = generateRatingToken();
+      updateData.ratingToken = token;
+      updateData.ratingTokenExpiresAt = expiresAt;
+    }
+
+    // Update bersyarat: gagal jika status sudah diubah proses lain
+    const result = await tx.reservation.updateMany({
+      where: { id: reservation.id, status: reservation.status },
+      data: updateData,
+    });
+    if (result.count === 0) {
+      if (strict) {
+        throw new Error(
+          `Cannot change status from ${reservation.status} to ${toStatus}: reservation was modified`
+        );
+      }
+      continue;
+    }
+
+    transitioned.push({
+      ...reservation,
+      ...updateData,
+      fromStatus: reservation.status,
+    });
+  }
+
+  if (transitioned.length === 0) return transitioned;
+
+  if (SESSION_FREEING_STATUSES.includes(toStatus)) {
+    await tx.session.updateMany({
+      where: { id: { in: transitioned.map((r) => r.sessionId) } },
+      data: { isBooked: false, heldByCustomerId: null, holdExpiresAt: null },
+    });
+
+    // Sesi lanjutan layanan yang lebih panjang dari satu time slot
+    for (const reservation of transitioned) {
+      reservation.extraSessionIds = await releaseExtraSessions(
+        [reservation.id],
+        tx
+      );
+    }
+  }
+
+  if (toStatus === "CANCELLED" && restoreCredit) {
+    for (const reservation of transitioned) {
+      if (reservation.customerPackageId) {
+        await restorePackageCredit(reservation.customerPackageId, tx);
+      }
+    }
+  }
+
+  if (toStatus === "NO_SHOW") {
+    for (const reservation of transitioned) {
+      await tx.customer.update({
+        where: { id: reservation.customerId },
+        data: { noShowCount: { increment: 1 } },
+      });
+    }
+  }
+
+  if (toStatus === "COMPLETED") {
+    for (const reservation of transitioned) {
+      reservation.rewardedReferral = await rewardReferral(reservation, tx);
+    }
+  }
+
+  await createReservationEvents(
+    transitioned.map((r) => ({
+      reservationId: r.id,
+      type: "STATUS_CHANGED",
+      actorType: actor.actorType,
+      actorId: actor.actorId || null,
+      oldValue: { status: r.fromStatus },
+      newValue: { status: toStatus, ...details },
+      reason: reason || null,
+    })),
+    tx
+  );
+
+  return transitioned;
+};
+
+/**
+ * Ubah status seluruh reservasi yang ditanggung satu pembayaran (termasuk
+ * anggota booking grup). Transisi yang tidak valid dilewati.
+ * @param {Object} reservation - Reservasi pemilik pembayaran
+ * @param {string} toStatus - Status tujuan
+ * @param {Object} options - Lihat applyReservationTransition
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<Array>} Reservasi yang berubah
+ */
+export const transitionCoveredReservations = async (
+  reservation,
+  toStatus,
+  options,
+  tx = prisma
+) => {
+  const reservations = await getReservationsCoveredByPayment(reservation, tx);
+  return await applyReservationTransition(
+    reservations,
+    toStatus,
+    { ...options, strict: false },
+    tx
+  );
+};
+
+/**
+ * Jalankan efek samping di luar database setelah transaksi berhasil:
+ * tawarkan sesi yang kosong ke waitlist dan kirim notifikasi.
+ * Notifikasi dikirim sekali per booking grup.
+ * @param {Array<Object>} transitioned - Hasil applyReservationTransition
+ * @param {string} toStatus - Status tujuan
+ * @param {Object} options
+ * @param {boolean} options.notify - Kirim notifikasi (default true)
+ * @param {string} options.emailReason - Alasan pada email pembatalan
+ */
+export const runReservationSideEffects = async (
+  transitioned,
+  toStatus,
+  { notify = true, emailReason } = {}
+) => {
+  if (transitioned.length === 0) return;
+
+  if (SESSION_FREEING_STATUSES.includes(toStatus)) {
+    await offerFreedSessions(
+      transitioned.flatMap((r) => [r.sessionId, ...(r.extraSessionIds || [])])
+    );
+  }
+
+  // Hadiah referral selalu diberitahukan, terlepas dari notifikasi status
+  for (const reservation of transitioned) {
+    if (reservation.rewardedReferral) {
+      await notifyReferralReward(reservation.rewardedReferral);
+    }
+  }
+
+  if (!notify) return;
+
+  const bundles = new Map();
+  for (const reservation of transitioned) {
+    const key = reservation.groupId || reservation.id;
+    bundles.set(key, [...(bundles.get(key) || []), reservation.id]);
+  }
+
+  for (const reservationIds of bundles.values()) {
+    try {
+      await notifyStatusChange(reservationIds, toStatus, emailReason);
+    } catch (error) {
+      console.error("[LIFECYCLE NOTIFICATION ERROR]:", error);
+    }
+  }
+};
+
+/**
+ * Ubah status satu reservasi beserta seluruh efek sampingnya
+ * @param {string} reservationId - Reservation ID
+ * @param {string} toStatus - Status tujuan
+ * @param {Object} options - { actor, reason, notify, emailReason, data, details, restoreCredit }
+ * @returns {Promise<Object|null>} Reservasi yang berubah, atau null jika status sudah sama
+ */
+export const transitionReservation = async (
+  reservationId,
+  toStatus,
+  { notify = true, emailReason, ...options } = {}
+) => {
+  const transitioned = await prisma.$transaction(async (tx) => {
+    const reservation = await tx.reservation.findUnique({
+      where: { id: reservationId },
+    });
+    if (!reservation) {
+      throw new Error("Reservasi tidak ditemukan.");
+    }
+
+    return await applyReservationTransition(
+      [reservation],
+      toStatus,
+      options,
+      tx
+    );
+  });
+
+  await runReservationSideEffects(transitioned, toStatus, {
+    notify,
+    emailReason,
+  });
+
+  return transitioned[0] || null;
+};
+
+/**
+ * Ubah status banyak reservasi sekaligus. Reservasi dengan transisi yang
+ * tidak valid dilewati.
+ * @param {Array<string>} reservationIds - Reservation IDs
+ * @param {string} toStatus - Status tujuan
+ * @param {Object} options - { actor, reason, notify, emailReason }
+ * @returns {Promise<Array>} Reservasi yang berubah
+ */
+export const transitionReservations = async (
+  reservationIds,
+  toStatus,
+  { notify = true, emailReason, ...options } = {}
+) => {
+  const transitioned = await prisma.$transaction(async (tx) => {
+    const reservations = await tx.reservation.findMany({
+      where: { id: { in: reservationIds } },
+    });
+
+    return await applyReservationTransition(
+      reservations,
+      toStatus,
+      { ...options, strict: false },
+      tx
+    );
+  });
+
+  await runReservationSideEffects(transitioned, toStatus, {
+    notify,
+    emailReason,
+  });
+
+  return transitioned;
+};
+
+/**
+ * Batalkan semua reservasi aktif dalam satu grup dan bebaskan sesinya.
+ * Pembayaran grup yang masih PENDING ditandai FAILED agar tidak diproses
+ * lagi oleh job kedaluwarsa.
+ * @param {string} groupId - The reservation group ID
+ * @param {Object} options - { actor, reason, notify, emailReason }
+ * @returns {Promise<Array>} Reservasi yang dibatalkan
+ */
+export const cancelReservationGroup = async (
+  groupId,
+  { notify = true, emailReason, ...options } = {}
+) => {
+  const transitioned = await prisma.$transaction(async (tx) => {
+    const reservations = await tx.reservation.findMany({
+      where: {
+        groupId,
+        status: { in: ["PENDING", "CONFIRMED"] },
+      },
+    });
+
+    if (reservations.length === 0) {
+      throw new Error("Tidak ada reservasi aktif di grup ini.");
+    }
+
+    const cancelled = await applyReservationTransition(
+      reservations,
+      "CANCELLED",
+      options,
+      tx
+    );
+
+    await tx.payment.updateMany({
+      where: {
+        reservation: { groupId },
+        paymentStatus: "PENDING",
+      },
+      data: { paymentStatus: "FAILED" },
+    });
+
+    return cancelled;
+  });
+
+  await runReservationSideEffects(transitioned, "CANCELLED", {
+    notify,
+    emailReason,
+  });
+
+  return transitioned;
+};
+
+/**
+ * Batalkan reservasi yang belum dibayar beserta seluruh sesi dan ruangannya.
+ * Pembayaran yang masih PENDING ditandai FAILED agar kuota voucher kembali
+ * dan tidak diproses lagi oleh job kedaluwarsa.
+ * @param {string} reservationId - Reservation ID
+ * @param {Object} options - { actor, reason, notify, emailReason }
+ * @returns {Promise<Object|null>} Reservasi yang dibatalkan, atau null jika status sudah tidak bisa dibatalkan
+ */
+export const cancelUnpaidReservation = async (
+  reservationId,
+  { notify = true, emailReason, ...options } = {}
+) => {
+  const transitioned = await prisma.$transaction(async (tx) => {
+    const reservation = await tx.reservation.findUnique({
+      where: { id: reservationId },
+    });
+    if (!reservation) {
+      throw new Error("Reservasi tidak ditemukan.");
+    }
+
+    const cancelled = await applyReservationTransition(
+      [reservation],
+      "CANCELLED",
+      { ...options, strict: false },
+      tx
+    );
+
+    if (cancelled.length > 0) {
+      await tx.payment.updateMany({
+        where: { reservationId, paymentStatus: "PENDING" },
+        data: { paymentStatus: "FAILED" },
+      });
+    }
+
+    return cancelled;
+  });
+
+  await runReservationSideEffects(transitioned, "CANCELLED", {
+    notify,
+    emailReason,
+  });
+
+  return transitioned[0] || null;
+};
+
+/**
+ * Batalkan satu reservasi atas permintaan customer dan catat refund pada
+ * pembayarannya.
+ * Untuk grup, refund dijumlahkan pada pembayaran grup; status menjadi
+ * REFUNDED hanya jika seluruh pembayaran sudah dikembalikan.
+ * Reservasi dari kredit paket: kredit dikembalikan hanya untuk refund penuh.
+ * Notifikasi dikirim oleh pemanggil (berisi rincian refund).
+ * @param {Object} reservation - The reservation
+ * @param {Object|null} payment - The payment covering the reservation
+ * @param {Object} refund - Result of calculateRefund
+ * @param {string|null} reason - Cancellation reason from the customer
+ * @returns {Promise<Object>} { reservation, payment }
+ */
+export const cancelReservationWithRefund = async (
+  reservation,
+  payment,
+  refund,
+  reason
+) => {
+  const { transitioned, updatedPayment } = await prisma.$transaction(
+    async (tx) => {
+      const now = new Date();
+      let updatedPayment = payment;
+
+      if (payment?.paymentStatus === "PENDING") {
+        updatedPayment = await tx.payment.update({
+          where: { id: payment.id },
+          data: { paymentStatus: "FAILED" },
+        });
+      } else if (payment?.paymentMethod === "PACKAGE_CREDIT") {
+        if (refund.refundType === "FULL" && reservation.customerPackageId) {
+          await restorePackageCredit(reservation.customerPackageId, tx);
+          updatedPayment = await tx.payment.update({
+            where: { id: payment.id },
+            data: {
+              paymentStatus: "REFUNDED",
+              refundAmount: 0,
+              refundedAt: now,
+            },
+          });
+        }
+      } else if (payment && refund.refundAmount > 0) {
+        const totalRefunded = (payment.refundAmount || 0) + refund.refundAmount;
+        updatedPayment = await tx.payment.update({
+          where: { id: payment.id },
+          data: {
+            paymentStatus:
+              totalRefunded >= payment.amount
+                ? "REFUNDED"
+                : "PARTIALLY_REFUNDED",
+            refundAmount: totalRefunded,
+            refundedAt: now,
+          },
+        });
+      }
+
+      const transitioned = await applyReservationTransition(
+        [reservation],
+        "CANCELLED",
+        {
+          actor: { actorType: "CUSTOMER", actorId: reservation.customerId },
+          reason,
+          restoreCredit: false,
+          data: { cancelledAt: now, cancellationReason: reason || null },
+          details: {
+            paymentStatus: updatedPayment?.paymentStatus || null,
+            refundType: refund.refundType,
+            refundAmount: refund.refundAmount,
+          },
+        },
+        tx
+      );
+
+      return { transitioned, updatedPayment };
+    }
+  );
+
+  await runReservationSideEffects(transitioned, "CANCELLED", {
+    notify: false,
+  });
+
+  const updatedReservation = await prisma.reservation.findUnique({
+    where: { id: reservation.id },
+    include: {
+      customer: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          phoneNumber: true,
+        },
+      },
+      service: true,
+      session: {
+        include: {
+          timeSlot: true,
+        },
+      },
+    },
+  });
+
+  return { reservation: updatedReservation, payment: updatedPayment };
+};
+
+/**
+ * Kirim notifikasi perubahan status untuk satu reservasi / satu booking grup
+ * @param {Array<string>} reservationIds - ID reservasi dalam satu bundle
+ * @param {string} status - Status baru
+ * @param {string} emailReason - Alasan pembatalan (opsional)
+ */
+const notifyStatusChange = async (reservationIds, status, emailReason) => {
+  const reservations = await prisma.reservation.findMany({
+    where: { id: { in: reservationIds } },
+    include: {
+      customer: true,
+      service: true,
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (reservations.length === 0) return;
+
+  const [reservation] = reservations;
+  const { customer } = reservation;
+  const isManualCustomer = customer.email.startsWith("manual_");
+  const serviceName = [
+    ...new Set(reservations.map((r) => r.service.name)),
+  ].join(", ");
+  const shortId = (reservation.groupId || reservation.id)
+    .substring(0, 8)
+    .toUpperCase();
+
+  switch (status) {
+    case "CONFIRMED":
+      await createNotificationForAllOwners(
+        {
+          title: "Pembayaran Masuk",
+          message: `Lunas: ${serviceName} - ${customer.name}`,
+          type: "PAYMENT_SUCCESS",
+          referenceId: reservation.id,
+        },
+        { sendPush: true }
+      );
+
+      await createNotificationForCustomer(
+        {
+          recipientId: customer.id,
+          title: "Pembayaran Berhasil",
+          message: `Reservasi ${serviceName} dikonfirmasi.`,
+          type: "PAYMENT_SUCCESS",
+          referenceId: reservation.id,
+        },
+        { sendPush: true }
+      );
+      break;
+
+    case "CANCELLED":
+      // Email pembatalan HANYA untuk customer non-manual (email dummy)
+      if (isManualCustomer) break;
+      await createNotificationForCustomer(
+        {
+          recipientId: customer.id,
+          title: "Reservasi Anda Dibatalkan",
+          message:
+            reservations.length > 1
+              ? `Reservasi grup Anda untuk ${serviceName} telah dibatalkan.`
+              : `Reservasi Anda untuk ${serviceName} telah dibatalkan.`,
+          type: "RESERVATION_CANCELLED",
+          referenceId: reservation.id,
+        },
+        {
+          emailOptions: {
+            templateName: "reservationCancelled",
+            templateData: {
+              customerName: customer.name,
+              serviceName,
+              reservationId: shortId,
+              reason: emailReason || DEFAULT_CANCEL_REASON,
+            },
+          },
+        }
+      );
+      break;
+
+    case "EXPIRED":
+      if (isManualCustomer) break;
+      await createNotificationForCustomer(
+        {
+          recipientId: customer.id,
+          title: "Reservasi Dibatalkan",
+          message: `Waktu pembayaran untuk layanan ${serviceName} telah habis.`,
+          type: "RESERVATION_CANCELLED_AUTO",
+          referenceId: reservation.id,
+        },
+        {
+          emailOptions: {
+            templateName: "reservationCancelled",
+            templateData: {
+              customerName: customer.name,
+              serviceName,
+              reservationId: shortId,
+              reason: emailReason || EXPIRED_REASON,
+            },
+          },
+        }
+      );
+      break;
+
+    case "COMPLETED":
+      if (reservation.reservationType === "MANUAL") {
+        // Pelanggan manual tidak punya akun: owner mengirim link rating via WA
+        const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+        const ratingUrl = `${frontendUrl}/rating/${reservation.ratingToken}`;
+
+        await createNotificationForAllOwners(
+          {
+            title: "Action Needed: Kirim Rating Manual",
+            message: `Pelanggan manual ${customer.name} telah selesai. Cek email Anda untuk link rating.`,
+            type: "RESERVATION_COMPLETED_MANUAL",
+            referenceId: reservation.id,
+          },
+          {
+            sendPush: true,
+            emailOptions: {
+              templateName: "ownerManualRating",
+              templateData: {
+                serviceName,
+                customerName: customer.name,
+                customerPhone: customer.phoneNumber,
+                whatsappLink: generateWhatsAppLink(
+                  customer.phoneNumber,
+                  customer.name,
+                  ratingUrl
+                ),
+              },
+            },
+          }
+        );
+      } else {
+        await createNotificationForCustomer(
+          {
+            recipientId: customer.id,
+            title: "Layanan Telah Selesai",
+            message: `Terima kasih! Layanan ${serviceName} Anda telah selesai.`,
+            type: "RESERVATION_COMPLETED",
+            referenceId: reservation.id,
+          },
+          {
+            emailOptions: {
+              templateName: "reservationCompleted",
+              templateData: {
+                customerName: customer.name,
+                serviceName,
+              },
+            },
+          }
+        );
+      }
+      break;
+
+    case "NO_SHOW": {
+      if (isManualCustomer) break;
+      const penalty = evaluateNoShowPolicy(customer);
+      const penaltyText = {
+        REQUIRE_PREPAYMENT:
+          " Reservasi online berikutnya wajib dibayar segera setelah pemesanan.",
+        BLOCK_ONLINE_BOOKING:
+          " Reservasi online Anda dinonaktifkan. Silakan hubungi kami untuk melakukan reservasi.",
+      };
+      await createNotificationForCustomer(
+        {
+          recipientId: customer.id,
+          title: "Ketidakhadiran Tercatat",
+          message: `Anda tercatat tidak hadir pada reservasi ${serviceName}.${penaltyText[penalty.action] || ""}`,
+          type: "RESERVATION_NO_SHOW",
+          referenceId: reservation.id,
+        },
+        { sendPush: true }
+      );
+      break;
+    }
+
+    default:
+      break;
+  }
+};
@@ -0,0 +1,274 @@
+// src/services/staffAssignmentService.js
+import prisma from "../config/db.js";
+import { findConsecutiveSessions } from "../repository/sessionRepository.js";
+import { findAvailableResource } from "../repository/resourceRepository.js";
+import { qualifiedForServiceWhere } from "../repository/staffRepository.js";
+
+export const STAFF_ASSIGNMENT_STRATEGIES = [
+  "LEAST_BUSY",
+  "ROUND_ROBIN",
+  "TOP_RATED",
+  "PREFERRED_STAFF",
+];
+
+// Strategi default saat customer hanya memilih time slot:
+// LEAST_BUSY (reservasi paling sedikit pada hari itu), ROUND_ROBIN,
+// TOP_RATED (rating rata-rata tertinggi) atau PREFERRED_STAFF
+export const STAFF_ASSIGNMENT_STRATEGY = (
+  process.env.STAFF_ASSIGNMENT_STRATEGY || "LEAST_BUSY"
+).toUpperCase();
+
+// Reservasi yang masih memakai waktu staf
+const ACTIVE_RESERVATION_STATUSES = [
+  "PENDING",
+  "CONFIRMED",
+  "IN_PROGRESS",
+  "COMPLETED",
+];
+
+/**
+ * Sesi kosong pada time slot yang bisa dipakai customer: staf aktif,
+ * berkualifikasi untuk layanan, tersedia untuk seluruh durasi layanan, dan
+ * ada ruangan/peralatan cocok yang masih kosong
+ * @param {Object} params - { timeSlotId, service, duration, customerId }
+ * @returns {Promise<Array>} Candidates: { session, extraSessions }
+ */
+const findAssignableSessions = async ({
+  timeSlotId,
+  service,
+  duration,
+  customerId,
+}) => {
+  const now = new Date();
+  const sessions = await prisma.session.findMany({
+    where: {
+      timeSlotId,
+      isBooked: false,
+      staff: {
+        isActive: true,
+        ...qualifiedForServiceWhere(service.id),
+      },
+      OR: [
+        { heldByCustomerId: null },
+        { heldByCustomerId: customerId },
+        { holdExpiresAt: { lte: now } },
+      ],
+    },
+    include: {
+      timeSlot: true,
+      staff: { select: { id: true, name: true } },
+    },
+    orderBy: {
+      staff: { name: "asc" },
+    },
+  });
+
+  if (sessions.length === 0) return [];
+
+  // Resource dipakai bersama semua staf pada time slot yang sama
+  const availableResource = await findAvailableResource(
+    service.id,
+    sessions[0].timeSlot.startTime,
+    duration
+  );
+  if (!availableResource) return [];
+
+  const candidates = [];
+  for (const session of sessions) {
+    const extraSessions = await findConsecutiveSessions(session, duration, {
+      customerId,
+      service,
+    });
+    if (extraSessions) {
+      candidates.push({ session, extraSessions });
+    }
+  }
+
+  return candidates;
+};
+
+/**
+ * Urutkan kandidat berdasarkan skor (kecil = lebih diutamakan).
+ * Skor yang sama mempertahankan urutan awal (nama staf).
+ */
+const sortByScore = (candidates, scoreByStaff) =>
+  [...candidates].sort(
+    (a, b) => scoreByStaff(a.session.staffId) - scoreByStaff(b.session.staffId)
+  );
+
+/**
+ * LEAST_BUSY: staf dengan reservasi paling sedikit pada hari yang sama
+ */
+const rankLeastBusy = async (candidates) => {
+  const staffIds = candidates.map((candidate) => candidate.session.staffId);
+  const counts = await prisma.reservation.groupBy({
+    by: ["staffId"],
+    where: {
+      staffId: { in: staffIds },
+      status: { in: ACTIVE_RESERVATION_STATUSES },
+      session: {
+        timeSlot: {
+          operatingScheduleId:
+            candidates[0].session.timeSlot.operatingScheduleId,
+        },
+      },
+    },
+    _count: { _all: true },
+  });
+
+  const countByStaff = new Map(
+    counts.map((item) => [item.staffId, item._count._all])
+  );
+  return sortByScore(candidates, (staffId) => countByStaff.get(staffId) || 0);
+};
+
+/**
+ * ROUND_ROBIN: staf yang paling lama tidak mendapat reservasi
+ * (staf yang belum pernah mendapat reservasi diutamakan)
+ */
+const rankRoundRobin = async (candidates) => {
+  const staffIds = candidates.map((candidate) => candidate.session.staffId);
+  const lastAssignments = await prisma.reservation.groupBy({
+    by: ["staffId"],
+    where: {
+      staffId: { in: staffIds },
+    },
+    _max: { createdAt: true },
+  });
+
+  const lastAssignedByStaff = new Map(
+    lastAssignments.map((item) => [
+      item.staffId,
+      new Date(item._max.createdAt).getTime(),
+    ])
+  );
+  return sortByScore(
+    candidates,
+    (staffId) => lastAssignedByStaff.get(staffId) || 0
+  );
+};
+
+/**
+ * TOP_RATED: staf dengan rating rata-rata tertinggi dari reservasi yang
+ * pernah ditanganinya (staf tanpa rating diurutkan terakhir)
+ */
+const rankTopRated = async (candidates) => {
+  const staffIds = candidates.map((candidate) => candidate.session.staffId);
+  const ratings = await prisma.rating.findMany({
+    where: {
+      reservation: { staffId: { in: staffIds } },
+    },
+    select: {
+      rating: true,
+      reservation: { select: { staffId: true } },
+    },
+  });
+
+  const totals = new Map();
+  for (const { rating, reservation } of ratings) {
+    const total = totals.get(reservation.staffId) || { sum: 0, count: 0 };
+    total.sum += rating;
+    total.count += 1;
+    totals.set(reservation.staffId, total);
+  }
+
+  return sortByScore(candidates, (staffId) => {
+    const total = totals.get(staffId);
+    return total ? -(total.sum / total.count) : 0;
+  });
+};
+
+/**
+ * Staf pilihan customer: preferredStaffId jika dikirim, selain itu staf
+ * yang menangani reservasi terakhir customer yang sudah selesai
+ * @param {String} customerId - Customer ID
+ * @param {String} preferredStaffId - Explicitly requested staff
+ * @returns {Promise<String|null>} Staff ID
+ */
+const resolvePreferredStaffId = async (customerId, preferredStaffId) => {
+  if (preferredStaffId) return preferredStaffId;
+
+  const lastReservation = await prisma.reservation.findFirst({
+    where: {
+      customerId,
+      status: "COMPLETED",
+    },
+    select: { staffId: true },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return lastReservation?.staffId || null;
+};
+
+/**
+ * Pilih sesi (dan staf) untuk customer yang hanya memilih time slot
+ * @param {Object} params
+ * @param {String} params.timeSlotId - Chosen time slot
+ * @param {Object} params.service - Service being booked (with its buffers)
+ * @param {Number} params.duration - Service duration incl. add-ons (minutes)
+ * @param {String} params.customerId - Customer booking (their own hold counts as free)
+ * @param {String} params.strategy - One of STAFF_ASSIGNMENT_STRATEGIES (default from env)
+ * @param {String} params.preferredStaffId - Staff for PREFERRED_STAFF
+ * @returns {Promise<Object>} { session, extraSessions, strategy } or { error, statusCode }
+ */
+export const pickSessionForTimeSlot = async ({
+  timeSlotId,
+  service,
+  duration,
+  customerId,
+  strategy,
+  preferredStaffId,
+}) => {
+  const selectedStrategy = String(
+    strategy || STAFF_ASSIGNMENT_STRATEGY
+  ).toUpperCase();
+  if (!STAFF_ASSIGNMENT_STRATEGIES.includes(selectedStrategy)) {
+    return {
+      error: `Strategi pemilihan terapis tidak valid. Pilihan: ${STAFF_ASSIGNMENT_STRATEGIES.join(", ")}.`,
+      statusCode: 400,
+    };
+  }
+
+  const candidates = await findAssignableSessions({
+    timeSlotId,
+    service,
+    duration,
+    customerId,
+  });
+  if (candidates.length === 0) {
+    return {
+      error:
+        "Tidak ada terapis atau ruangan yang tersedia pada jadwal ini. Silakan pilih jadwal lain.",
+      statusCode: 409,
+    };
+  }
+
+  if (selectedStrategy === "PREFERRED_STAFF") {
+    const staffId = await resolvePreferredStaffId(customerId, preferredStaffId);
+    const preferred = candidates.find(
+      (candidate) => candidate.session.staffId === staffId
+    );
+    if (preferred) {
+      return { ...preferred, strategy: selectedStrategy };
+    }
+    if (preferredStaffId) {
+      return {
+        error:
+          "Terapis pilihan Anda tidak tersedia pada jadwal ini. Silakan pilih jadwal lain.",
+        statusCode: 409,
+      };
+    }
+  }
+
+  let ranked;
+  if (selectedStrategy === "ROUND_ROBIN") {
+    ranked = await rankRoundRobin(candidates);
+  } else if (selectedStrategy === "TOP_RATED") {
+    ranked = await rankTopRated(candidates);
+  } else {
+    // LEAST_BUSY, juga cadangan PREFERRED_STAFF tanpa staf langganan
+    ranked = await rankLeastBusy(candidates);
+  }
+
+  return { ...ranked[0], strategy: selectedStrategy };
+};
@@ -0,0 +1,241 @@
+// src/services/staffAvailabilityService.js
+import prisma from "../config/db.js";
+import {
+  getLeavesInRange,
+  getWorkingHoursForStaff,
+} from "../repository/staffAvailabilityRepository.js";
+import { timeToMinutes } from "../utils/timeUtils.js";
+
+/**
+ * Hari (0-6) dan menit sejak tengah malam dalam waktu lokal
+ * @param {Date} date - UTC date
+ * @param {Number} timeZoneOffset - Timezone offset in hours
+ * @returns {{ dayOfWeek: Number, minutes: Number }}
+ */
+const toLocalDayMinutes = (date, timeZoneOffset) => {
+  const localDate = new Date(
+    new Date(date).getTime() + timeZoneOffset * 60 * 60 * 1000
+  );
+
+  return {
+    dayOfWeek: localDate.getUTCDay(),
+    minutes: localDate.getUTCHours() * 60 + localDate.getUTCMinutes(),
+  };
+};
+
+/**
+ * Siapkan pengecekan alasan staf tidak tersedia untuk sekumpulan time slot
+ * (cuti dan jam kerja mingguan dimuat sekali).
+ * @param {Array} staffIds - Staff IDs
+ * @param {Array} timeSlots - Time slots that will be checked
+ * @param {Number} timeZoneOffset - Timezone offset in hours
+ * @returns {Promise<Function>} (staffId, timeSlot) => null if available, otherwise
+ *   { reason: "STAFF_LEAVE" | "STAFF_DAY_OFF" | "OUTSIDE_WORKING_HOURS", ... }
+ */
+export const buildStaffUnavailabilityResolver = async (
+  staffIds,
+  timeSlots,
+  timeZoneOffset = parseInt(process.env.TIMEZONE_OFFSET || "7")
+) => {
+  if (timeSlots.length === 0) return () => null;
+
+  const rangeStart = new Date(
+    Math.min(...timeSlots.map((slot) => new Date(slot.startTime).getTime()))
+  );
+  const rangeEnd = new Date(
+    Math.max(...timeSlots.map((slot) => new Date(slot.endTime).getTime()))
+  );
+
+  const [leaves, workingHours] = await Promise.all([
+    getLeavesInRange(staffIds, rangeStart, rangeEnd),
+    getWorkingHoursForStaff(staffIds),
+  ]);
+
+  const workingHoursByStaffDay = new Map(
+    workingHours.map((day) => [`${day.staffId}:${day.dayOfWeek}`, day])
+  );
+
+  return (staffId, timeSlot) => {
+    const slotStart = new Date(timeSlot.startTime);
+    const slotEnd = new Date(timeSlot.endTime);
+
+    const leave = leaves.find(
+      (item) =>
+        item.staffId === staffId &&
+        item.startTime < slotEnd &&
+        item.endTime > slotStart
+    );
+    if (leave) {
+      return {
+        reason: "STAFF_LEAVE",
+        leave: { id: leave.id, reason: leave.reason },
+      };
+    }
+
+    const localStart = toLocalDayMinutes(slotStart, timeZoneOffset);
+    const workingDay = workingHoursByStaffDay.get(
+      `${staffId}:${localStart.dayOfWeek}`
+    );
+    // Tanpa jam kerja khusus, staf mengikuti jam operasional
+    if (!workingDay) return null;
+    if (workingDay.isOff) return { reason: "STAFF_DAY_OFF" };
+
+    const slotEndMinutes =
+      localStart.minutes + (slotEnd - slotStart) / (60 * 1000);
+    const isWithinWorkingHours =
+      localStart.minutes >= timeToMinutes(workingDay.startTime) &&
+      slotEndMinutes <= timeToMinutes(workingDay.endTime);
+
+    return isWithinWorkingHours
+      ? null
+      : {
+          reason: "OUTSIDE_WORKING_HOURS",
+          workingHours: `${workingDay.startTime}-${workingDay.endTime}`,
+        };
+  };
+};
+
+/**
+ * Siapkan pengecekan ketersediaan staf untuk sekumpulan time slot
+ * @param {Array} staffIds - Staff IDs
+ * @param {Array} timeSlots - Time slots that will be checked
+ * @param {Number} timeZoneOffset - Timezone offset in hours
+ * @returns {Promise<Function>} (staffId, timeSlot) => Boolean
+ */
+export const buildStaffAvailabilityChecker = async (
+  staffIds,
+  timeSlots,
+  timeZoneOffset = parseInt(process.env.TIMEZONE_OFFSET || "7")
+) => {
+  const getUnavailability = await buildStaffUnavailabilityResolver(
+    staffIds,
+    timeSlots,
+    timeZoneOffset
+  );
+
+  return (staffId, timeSlot) => !getUnavailability(staffId, timeSlot);
+};
+
+/**
+ * Ubah tanggal + jam lokal menjadi waktu UTC
+ * @param {String} date - Local date (YYYY-MM-DD)
+ * @param {String} time - Local time (HH:mm), default 00:00
+ * @param {Number} timeZoneOffset - Timezone offset in hours
+ * @returns {Date} UTC date
+ */
+export const localDateTimeToUTC = (
+  date,
+  time = "00:00",
+  timeZoneOffset = parseInt(process.env.TIMEZONE_OFFSET || "7")
+) => {
+  const [year, month, day] = date.split("-").map((part) => parseInt(part, 10));
+
+  return new Date(
+    Date.UTC(year, month - 1, day) +
+      (timeToMinutes(time) - timeZoneOffset * 60) * 60 * 1000
+  );
+};
+
+/**
+ * Terapkan cuti ke sesi yang sudah di-generate: sesi kosong milik staf
+ * dihapus, sesi yang sudah dipesan dikembalikan agar bisa dialihkan.
+ * @param {Object} leave - Staff leave record
+ * @returns {Promise<Object>} { removedSessionCount, bookedSessions }
+ */
+export const applyStaffLeave = async (leave) => {
+  const now = new Date();
+  const sessions = await prisma.session.findMany({
+    where: {
+      staffId: leave.staffId,
+      timeSlot: {
+        startTime: { lt: leave.endTime },
+        endTime: { gt: leave.startTime > now ? leave.startTime : now },
+      },
+    },
+    include: {
+      timeSlot: true,
+      reservation: {
+        select: {
+          id: true,
+          status: true,
+          babyName: true,
+          customer: { select: { id: true, name: true, phoneNumber: true } },
+          service: { select: { id: true, name: true } },
+        },
+      },
+      extendedReservation: {
+        select: {
+          id: true,
+          status: true,
+          babyName: true,
+          customer: { select: { id: true, name: true, phoneNumber: true } },
+          service: { select: { id: true, name: true } },
+        },
+      },
+    },
+    orderBy: {
+      timeSlot: {
+        startTime: "asc",
+      },
+    },
+  });
+
+  // Sesi yang pernah dipakai reservasi tetap disimpan sebagai riwayat
+  const freeSessionIds = sessions
+    .filter(
+      (session) =>
+        !session.isBooked &&
+        !session.reservation &&
+        !session.extendedReservationId
+    )
+    .map((session) => session.id);
+
+  const { count: removedSessionCount } = await prisma.session.deleteMany({
+    where: {
+      id: { in: freeSessionIds },
+      isBooked: false,
+      extendedReservationId: null,
+      reservation: { is: null },
+    },
+  });
+
+  const bookedSessions = sessions
+    .filter((session) => session.isBooked)
+    .map((session) => ({
+      sessionId: session.id,
+      timeSlotId: session.timeSlotId,
+      startTime: session.timeSlot.startTime,
+      endTime: session.timeSlot.endTime,
+      isExtraSession: !!session.extendedReservationId,
+      reservation: session.extendedReservation || session.reservation,
+    }));
+
+  return { removedSessionCount, bookedSessions };
+};
+
+/**
+ * Time slot mendatang (hari kerja) yang tercakup cuti, dikelompokkan per jadwal
+ * operasional. Dipakai untuk membuat ulang sesi saat cuti dibatalkan.
+ * @param {Object} leave - Staff leave record
+ * @returns {Promise<Object>} Time slots grouped by operatingScheduleId
+ */
+export const getTimeSlotsCoveredByLeave = async (leave) => {
+  const now = new Date();
+  const timeSlots = await prisma.timeSlot.findMany({
+    where: {
+      startTime: { lt: leave.endTime },
+      endTime: { gt: leave.startTime > now ? leave.startTime : now },
+      operatingSchedule: {
+        isHoliday: false,
+      },
+    },
+  });
+
+  return timeSlots.reduce((grouped, timeSlot) => {
+    grouped[timeSlot.operatingScheduleId] = [
+      ...(grouped[timeSlot.operatingScheduleId] || []),
+      timeSlot,
+    ];
+    return grouped;
+  }, {});
+};
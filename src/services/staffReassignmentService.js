@@ -0,0 +1,213 @@
+// src/services/staffReassignmentService.js
+import prisma from "../config/db.js";
+import { reassignReservationStaff } from "../repository/reservationRepository.js";
+import { findConsecutiveSessions } from "../repository/sessionRepository.js";
+import { qualifiedForServiceWhere } from "../repository/staffRepository.js";
+import { getReservationDuration } from "./addOnService.js";
+import { createNotificationForCustomer } from "./notificationService.js";
+
+const REASSIGNABLE_STATUSES = ["PENDING", "CONFIRMED"];
+
+/**
+ * Reservasi mendatang milik staf yang masih bisa dialihkan
+ * @param {String} staffId - Staff ID
+ * @returns {Promise<Array>} Reservations ordered by start time
+ */
+const getUpcomingReservationsForStaff = async (staffId) => {
+  return await prisma.reservation.findMany({
+    where: {
+      staffId,
+      status: { in: REASSIGNABLE_STATUSES },
+      session: {
+        timeSlot: {
+          startTime: { gt: new Date() },
+        },
+      },
+    },
+    include: {
+      customer: { select: { id: true, name: true, phoneNumber: true } },
+      service: true,
+      addOns: true,
+      session: { include: { timeSlot: true } },
+    },
+    orderBy: {
+      session: {
+        timeSlot: {
+          startTime: "asc",
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Cari sesi kosong staf lain (aktif & berkualifikasi untuk layanannya) pada
+ * time slot yang sama, termasuk sesi lanjutan jika layanan lebih panjang
+ * dari satu time slot.
+ * @param {Object} reservation - Reservation with session.timeSlot, service & addOns
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<Array>} Candidates: { session, extraSessions }
+ */
+export const findReassignmentCandidates = async (reservation, tx = prisma) => {
+  const now = new Date();
+  const sessions = await tx.session.findMany({
+    where: {
+      timeSlotId: reservation.session.timeSlotId,
+      staffId: { not: reservation.staffId },
+      isBooked: false,
+      staff: {
+        isActive: true,
+        ...qualifiedForServiceWhere(reservation.serviceId),
+      },
+      OR: [
+        { heldByCustomerId: null },
+        { heldByCustomerId: reservation.customerId },
+        { holdExpiresAt: { lte: now } },
+      ],
+    },
+    include: {
+      timeSlot: true,
+      staff: { select: { id: true, name: true } },
+    },
+    orderBy: {
+      staff: { name: "asc" },
+    },
+  });
+
+  const duration = getReservationDuration(reservation);
+  const candidates = [];
+  for (const session of sessions) {
+    const extraSessions = await findConsecutiveSessions(
+      session,
+      duration,
+      { customerId: reservation.customerId, service: reservation.service },
+      tx
+    );
+    if (extraSessions) {
+      candidates.push({ session, extraSessions });
+    }
+  }
+
+  return candidates;
+};
+
+/**
+ * Usulan pengalihan untuk semua reservasi mendatang seorang staf
+ * @param {String} staffId - Staff ID
+ * @returns {Promise<Array>} Proposals per reservation
+ */
+export const getReassignmentProposals = async (staffId) => {
+  const reservations = await getUpcomingReservationsForStaff(staffId);
+  const proposals = [];
+
+  for (const reservation of reservations) {
+    const candidates = await findReassignmentCandidates(reservation);
+    const [proposed, ...alternatives] = candidates.map((candidate) => ({
+      sessionId: candidate.session.id,
+      staff: candidate.session.staff,
+      extraSessionIds: candidate.extraSessions.map((session) => session.id),
+    }));
+
+    proposals.push({
+      reservationId: reservation.id,
+      status: reservation.status,
+      babyName: reservation.babyName,
+      customer: reservation.customer,
+      service: { id: reservation.service.id, name: reservation.service.name },
+      timeSlotId: reservation.session.timeSlotId,
+      startTime: reservation.session.timeSlot.startTime,
+      endTime: reservation.session.timeSlot.endTime,
+      proposed: proposed || null,
+      alternatives,
+      note: proposed
+        ? null
+        : "No other staff member is free in this time slot. Reschedule or cancel the reservation instead.",
+    });
+  }
+
+  return proposals;
+};
+
+/**
+ * Kirim notifikasi pergantian terapis ke customer
+ * @param {Object} reservation - Updated reservation (customer, service, staff, session.timeSlot)
+ */
+const notifyStaffReassigned = async (reservation) => {
+  const sessionTime = new Date(
+    reservation.session.timeSlot.startTime
+  ).toLocaleString("id-ID", {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: "Asia/Jakarta",
+  });
+
+  await createNotificationForCustomer(
+    {
+      recipientId: reservation.customerId,
+      title: "Perubahan Terapis",
+      message: `Reservasi ${reservation.service.name} untuk ${reservation.babyName} pada ${sessionTime} kini ditangani oleh ${reservation.staff.name}. Jadwal Anda tidak berubah.`,
+      type: "RESERVATION_STAFF_CHANGED",
+      referenceId: reservation.id,
+    },
+    { sendPush: true }
+  );
+};
+
+/**
+ * Alihkan reservasi ke sesi staf lain pada time slot yang sama (setelah
+ * disetujui owner), lalu beri tahu customer.
+ * @param {String} reservationId - Reservation ID
+ * @param {String} sessionId - Approved session of the new staff member
+ * @param {Object} actor - { actorType, actorId, reason }
+ * @param {String} fromStaffId - Staff the reservation must currently belong to
+ * @returns {Promise<Object>} Updated reservation or { error, statusCode }
+ */
+export const approveReassignment = async (
+  reservationId,
+  sessionId,
+  actor,
+  fromStaffId
+) => {
+  const reservation = await prisma.reservation.findUnique({
+    where: { id: reservationId },
+    include: {
+      service: true,
+      addOns: true,
+      session: { include: { timeSlot: true } },
+    },
+  });
+  if (!reservation) {
+    return { error: "Reservation not found", statusCode: 404 };
+  }
+  if (fromStaffId && reservation.staffId !== fromStaffId) {
+    return {
+      error: "Reservation is not assigned to this staff member",
+      statusCode: 409,
+    };
+  }
+
+  const candidate = (await findReassignmentCandidates(reservation)).find(
+    (item) => item.session.id === sessionId
+  );
+  if (!candidate) {
+    return {
+      error:
+        "Session is not a free session of another active staff member in the same time slot",
+      statusCode: 409,
+    };
+  }
+
+  const updatedReservation = await reassignReservationStaff(
+    reservation.id,
+    candidate.session.id,
+    candidate.extraSessions,
+    actor
+  );
+
+  await notifyStaffReassigned(updatedReservation);
+
+  return updatedReservation;
+};
@@ -0,0 +1,179 @@
+// src/services/voucherService.js
+import {
+  getVoucherByCode,
+  countVoucherUsage,
+  lockVoucher,
+} from "../repository/voucherRepository.js";
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString("id-ID")}`;
+
+/**
+ * Cek batas pemakaian total & per customer sebuah voucher
+ * @param {Object} voucher - Voucher
+ * @param {String} customerId - Customer yang memakai voucher
+ * @param {Object} tx - Prisma client / transaction client
+ * @returns {Promise<String|null>} Pesan error, atau null jika masih bisa dipakai
+ */
+const checkUsageLimits = async (voucher, customerId, tx) => {
+  if (voucher.usageLimit !== null) {
+    const usageCount = await countVoucherUsage(voucher.id, null, tx);
+    if (usageCount >= voucher.usageLimit) {
+      return "Kuota voucher sudah habis.";
+    }
+  }
+
+  if (voucher.perCustomerLimit !== null) {
+    const customerUsage = await countVoucherUsage(voucher.id, customerId, tx);
+    if (customerUsage >= voucher.perCustomerLimit) {
+      return "Anda sudah mencapai batas pemakaian voucher ini.";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Cek apakah sebuah item checkout termasuk cakupan voucher
+ * @param {Object} voucher - Voucher dengan services & categories
+ * @param {Object} item - { serviceId, categoryId }
+ * @returns {boolean}
+ */
+const isItemEligible = (voucher, item) => {
+  if (voucher.services.length === 0 && voucher.categories.length === 0) {
+    return true;
+  }
+
+  return (
+    voucher.services.some((service) => service.id === item.serviceId) ||
+    voucher.categories.some((category) => category.id === item.categoryId)
+  );
+};
+
+/**
+ * Validasi kode voucher dan hitung potongannya untuk item checkout.
+ * Minimal belanja dihitung dari total sebelum diskon; potongan hanya
+ * berlaku untuk item yang termasuk cakupan layanan/kategori voucher.
+ * @param {Object} params
+ * @param {String} params.code - Kode voucher
+ * @param {String} params.customerId - Customer yang memakai voucher
+ * @param {Array<Object>} params.items - [{ serviceId, categoryId, price }]
+ * @param {Date} params.now - Waktu checkout (default: sekarang)
+ * @returns {Promise<Object>} { voucher, originalAmount, discountAmount, finalAmount, discountDetails } atau { error, statusCode }
+ */
+export const applyVoucher = async ({
+  code,
+  customerId,
+  items,
+  now = new Date(),
+}) => {
+  const voucher = await getVoucherByCode(code);
+  // Voucher pribadi tidak dapat dipakai customer lain
+  if (
+    !voucher ||
+    !voucher.isActive ||
+    (voucher.customerId && voucher.customerId !== customerId)
+  ) {
+    return { error: "Kode voucher tidak ditemukan.", statusCode: 404 };
+  }
+
+  if (now < new Date(voucher.startDate)) {
+    return { error: "Voucher belum dapat digunakan.", statusCode: 400 };
+  }
+  if (now > new Date(voucher.endDate)) {
+    return { error: "Masa berlaku voucher sudah habis.", statusCode: 400 };
+  }
+
+  const originalAmount = items.reduce((sum, item) => sum + item.price, 0);
+  const eligibleSubtotal = items
+    .filter((item) => isItemEligible(voucher, item))
+    .reduce((sum, item) => sum + item.price, 0);
+
+  if (eligibleSubtotal === 0) {
+    return {
+      error: "Voucher tidak berlaku untuk layanan yang dipilih.",
+      statusCode: 400,
+    };
+  }
+
+  if (voucher.minSpend && originalAmount < voucher.minSpend) {
+    return {
+      error: `Voucher ini membutuhkan minimal belanja ${formatRupiah(voucher.minSpend)}.`,
+      statusCode: 400,
+    };
+  }
+
+  const usageError = await checkUsageLimits(voucher, customerId);
+  if (usageError) {
+    return { error: usageError, statusCode: 400 };
+  }
+
+  let discountAmount =
+    voucher.discountType === "PERCENTAGE"
+      ? (eligibleSubtotal * voucher.discountValue) / 100
+      : voucher.discountValue;
+  if (voucher.discountType === "PERCENTAGE" && voucher.maxDiscount) {
+    discountAmount = Math.min(discountAmount, voucher.maxDiscount);
+  }
+  discountAmount = Math.round(Math.min(discountAmount, eligibleSubtotal));
+
+  // Tripay tidak dapat memproses transaksi Rp 0
+  if (discountAmount >= originalAmount) {
+    return {
+      error:
+        "Voucher tidak dapat digunakan karena total pembayaran menjadi Rp 0.",
+      statusCode: 400,
+    };
+  }
+
+  return {
+    voucher,
+    originalAmount,
+    discountAmount,
+    finalAmount: originalAmount - discountAmount,
+    discountDetails: {
+      code: voucher.code,
+      name: voucher.name,
+      discountType: voucher.discountType,
+      discountValue: voucher.discountValue,
+      maxDiscount: voucher.maxDiscount,
+      eligibleSubtotal,
+      originalAmount,
+      discountAmount,
+    },
+  };
+};
+
+/**
+ * Cek ulang batas pemakaian voucher di dalam transaksi checkout, sebelum
+ * Payment dengan voucher dibuat. Baris voucher dikunci sampai transaksi
+ * selesai sehingga checkout bersamaan tidak bisa melewati kuota.
+ * @param {Object} voucher - Voucher dari applyVoucher
+ * @param {String} customerId - Customer yang memakai voucher
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<void>}
+ * @throws {Error} Jika kuota voucher sudah habis
+ */
+export const claimVoucherUsage = async (voucher, customerId, tx) => {
+  await lockVoucher(voucher.id, tx);
+
+  const usageError = await checkUsageLimits(voucher, customerId, tx);
+  if (usageError) {
+    throw new Error(usageError);
+  }
+};
+
+/**
+ * Data voucher yang disimpan pada Payment
+ * @param {Object|null} voucherResult - Hasil applyVoucher (atau null)
+ * @returns {Object} Field Payment untuk diskon
+ */
+export const buildPaymentDiscountData = (voucherResult) => {
+  if (!voucherResult) return {};
+
+  return {
+    voucherId: voucherResult.voucher.id,
+    originalAmount: voucherResult.originalAmount,
+    discountAmount: voucherResult.discountAmount,
+    discountDetails: voucherResult.discountDetails,
+  };
+};
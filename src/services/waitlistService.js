@@ -0,0 +1,223 @@
+// src/services/waitlistService.js
+import { addMinutes } from "date-fns";
+import prisma from "../config/db.js";
+import {
+  getNextWaitingEntry,
+  getExpiredOffers,
+} from "../repository/waitlistRepository.js";
+import {
+  holdSession,
+  releaseSessionHold,
+} from "../repository/sessionRepository.js";
+import { getStaffQualifications } from "../repository/staffRepository.js";
+import { createNotificationForCustomer } from "./notificationService.js";
+
+const WAITLIST_OFFER_MINUTES = parseInt(
+  process.env.WAITLIST_OFFER_MINUTES || "30",
+  10
+);
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Tawarkan sesi yang baru kosong ke customer pertama di waitlist time slot-nya.
+ * Sesi di-hold untuk customer tersebut selama WAITLIST_OFFER_MINUTES menit.
+ * @param {String} sessionId - ID sesi yang baru dibebaskan
+ * @returns {Promise<Object|null>} Entry yang mendapat penawaran, atau null
+ */
+export const offerFreedSession = async (sessionId) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    include: {
+      timeSlot: {
+        include: {
+          operatingSchedule: true,
+        },
+      },
+    },
+  });
+
+  const now = new Date();
+
+  // Sesi sudah dipesan lagi, sedang di-hold, atau sudah lewat: tidak ditawarkan
+  if (
+    !session ||
+    session.isBooked ||
+    (session.holdExpiresAt && session.holdExpiresAt > now) ||
+    new Date(session.timeSlot.startTime) <= now
+  ) {
+    return null;
+  }
+
+  const offerExpiresAt = addMinutes(now, WAITLIST_OFFER_MINUTES);
+
+  // Hanya tawarkan ke antrean layanan yang bisa ditangani staf sesi ini
+  const qualifications = await getStaffQualifications(session.staffId);
+  const serviceIds = qualifications.allServices
+    ? undefined
+    : qualifications.services.map((service) => service.id);
+
+  // Ambil antrean berikutnya; hold & updateMany bersyarat mencegah sesi
+  // atau entry yang sama mendapat dua penawaran sekaligus
+  let entry = await getNextWaitingEntry(session.timeSlotId, serviceIds);
+  while (entry) {
+    if (!(await holdSession(sessionId, entry.customerId, offerExpiresAt))) {
+      return null;
+    }
+
+    const claimed = await prisma.waitlistEntry.updateMany({
+      where: { id: entry.id, status: "WAITING" },
+      data: {
+        status: "OFFERED",
+        offeredSessionId: sessionId,
+        offeredAt: now,
+        offerExpiresAt,
+      },
+    });
+    if (claimed.count > 0) break;
+
+    await releaseSessionHold(sessionId, entry.customerId);
+    entry = await getNextWaitingEntry(session.timeSlotId, serviceIds);
+  }
+
+  if (!entry) return null;
+
+  const sessionDate = new Date(
+    session.timeSlot.operatingSchedule.date
+  ).toLocaleDateString("id-ID", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "Asia/Jakarta",
+  });
+  const sessionTime = new Date(session.timeSlot.startTime).toLocaleTimeString(
+    "id-ID",
+    { hour: "2-digit", minute: "2-digit", timeZone: "Asia/Jakarta" }
+  );
+
+  await createNotificationForCustomer(
+    {
+      recipientId: entry.customerId,
+      title: "Sesi Waitlist Tersedia",
+      message: `Sesi ${entry.service.name} pada ${sessionDate} pukul ${sessionTime} tersedia untuk Anda selama ${WAITLIST_OFFER_MINUTES} menit.`,
+      type: "WAITLIST_OFFER",
+      referenceId: entry.id,
+    },
+    {
+      sendPush: true,
+      emailOptions: {
+        templateName: "waitlistOffer",
+        templateData: {
+          customerName: entry.customer.name,
+          serviceName: entry.service.name,
+          sessionDate,
+          sessionTime,
+          offerExpiresAt: offerExpiresAt.toLocaleString("id-ID", {
+            timeZone: "Asia/Jakarta",
+          }),
+          bookingUrl: `${FRONTEND_URL}/booking?serviceId=${entry.serviceId}&sessionId=${sessionId}&waitlistId=${entry.id}`,
+        },
+      },
+    }
+  );
+
+  console.log(
+    `[WAITLIST] Session ${sessionId} offered to waitlist entry ${entry.id} until ${offerExpiresAt.toISOString()}`
+  );
+
+  return entry;
+};
+
+/**
+ * Tawarkan beberapa sesi yang dibebaskan sekaligus.
+ * Kegagalan waitlist tidak boleh menggagalkan proses utama (pembatalan, dll).
+ * @param {Array<String>} sessionIds - ID sesi yang dibebaskan
+ */
+export const offerFreedSessions = async (sessionIds) => {
+  for (const sessionId of sessionIds) {
+    try {
+      await offerFreedSession(sessionId);
+    } catch (error) {
+      console.error(
+        `[WAITLIST ERROR] Failed to offer session ${sessionId}:`,
+        error
+      );
+    }
+  }
+};
+
+/**
+ * Tandai penawaran waitlist untuk sesi ini sebagai diterima (dipanggil saat
+ * customer yang ditawari berhasil memesan sesi).
+ * @param {String} sessionId - Session ID
+ * @param {String} customerId - Customer ID
+ * @param {Object} tx - Prisma client / transaction client
+ */
+export const acceptWaitlistOffer = async (
+  sessionId,
+  customerId,
+  tx = prisma
+) => {
+  await tx.waitlistEntry.updateMany({
+    where: {
+      offeredSessionId: sessionId,
+      customerId,
+      status: "OFFERED",
+    },
+    data: { status: "ACCEPTED" },
+  });
+};
+
+/**
+ * Customer menolak penawaran: sesi langsung diteruskan ke antrean berikutnya.
+ * @param {Object} entry - Waitlist entry dengan status OFFERED
+ */
+export const declineWaitlistOffer = async (entry) => {
+  await prisma.waitlistEntry.update({
+    where: { id: entry.id },
+    data: { status: "EXPIRED" },
+  });
+
+  if (entry.offeredSessionId) {
+    await releaseSessionHold(entry.offeredSessionId, entry.customerId);
+    await offerFreedSessions([entry.offeredSessionId]);
+  }
+};
+
+/**
+ * Kedaluwarsakan penawaran yang tidak diterima tepat waktu lalu teruskan
+ * sesinya ke customer berikutnya. Dipanggil oleh endpoint cron.
+ * @returns {Promise<Object>} { expiredCount, reofferedCount }
+ */
+export const expireWaitlistOffers = async () => {
+  const expiredOffers = await getExpiredOffers();
+
+  if (expiredOffers.length === 0) {
+    return { expiredCount: 0, reofferedCount: 0 };
+  }
+
+  await prisma.waitlistEntry.updateMany({
+    where: { id: { in: expiredOffers.map((offer) => offer.id) } },
+    data: { status: "EXPIRED" },
+  });
+
+  let reofferedCount = 0;
+  for (const offer of expiredOffers) {
+    if (!offer.offeredSessionId) continue;
+    try {
+      await releaseSessionHold(offer.offeredSessionId, offer.customerId);
+      if (await offerFreedSession(offer.offeredSessionId)) reofferedCount++;
+    } catch (error) {
+      console.error(
+        `[WAITLIST ERROR] Failed to re-offer session ${offer.offeredSessionId}:`,
+        error
+      );
+    }
+  }
+
+  console.log(
+    `[WAITLIST] Expired offers: ${expiredOffers.length}, Re-offered: ${reofferedCount}`
+  );
+
+  return { expiredCount: expiredOffers.length, reofferedCount };
+};
@@ -0,0 +1,19 @@
+// utils/ageUtils.js
+import { differenceInMonths, isValid } from "date-fns";
+
+/**
+ * Menghitung umur bayi dalam bulan penuh pada tanggal tertentu.
+ * @param {Date|string} birthDate - Tanggal lahir bayi
+ * @param {Date|string} atDate - Tanggal acuan (misalnya tanggal sesi)
+ * @returns {number} Umur dalam bulan (minimal 0)
+ */
+export const calculateAgeInMonths = (birthDate, atDate = new Date()) => {
+  const birth = new Date(birthDate);
+  const reference = new Date(atDate);
+
+  if (!isValid(birth) || !isValid(reference)) {
+    throw new Error("Tanggal lahir atau tanggal acuan tidak valid");
+  }
+
+  return Math.max(differenceInMonths(reference, birth), 0);
+};
@@ -0,0 +1,74 @@
+// utils/bookingWindowUtils.js
+import { addMinutes } from "date-fns";
+
+/**
+ * Rentang waktu sebuah booking: waktu layanan (start - end) dan rentang
+ * yang ikut diblokir karena buffer persiapan/pembersihan layanan.
+ * @param {Date|string} start - Waktu mulai layanan
+ * @param {number} duration - Durasi layanan termasuk add-on (menit)
+ * @param {Object} service - { bufferBeforeMinutes, bufferAfterMinutes }
+ * @returns {Object} { start, end, bufferedStart, bufferedEnd }
+ */
+export const buildBookingWindow = (start, duration, service = {}) => {
+  const startTime = new Date(start);
+  const endTime = addMinutes(startTime, duration);
+
+  return {
+    start: startTime,
+    end: endTime,
+    bufferedStart: addMinutes(startTime, -(service.bufferBeforeMinutes || 0)),
+    bufferedEnd: addMinutes(endTime, service.bufferAfterMinutes || 0),
+  };
+};
+
+/**
+ * Bagian waktu di mana dua booking bentrok. Layanan satu booking tidak boleh
+ * jatuh di dalam layanan atau buffer booking lain (buffer boleh bertemu buffer).
+ * @param {Object} window - Booking baru (hasil buildBookingWindow)
+ * @param {Object} other - Booking lain (hasil buildBookingWindow)
+ * @returns {Object|null} { start, end } atau null jika tidak bentrok
+ */
+export const getBookingConflict = (window, other) => {
+  const conflicts = [
+    [window.start, window.end, other.bufferedStart, other.bufferedEnd],
+    [window.bufferedStart, window.bufferedEnd, other.start, other.end],
+  ]
+    .filter(([startA, endA, startB, endB]) => startA < endB && startB < endA)
+    .map(([startA, endA, startB, endB]) => ({
+      start: Math.max(startA.getTime(), startB.getTime()),
+      end: Math.min(endA.getTime(), endB.getTime()),
+    }));
+  if (conflicts.length === 0) return null;
+
+  return {
+    start: new Date(Math.min(...conflicts.map((conflict) => conflict.start))),
+    end: new Date(Math.max(...conflicts.map((conflict) => conflict.end))),
+  };
+};
+
+/**
+ * Jumlah terbesar booking lain yang bentrok dengan booking baru pada saat
+ * yang sama (untuk resource dengan kapasitas lebih dari satu)
+ * @param {Object} window - Booking baru (hasil buildBookingWindow)
+ * @param {Array} others - Booking lain (hasil buildBookingWindow)
+ * @returns {number} Jumlah booking bentrok yang bersamaan
+ */
+export const countConcurrentConflicts = (window, others) => {
+  const events = [];
+  for (const other of others) {
+    const conflict = getBookingConflict(window, other);
+    if (!conflict) continue;
+    events.push([conflict.start.getTime(), 1], [conflict.end.getTime(), -1]);
+  }
+  // Booking yang selesai tepat saat booking lain mulai tidak dihitung bersamaan
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let highest = 0;
+  for (const [, change] of events) {
+    current += change;
+    highest = Math.max(highest, current);
+  }
+
+  return highest;
+};
@@ -0,0 +1,117 @@
+// utils/icsParser.js
+
+// Batas jumlah hari untuk satu event (mencegah event berulang/rentang panjang)
+const MAX_EVENT_DAYS = 31;
+
+/**
+ * Gabungkan baris yang dilipat (RFC 5545: baris lanjutan diawali spasi/tab).
+ * @param {string} content - Isi file .ics
+ * @returns {Array<string>} Baris yang sudah digabung
+ */
+const unfoldLines = (content) =>
+  content
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+
+/**
+ * Pecah satu baris properti menjadi nama, parameter dan nilai.
+ * Contoh: "DTSTART;VALUE=DATE:20250101"
+ * @param {string} line - Baris properti
+ * @returns {{ name: string, params: Object, value: string }|null}
+ */
+const parsePropertyLine = (line) => {
+  const separatorIndex = line.indexOf(":");
+  if (separatorIndex === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, separatorIndex).split(";");
+  const params = {};
+  for (const part of paramParts) {
+    const [key, paramValue] = part.split("=");
+    if (key) params[key.toUpperCase()] = paramValue;
+  }
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(separatorIndex + 1),
+  };
+};
+
+const unescapeText = (value) =>
+  value
+    .replace(/\\n/gi, " ")
+    .replace(/\\([,;\\])/g, "$1")
+    .trim();
+
+/**
+ * Ubah nilai DATE / DATE-TIME iCalendar menjadi tanggal UTC (00:00).
+ * Untuk libur nasional yang dipakai hanya bagian tanggalnya.
+ * @param {string} value - Contoh "20250101" atau "20250101T000000Z"
+ * @returns {Date|null}
+ */
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  if (!match) return null;
+
+  const date = new Date(
+    Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]))
+  );
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Ambil daftar hari libur dari file iCalendar (.ics).
+ * Event beberapa hari dipecah menjadi satu entri per tanggal
+ * (DTEND pada event seharian bersifat eksklusif).
+ * @param {string} content - Isi file .ics
+ * @returns {Array} Array of { date: Date, name: string, uid: string|null }
+ */
+export const parseIcsHolidays = (content) => {
+  if (typeof content !== "string" || !content.includes("BEGIN:VCALENDAR")) {
+    throw new Error("File bukan format iCalendar (.ics) yang valid");
+  }
+
+  const holidays = [];
+  let currentEvent = null;
+
+  for (const line of unfoldLines(content)) {
+    const property = parsePropertyLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === "BEGIN" && property.value === "VEVENT") {
+      currentEvent = {};
+      continue;
+    }
+
+    if (!currentEvent) continue;
+
+    if (property.name === "END" && property.value === "VEVENT") {
+      const startDate = parseIcsDate(currentEvent.DTSTART);
+      if (startDate && currentEvent.STATUS !== "CANCELLED") {
+        const endDate = parseIcsDate(currentEvent.DTEND);
+        const totalDays = endDate
+          ? Math.min(
+              Math.max(Math.round((endDate - startDate) / 86400000), 1),
+              MAX_EVENT_DAYS
+            )
+          : 1;
+
+        for (let i = 0; i < totalDays; i++) {
+          holidays.push({
+            date: new Date(startDate.getTime() + i * 86400000),
+            name: unescapeText(currentEvent.SUMMARY || "") || "Hari Libur",
+            uid: currentEvent.UID || null,
+          });
+        }
+      }
+      currentEvent = null;
+      continue;
+    }
+
+    currentEvent[property.name] = property.value;
+  }
+
+  return holidays;
+};
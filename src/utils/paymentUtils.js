@@ -137,3 +137,27 @@ export const formatExpiryTime = (expiryDate) => {
     totalMinutes: Math.floor(diffMs / (1000 * 60)),
   };
 };
+
+/**
+ * Terjemahkan kode channel Tripay ke enum PaymentMethod di database
+ * @param {string} tripayCode - Kode channel Tripay (BRIVA, QRIS, OVO, ...)
+ * @returns {string} Nilai enum PaymentMethod
+ */
+export const mapTripayMethodToEnum = (tripayCode) => {
+  if (!tripayCode) return "BANK_TRANSFER";
+  const code = tripayCode.toUpperCase();
+
+  // Semua varian QRIS dari Tripay diterjemahkan menjadi 'QRIS' untuk database kita
+  if (code.startsWith("QRIS")) return "QRIS";
+
+  // Semua varian Virtual Account diterjemahkan menjadi 'BANK_TRANSFER'
+  if (code.includes("VA")) return "BANK_TRANSFER";
+
+  // Semua varian E-Wallet diterjemahkan menjadi 'E_WALLET'
+  if (["OVO", "GOPAY", "DANA", "SHOPEEPAY"].includes(code)) return "E_WALLET";
+
+  console.warn(`[PaymentMapper] Unmapped Tripay code: ${tripayCode}`);
+  // Jika tidak ada pemetaan, kita bisa gunakan nilai default atau lempar error
+  // Untuk keamanan, kita bisa kembalikan nilai yang kita tahu pasti ada di enum
+  return "BANK_TRANSFER";
+};
@@ -0,0 +1,25 @@
+// utils/timeUtils.js
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Cek apakah string berformat jam "HH:mm" (00:00 - 23:59).
+ * @param {string} value - Nilai yang dicek
+ * @returns {boolean}
+ */
+export const isValidTimeString = (value) =>
+  typeof value === "string" && TIME_PATTERN.test(value);
+
+/**
+ * Mengubah jam "HH:mm" menjadi jumlah menit sejak tengah malam.
+ * @param {string} value - Jam dalam format "HH:mm"
+ * @returns {number} Menit sejak 00:00
+ */
+export const timeToMinutes = (value) => {
+  const match = TIME_PATTERN.exec(value);
+  if (!match) {
+    throw new Error(`Format jam tidak valid: ${value}`);
+  }
+
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
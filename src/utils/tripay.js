@@ -110,7 +110,11 @@ const calculateSignature = (merchantCode, merchantRef, amount) => {
 
 /**
  * Create a payment transaction in Tripay with validation
- * (FUNGSI INI TETAP UTUH)
+ * orderItems opsional: [{ name, price, quantity }] untuk transaksi dengan
+ * beberapa item (misalnya booking grup). Total item harus sama dengan amount.
+ * merchantRef & returnUrl opsional untuk transaksi non-reservasi (misalnya
+ * pembelian paket); reservationId tetap dipakai sebagai ID referensi.
+ * expiryDate opsional menyamakan batas waktu Tripay dengan batas waktu di DB.
  */
 export const createTransaction = async (paymentData) => {
   validateConfig();
@@ -142,6 +146,10 @@ export const createTransaction = async (paymentData) => {
       paymentMethod,
       amount,
       serviceName,
+      orderItems,
+      merchantRef: customMerchantRef,
+      returnUrl,
+      expiryDate,
     } = paymentData;
 
     const formattedAmount = parseFloat(parseFloat(amount).toFixed(2));
@@ -149,7 +157,24 @@ export const createTransaction = async (paymentData) => {
       throw new Error("Invalid payment amount");
     }
 
-    const merchantRef = `BABYSPA-${reservationId}`;
+    const items =
+      orderItems && orderItems.length > 0
+        ? orderItems.map((item) => ({
+            name: item.name,
+            price: parseFloat(parseFloat(item.price).toFixed(2)),
+            quantity: item.quantity || 1,
+          }))
+        : [{ name: serviceName, price: formattedAmount, quantity: 1 }];
+
+    const itemsTotal = items.reduce(
+      (sum, item) => sum + item.price * item.quantity,
+      0
+    );
+    if (Math.abs(itemsTotal - formattedAmount) > 0.01) {
+      throw new Error("Order items total does not match payment amount");
+    }
+
+    const merchantRef = customMerchantRef || `BABYSPA-${reservationId}`;
     const signature = calculateSignature(
       TRIPAY_MERCHANT_CODE,
       merchantRef,
@@ -157,8 +182,12 @@ export const createTransaction = async (paymentData) => {
     );
 
     const currentTime = Math.floor(Date.now() / 1000);
-    const expiryTime = currentTime + 24 * 60 * 60;
-    const return_url = `${FRONTEND_URL}/payment/status?reservation_id=${reservationId}`;
+    const expiryTime = expiryDate
+      ? Math.floor(new Date(expiryDate).getTime() / 1000)
+      : currentTime + 24 * 60 * 60;
+    const return_url =
+      returnUrl ||
+      `${FRONTEND_URL}/payment/status?reservation_id=${reservationId}`;
 
     const payload = {
       method: paymentMethod,
@@ -167,13 +196,7 @@ export const createTransaction = async (paymentData) => {
       customer_name: customerName,
       customer_email: customerEmail,
       customer_phone: customerPhone,
-      order_items: [
-        {
-          name: serviceName,
-          price: formattedAmount,
-          quantity: 1,
-        },
-      ],
+      order_items: items,
       callback_url: CALLBACK_URL,
       return_url: return_url,
       expired_time: expiryTime,